@@ -1,37 +1,377 @@
 // Project Management Application
+
+const PROJECT_STATUSES = ['active', 'completed', 'on-hold'];
+const TASK_PRIORITIES = ['high', 'medium', 'low'];
+// Fixed task statuses used before per-project workflows (see DATA_MIGRATIONS)
+const TASK_STATUSES = ['todo', 'in-progress', 'completed'];
+
+// Workflow for projects that do not define their own. Tasks store the status
+// id; done statuses count towards project progress, and wipLimit (null for
+// none) is the number of tasks the column may hold before it is flagged.
+const DEFAULT_WORKFLOW = [
+    { id: 'todo', name: 'To Do', color: '#64748b', done: false, wipLimit: null },
+    { id: 'in-progress', name: 'In Progress', color: '#f59e0b', done: false, wipLimit: null },
+    { id: 'completed', name: 'Completed', color: '#22c55e', done: true, wipLimit: null }
+];
+
+// Gap between the manual ranks of neighbouring tasks; a moved task takes the
+// midpoint of its new neighbours, and a column is renumbered when gaps run out
+const RANK_STEP = 1024;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Timeline zoom levels: the width of one day in pixels, and the number of
+// days shown before the earliest and after the latest date
+const GANTT_ZOOM_LEVELS = {
+    day: { dayWidth: 32, padding: 3 },
+    week: { dayWidth: 12, padding: 7 },
+    month: { dayWidth: 4, padding: 15 }
+};
+const GANTT_ROW_HEIGHT = 40;
+const GANTT_LABEL_WIDTH = 240;
+
+// Views that can be reached through the URL hash (see applyRoute()), and
+// the query parameters of the #/tasks route with the filters they set
+const ROUTE_VIEWS = ['dashboard', 'projects', 'tasks', 'gantt', 'mywork', 'team', 'trash'];
+const TASK_ROUTE_FILTERS = [
+    { param: 'project', elementId: 'filterProject' },
+    { param: 'priority', elementId: 'filterPriority' },
+    { param: 'status', elementId: 'filterStatus' },
+    { param: 'assignee', elementId: 'filterAssignee' }
+];
+
+// Most results the global search lists at once
+const SEARCH_RESULT_LIMIT = 20;
+
+// Handlers for the data-action attribute of rendered cards and buttons,
+// called with the element's data-* values. Clicks run the nearest action
+// only, data-action="none" keeps clicks inside an element from reaching the
+// card around it, and links in a card open without running the card's action.
+const VIEW_ACTIONS = {
+    'edit-project': (manager, { projectId }) => manager.editProject(projectId),
+    'archive-project': (manager, { projectId }) => manager.setProjectArchived(projectId, true),
+    'unarchive-project': (manager, { projectId }) => manager.setProjectArchived(projectId, false),
+    'delete-project': (manager, { projectId }) => manager.deleteProject(projectId),
+    'edit-task': (manager, { taskId }) => manager.editTask(taskId),
+    'add-subtask': (manager, { taskId }) => manager.openTaskModal(null, taskId),
+    'toggle-task': (manager, { taskId }) => manager.toggleTaskStatus(taskId),
+    'delete-task': (manager, { taskId }) => manager.deleteTask(taskId),
+    'toggle-checklist-item': (manager, { taskId, itemId }) => manager.toggleChecklistItem(taskId, itemId),
+    'move-task-column': (manager, { taskId, offset }) => manager.moveTaskToAdjacentColumn(taskId, Number(offset)),
+    'move-task-rank': (manager, { taskId, offset }) => manager.moveTaskWithinColumn(taskId, Number(offset)),
+    'edit-member': (manager, { memberId }) => manager.editMember(memberId),
+    'delete-member': (manager, { memberId }) => manager.deleteMember(memberId),
+    'show-date': (manager, { date }) => manager.showTasksForDate(date),
+    'preview-attachment': (manager, { attachmentId }) => manager.openAttachmentPreview(attachmentId),
+    'download-attachment': (manager, { attachmentId }) => manager.downloadAttachment(attachmentId),
+    'delete-attachment': (manager, { attachmentId }) => manager.deleteAttachment(attachmentId),
+    'restore-trash-item': (manager, { store, recordId }) => manager.restoreFromTrash(store, recordId),
+    'purge-trash-item': (manager, { store, recordId }) => manager.deleteForever(store, recordId),
+    'open-notification': (manager, { taskId }) => manager.openNotification(taskId),
+    'snooze-notification': (manager, { key, until }) => manager.snoozeNotification(key, until),
+    'dismiss-notification': (manager, { key }) => manager.dismissNotification(key),
+    'enable-notifications': manager => manager.requestNotificationPermission()
+};
+
+// Avatar colors, handed out to team members in the order they are added
+const MEMBER_COLORS = ['#2563eb', '#db2777', '#059669', '#d97706', '#7c3aed', '#0891b2', '#dc2626', '#4d7c0f'];
+// Loose check for member email addresses
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Task fields that CSV columns can be mapped to; headers matching an alias
+// (lowercase, letters and digits only) are mapped automatically
+const CSV_TASK_FIELDS = [
+    { key: 'title', label: 'Title', required: true, aliases: ['title', 'name', 'task', 'taskname', 'tasktitle', 'summary'] },
+    { key: 'description', label: 'Description', aliases: ['description', 'notes', 'details'] },
+    { key: 'project', label: 'Project', required: true, aliases: ['project', 'projectname'] },
+    { key: 'priority', label: 'Priority', aliases: ['priority'] },
+    { key: 'status', label: 'Status', aliases: ['status', 'state'] },
+    { key: 'startDate', label: 'Start Date', aliases: ['startdate', 'start', 'begins'] },
+    { key: 'dueDate', label: 'Due Date', aliases: ['duedate', 'due', 'deadline'] },
+    { key: 'assignees', label: 'Assignees', aliases: ['assignees', 'assignee', 'assignedto', 'owner', 'owners'] }
+];
+
+// Changes kept for undo; older ones are dropped
+const HISTORY_LIMIT = 50;
+
+// Activity events shown at a time on the dashboard
+const ACTIVITY_PAGE_SIZE = 10;
+// Fields whose changes are not logged as activity (see buildEvents())
+const UNLOGGED_FIELDS = ['id', 'rank', 'createdDate', 'deletedAt', 'createdAt', 'editedAt', 'revision'];
+const EVENT_FIELD_LABELS = {
+    name: 'Name',
+    title: 'Title',
+    description: 'Description',
+    email: 'Email',
+    color: 'Color',
+    projectId: 'Project',
+    priority: 'Priority',
+    status: 'Status',
+    startDate: 'Start date',
+    dueDate: 'Due date',
+    parentId: 'Parent task',
+    checklist: 'Checklist',
+    blockedBy: 'Blocked by',
+    recurrence: 'Repeat',
+    assignees: 'Assignees',
+    workflow: 'Workflow',
+    archived: 'Archived',
+    authorId: 'Author',
+    body: 'Text',
+    mentions: 'Mentions',
+    reminders: 'Reminders'
+};
+
+// Mentions of the current member listed in My Work, newest first
+const MENTION_LIST_LIMIT = 10;
+
+// Largest file that can be attached, and the space all attachments may take
+// up together; the server enforces the same limits
+const ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+const ATTACHMENT_QUOTA_BYTES = 100 * 1024 * 1024;
+// Larger text files are not shown in the preview
+const ATTACHMENT_TEXT_PREVIEW_BYTES = 200 * 1024;
+
+// Reminder choices in the task form, in days before the due date, and the
+// time of day a new reminder starts at
+const REMINDER_DAYS_BEFORE = [0, 1, 2, 7];
+const REMINDER_DEFAULT_TIME = '09:00';
+const REMINDER_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// How often due reminders are looked for while the app is open
+const REMINDER_CHECK_INTERVAL_MS = 60 * 1000;
+// More reminders than this falling due at once get a single summary notification
+const NOTIFICATION_SUMMARY_THRESHOLD = 3;
+// Days ahead the notification center lists tasks as upcoming
+const NOTIFICATION_UPCOMING_DAYS = 7;
+
+// Channel on which open tabs share the changes they save (see applyRemoteChanges())
+const SYNC_CHANNEL = 'projectflow-sync';
+
+// How often an open tab looks for a new release of the app (see sw.js)
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Days deleted projects and tasks stay in the trash unless changed in the
+// Trash view; 0 keeps them until deleted by hand
+const TRASH_RETENTION_DAYS = 30;
+
+// Identifies files written by exportWorkspace()
+const WORKSPACE_FORMAT = 'projectflow-workspace';
+
+// Version of the saved project/task shape. Bump it and append a migration to
+// DATA_MIGRATIONS whenever that shape changes; loadData() upgrades older data.
+const DATA_SCHEMA_VERSION = 10;
+
+const DATA_MIGRATIONS = [
+    // 0 -> 1: fill fields missing from early payloads and restrict values to
+    // those allowed by the SQL schema in supabase/migrations
+    ({ projects, tasks }) => {
+        const today = new Date().toISOString().split('T')[0];
+        const oneOf = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+        
+        return {
+            projects: projects.map(project => ({
+                ...project,
+                id: String(project.id),
+                name: project.name || 'Untitled Project',
+                description: project.description || '',
+                status: oneOf(project.status, PROJECT_STATUSES, 'active'),
+                dueDate: project.dueDate || '',
+                createdDate: project.createdDate || today
+            })),
+            tasks: tasks.map(task => ({
+                ...task,
+                id: String(task.id),
+                title: task.title || 'Untitled Task',
+                description: task.description || '',
+                projectId: task.projectId ? String(task.projectId) : '',
+                priority: oneOf(task.priority, TASK_PRIORITIES, 'medium'),
+                status: task.status === 'pending' ? 'todo' : oneOf(task.status, TASK_STATUSES, 'todo'),
+                dueDate: task.dueDate || '',
+                createdDate: task.createdDate || today
+            }))
+        };
+    },
+    // 1 -> 2: manual Kanban order; existing tasks are ranked in array order
+    ({ projects, tasks }) => ({
+        projects,
+        tasks: tasks.map((task, index) => ({
+            ...task,
+            rank: Number.isFinite(task.rank) ? task.rank : (index + 1) * RANK_STEP
+        }))
+    }),
+    // 2 -> 3: per-project workflows; existing projects get the default columns
+    ({ projects, tasks }) => ({
+        projects: projects.map(project => ({
+            ...project,
+            workflow: Array.isArray(project.workflow) ? project.workflow : DEFAULT_WORKFLOW.map(status => ({ ...status }))
+        })),
+        tasks
+    }),
+    // 3 -> 4: subtasks point at their parent task; tasks carry checklists
+    ({ projects, tasks }) => ({
+        projects,
+        tasks: tasks.map(task => ({
+            ...task,
+            parentId: task.parentId || '',
+            checklist: Array.isArray(task.checklist) ? task.checklist : []
+        }))
+    }),
+    // 4 -> 5: ids of the tasks that must be done before a task can be completed
+    ({ projects, tasks }) => ({
+        projects,
+        tasks: tasks.map(task => ({
+            ...task,
+            blockedBy: Array.isArray(task.blockedBy) ? task.blockedBy : []
+        }))
+    }),
+    // 5 -> 6: start dates for the timeline
+    ({ projects, tasks }) => ({
+        projects: projects.map(project => ({ ...project, startDate: project.startDate || '' })),
+        tasks: tasks.map(task => ({ ...task, startDate: task.startDate || '' }))
+    }),
+    // 6 -> 7: recurrence rules (see recurrence.js), null for one-off tasks
+    ({ projects, tasks }) => ({
+        projects,
+        tasks: tasks.map(task => ({ ...task, recurrence: task.recurrence || null }))
+    }),
+    // 7 -> 8: ids of the team members a task is assigned to
+    ({ projects, tasks }) => ({
+        projects,
+        tasks: tasks.map(task => ({ ...task, assignees: Array.isArray(task.assignees) ? task.assignees : [] }))
+    }),
+    // 8 -> 9: archived projects, and when a project or task was moved to the trash
+    ({ projects, tasks }) => ({
+        projects: projects.map(project => ({ ...project, archived: Boolean(project.archived), deletedAt: project.deletedAt || '' })),
+        tasks: tasks.map(task => ({ ...task, deletedAt: task.deletedAt || '' }))
+    }),
+    // 9 -> 10: reminders, as days before the due date and a time of day
+    ({ projects, tasks }) => ({
+        projects,
+        tasks: tasks.map(task => ({ ...task, reminders: Array.isArray(task.reminders) ? task.reminders : [] }))
+    })
+];
+
+// Runs the migrations that bring data saved at fromVersion up to date
+function migrateData(data, fromVersion) {
+    return DATA_MIGRATIONS.slice(fromVersion).reduce((upgraded, migration) => migration(upgraded), data);
+}
+
 class ProjectManager {
     constructor() {
+        this.members = [];
         this.projects = [];
         this.tasks = [];
+        this.comments = [];
+        this.attachments = [];
+        this.currentEditingMember = null;
         this.currentEditingProject = null;
         this.currentEditingTask = null;
+        this.pendingImport = null;
+        this.pendingCsv = null;
+        this.pendingIcs = null;
+        this.editingWorkflow = [];
+        this.editingChecklist = [];
+        this.editingReminders = [];
+        this.editingCommentId = null;
+        this.attachmentUrls = new Map();
+        this.previewAttachmentId = null;
+        this.searchResults = [];
+        this.activeSearchResult = -1;
+        this.draggedTaskId = null;
+        this.focusTaskAfterRender = null;
         this.currentView = 'dashboard';
         this.currentTaskView = 'list';
         this.currentCalendarDate = new Date();
+        this.currentRoute = null;
+        this.applyingRoute = false;
+        this.savedFilters = [];
+        this.events = [];
+        this.activityLimit = ACTIVITY_PAGE_SIZE;
+        // Deleted projects and tasks, kept apart so the rest of the app only sees live ones
+        this.trash = { projects: [], tasks: [] };
+        this.trashRetentionDays = TRASH_RETENTION_DAYS;
+        this.showArchivedProjects = false;
+        this.ganttZoom = 'week';
+        this.ganttRange = null;
+        // Who "My Work" is for; remembered per browser, like the theme
+        this.currentMemberId = localStorage.getItem('projectflow_member') || '';
+        this.storage = null;
+        this.persisted = { members: new Map(), projects: new Map(), tasks: new Map(), comments: new Map(), attachments: new Map() };
+        this.pendingWrites = Promise.resolve();
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastCommand = null;
+        // Other tabs are told about every save; tabId settles saves of the same
+        // record made by two tabs at once
+        this.tabId = `tab-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        this.syncChannel = null;
+        // Records as they were when their edit form opened, by store, and
+        // how to save over changes made meanwhile in another tab
+        this.editBases = {};
+        this.editResolutions = {};
+        this.pendingConflict = null;
+        // Service worker holding a new release until the user reloads for it
+        this.waitingWorker = null;
+        this.updateAccepted = false;
         
         // Wait for DOM to be ready
+        const start = () => this.init().catch(error => this.showLoadError(error));
         if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.init());
+            document.addEventListener('DOMContentLoaded', start);
         } else {
-            this.init();
+            start();
         }
     }
 
-    init() {
-        this.loadData();
+    async init() {
+        await this.loadData();
+        this.startTabSync();
         this.setupEventListeners();
-        this.renderDashboard();
+        this.applyRoute();
+        this.updateMentionBadge();
         this.initializeTheme();
+        this.startReminderScheduler();
+        this.registerServiceWorker();
+    }
+
+    // Nothing is saved after a failed load, so the stored data stays as it was
+    // until the page is reloaded
+    showLoadError(error) {
+        console.error('Failed to load data', error);
+        const main = document.querySelector('.main-content');
+        if (!main) return;
+        
+        const retry = h('button', { type: 'button', className: 'btn btn--primary' }, 'Try Again');
+        retry.addEventListener('click', () => location.reload());
+        // Data kept on a server is not replaced with local data while the
+        // server is unreachable (see createStorageAdapter())
+        const offline = Boolean(error && error.offline);
+        main.replaceChildren(h('div', { className: 'load-error', role: 'alert' },
+            h('h2', {}, offline ? 'ProjectFlow cannot reach its server' : 'ProjectFlow could not load your data'),
+            h('p', {}, offline
+                ? 'Your data is kept on the server, so it cannot be shown or changed until the server is reachable again. Check your connection, then try again.'
+                : 'Check that the server is running and that this browser allows the site to store data, then try again.'),
+            h('p', { className: 'load-error-detail' }, error && error.message),
+            retry
+        ));
     }
 
     // Data Management
-    loadData() {
-        const savedProjects = localStorage.getItem('projectflow_projects');
-        const savedTasks = localStorage.getItem('projectflow_tasks');
+    async loadData() {
+        this.storage = await createStorageAdapter();
+        this.savedFilters = (await this.storage.getMeta('savedFilters')) || [];
+        const retention = await this.storage.getMeta('trashRetentionDays');
+        this.trashRetentionDays = Number.isInteger(retention) ? retention : TRASH_RETENTION_DAYS;
+        this.events = await this.storage.load(EVENT_STORE);
         
-        if (savedProjects && savedTasks) {
-            this.projects = JSON.parse(savedProjects);
-            this.tasks = JSON.parse(savedTasks);
+        if (await this.storage.isInitialized()) {
+            for (const store of STORAGE_STORES) {
+                this.setStoredRecords(store, await this.storage.load(store));
+                this.persisted[store] = this.snapshotRecords(this.getStoredRecords(store));
+            }
+            await this.upgradeData();
+            this.purgeExpiredTrash();
+            await this.cleanupAttachments();
         } else {
             // Load sample data
             this.projects = [
@@ -172,13 +512,431 @@ class ProjectManager {
                 }
             ];
             
-            this.saveData();
+            // Sample data is written in the version 1 shape
+            const upgraded = migrateData({ projects: this.projects, tasks: this.tasks }, 1);
+            this.projects = upgraded.projects;
+            this.tasks = upgraded.tasks;
+            
+            await this.saveData(null, false);
+            await this.storage.setMeta('schemaVersion', DATA_SCHEMA_VERSION);
+            await this.storage.markInitialized();
+        }
+    }
+
+    // Brings data saved by an older version up to DATA_SCHEMA_VERSION
+    async upgradeData() {
+        const version = (await this.storage.getMeta('schemaVersion')) || 0;
+        if (version >= DATA_SCHEMA_VERSION) return;
+        
+        const upgraded = migrateData({ projects: this.getStoredRecords('projects'), tasks: this.getStoredRecords('tasks') }, version);
+        this.setStoredRecords('projects', upgraded.projects);
+        this.setStoredRecords('tasks', upgraded.tasks);
+        
+        await this.saveData(null, false);
+        await this.storage.setMeta('schemaVersion', DATA_SCHEMA_VERSION);
+    }
+
+    // Every record of a store as saved, including those in the trash
+    getStoredRecords(store) {
+        return this.trash[store] ? [...this[store], ...this.trash[store]] : this[store];
+    }
+
+    setStoredRecords(store, records) {
+        if (!this.trash[store]) {
+            this[store] = records;
+            return;
+        }
+        this[store] = records.filter(record => !record.deletedAt);
+        this.trash[store] = records.filter(record => record.deletedAt);
+    }
+
+    // Writes only the records that changed since the last save. Stores are
+    // written in order so members and projects exist before the tasks that
+    // reference them. Each save waits for the previous one, so an undo cannot
+    // overtake the change it reverts. With a description the change is
+    // recorded for undo; unless logActivity is false (seeding and upgrades)
+    // it is also added to the activity log.
+    saveData(description = null, logActivity = true) {
+        const changes = [];
+        const writes = STORAGE_STORES.reduce((previousWrite, store) => {
+            const records = this.getStoredRecords(store);
+            const previous = this.persisted[store];
+            const current = this.snapshotRecords(records);
+            const changed = this.sortReferencesFirst(records.filter(record => previous.get(record.id) !== current.get(record.id)));
+            // Every saved change raises the record's revision, by which other
+            // tabs tell a newer copy from a stale one. Records brought back by
+            // undo count on from the revision they had.
+            changed.forEach(record => {
+                record.revision = Math.max(this.snapshotRevision(previous.get(record.id)), record.revision || 0) + 1;
+                current.set(record.id, JSON.stringify(record));
+            });
+            const removedIds = [...previous.keys()].filter(id => !current.has(id));
+            this.persisted[store] = current;
+            
+            const previousIds = [...previous.keys()];
+            const currentIds = [...current.keys()];
+            [...changed.map(record => record.id), ...removedIds].forEach(id => {
+                changes.push({
+                    store,
+                    id,
+                    before: previous.has(id) ? previous.get(id) : null,
+                    after: current.has(id) ? current.get(id) : null,
+                    beforeIndex: previousIds.indexOf(id),
+                    afterIndex: currentIds.indexOf(id)
+                });
+            });
+            
+            return previousWrite
+                .then(() => this.storage.upsert(store, changed))
+                .then(() => this.storage.delete(store, removedIds));
+        }, this.pendingWrites);
+        
+        this.lastCommand = null;
+        if (description && changes.length > 0) {
+            this.recordCommand(description, changes);
+        }
+        
+        const events = logActivity ? this.buildEvents(changes) : [];
+        this.events.push(...events);
+        
+        this.pendingWrites = writes.then(() => this.storage.upsert(EVENT_STORE, events)).then(() => this.broadcastChanges(changes, events)).catch(error => {
+            this.forgetUnsavedChanges(changes);
+            if (error.status === 409 && error.current) {
+                this.acceptServerCopy(changes, error.current);
+                return;
+            }
+            console.error('Failed to save data', error);
+            if (error.status === 401) {
+                this.showToast('The server refused your changes: set its access token under projectflow_api_token in Local Storage', 'error');
+                return;
+            }
+            this.showToast('Failed to save changes; they will be saved again with your next change', 'error');
+        });
+        this.updateNotifications();
+        return this.pendingWrites;
+    }
+
+    // Puts back the snapshots from before a failed save, so the next
+    // saveData() finds the records changed again and retries writing them.
+    // Records changed again since are left alone, as that save writes them.
+    forgetUnsavedChanges(changes) {
+        changes.forEach(({ store, id, before, after }) => {
+            const snapshots = this.persisted[store];
+            if ((snapshots.has(id) ? snapshots.get(id) : null) !== after) return;
+            if (before === null) {
+                snapshots.delete(id);
+            } else {
+                snapshots.set(id, before);
+            }
+        });
+    }
+
+    // The server refused a save because the record had been saved from
+    // another browser since this copy was made. Its version is kept, like a
+    // newer copy from another tab, and the rest of the save is written again.
+    acceptServerCopy(changes, current) {
+        const change = changes.find(c => c.id === current.id);
+        if (!change) return;
+        
+        const index = this.getStoredRecords(change.store).findIndex(record => record.id === current.id);
+        const serverChanges = [{ store: change.store, id: current.id, after: JSON.stringify(current), afterIndex: index === -1 ? Infinity : index }];
+        this.applyRemoteChanges({ tabId: this.tabId, changes: serverChanges, events: [] });
+        this.broadcastChanges(serverChanges, []);
+        this.showToast(`"${current.name || current.title || 'A record'}" was changed in another browser; that version was kept`, 'warning');
+        this.saveData();
+    }
+
+    snapshotRecords(records) {
+        return new Map(records.map(record => [record.id, JSON.stringify(record)]));
+    }
+
+    // Records saved before revisions were counted have none, which counts as 0
+    snapshotRevision(snapshot) {
+        return snapshot ? JSON.parse(snapshot).revision || 0 : 0;
+    }
+
+    // Orders records so the tasks a record references (its parent and its
+    // blockers) are written before it, as the server checks those references
+    sortReferencesFirst(records) {
+        const byId = new Map(records.map(record => [record.id, record]));
+        const visited = new Set();
+        const ordered = [];
+        
+        const visit = record => {
+            if (visited.has(record.id)) return;
+            visited.add(record.id);
+            [record.parentId, ...(record.blockedBy || [])].forEach(id => {
+                if (byId.has(id)) visit(byId.get(id));
+            });
+            ordered.push(record);
+        };
+        records.forEach(visit);
+        return ordered;
+    }
+
+    // Undo / Redo
+    // Every labelled saveData() call records the records it changed, before
+    // and after, as one command. Undoing writes the "before" side back.
+    recordCommand(description, changes) {
+        this.lastCommand = { description, changes };
+        this.undoStack.push(this.lastCommand);
+        if (this.undoStack.length > HISTORY_LIMIT) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) {
+            this.showToast('Nothing to undo', 'info');
+            return;
+        }
+        
+        this.applyCommandSide(command, 'before');
+        this.redoStack.push(command);
+        this.showToast(`Undone: ${command.description}`, 'info');
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) {
+            this.showToast('Nothing to redo', 'info');
+            return;
+        }
+        
+        this.applyCommandSide(command, 'after');
+        this.undoStack.push(command);
+        this.showToast(`Redone: ${command.description}`, 'info');
+    }
+
+    // Puts every record of a command back into its 'before' or 'after'
+    // state and position; a null state means the record did not exist
+    applyCommandSide(command, side) {
+        const position = `${side}Index`;
+        STORAGE_STORES.forEach(store => {
+            const changes = command.changes.filter(change => change.store === store);
+            if (changes.length === 0) return;
+            
+            const changedIds = new Set(changes.map(change => change.id));
+            const records = this.getStoredRecords(store).filter(record => !changedIds.has(record.id));
+            changes.filter(change => change[side] !== null)
+                .sort((a, b) => a[position] - b[position])
+                .forEach(change => {
+                    records.splice(Math.min(change[position], records.length), 0, JSON.parse(change[side]));
+                });
+            this.setStoredRecords(store, records);
+        });
+        
+        this.saveData();
+        this.switchView(this.currentView);
+        if (this.currentEditingTask) {
+            this.renderComments();
+            this.renderAttachments();
+        }
+    }
+
+    // Undo button for the toast shown after a change. Only the latest change
+    // can be undone from its toast; older ones go through Ctrl+Z in order.
+    undoToastAction(command) {
+        if (!command) return null;
+        return {
+            label: 'Undo',
+            handler: () => {
+                if (this.undoStack[this.undoStack.length - 1] === command) {
+                    this.undo();
+                } else {
+                    this.showToast('Newer changes were made since; press Ctrl+Z to undo them in order', 'warning');
+                }
+            }
+        };
+    }
+
+    // Tab Sync
+    // Each tab keeps its own copy of the records, so every save is broadcast
+    // to the other open tabs of this browser, which take in the newer
+    // revisions and re-render
+    startTabSync() {
+        if (!('BroadcastChannel' in window)) return;
+        
+        this.syncChannel = new BroadcastChannel(SYNC_CHANNEL);
+        this.syncChannel.addEventListener('message', (e) => {
+            this.applyRemoteChanges(e.data);
+        });
+    }
+
+    broadcastChanges(changes, events) {
+        if (!this.syncChannel || changes.length === 0) return;
+        
+        this.syncChannel.postMessage({
+            tabId: this.tabId,
+            changes: changes.map(({ store, id, after, afterIndex }) => ({ store, id, after, afterIndex })),
+            events
+        });
+    }
+
+    // A copy older than the one this tab has is saved over with this tab's.
+    // When both tabs saved the same revision of a record at once, the tab
+    // with the higher id keeps its version and saves it again, so every tab
+    // and the storage end up with it. Undo steps for records changed
+    // elsewhere are dropped, as undoing them would overwrite the other tab's
+    // change.
+    applyRemoteChanges({ tabId, changes, events }) {
+        const applied = [];
+        const collisions = [];
+        let resave = false;
+        STORAGE_STORES.forEach(store => {
+            const incoming = changes.filter(change => change.store === store);
+            if (incoming.length === 0) return;
+            
+            const records = [...this.getStoredRecords(store)];
+            incoming.forEach(change => {
+                const known = this.persisted[store].get(change.id);
+                if (known === change.after) return;
+                
+                const index = records.findIndex(record => record.id === change.id);
+                const record = change.after === null ? null : JSON.parse(change.after);
+                if (record && known) {
+                    const knownRevision = this.snapshotRevision(known);
+                    // The other tab has already written its older copy to the
+                    // shared storage, so this tab's newer one is saved again
+                    if (record.revision < knownRevision) {
+                        this.persisted[store].set(change.id, change.after);
+                        resave = true;
+                        return;
+                    }
+                    if (record.revision === knownRevision) {
+                        const keepOwn = this.tabId > tabId;
+                        collisions.push({ name: record.name || record.title || 'A record', keepOwn });
+                        if (keepOwn) {
+                            this.persisted[store].set(change.id, change.after);
+                            resave = true;
+                            return;
+                        }
+                    }
+                }
+                
+                if (index !== -1) records.splice(index, 1);
+                if (record) {
+                    records.splice(Math.min(change.afterIndex, records.length), 0, record);
+                    this.persisted[store].set(change.id, change.after);
+                } else {
+                    this.persisted[store].delete(change.id);
+                }
+                applied.push(change);
+            });
+            this.setStoredRecords(store, records);
+        });
+        
+        this.events.push(...events);
+        if (resave) this.saveData();
+        collisions.forEach(({ name, keepOwn }) => {
+            this.showToast(`"${name}" was changed in another tab at the same moment; ${keepOwn ? 'this' : 'that'} tab's version was kept`, 'warning');
+        });
+        if (applied.length === 0) return;
+        
+        const changedIds = new Set(applied.map(change => change.id));
+        this.discardHistoryFor(changedIds);
+        Object.keys(this.editBases).forEach(store => {
+            const base = this.editBases[store];
+            if (!base || !changedIds.has(base.id)) return;
+            // A choice made for an earlier change does not cover this one
+            this.editResolutions[store] = null;
+            this.showToast(`This ${this.describeStore(store)} was just changed in another tab; saving will ask how to combine the changes`, 'warning');
+        });
+        
+        this.switchView(this.currentView);
+        if (this.currentEditingTask) {
+            this.renderComments();
+            this.renderAttachments();
+        }
+        this.updateMentionBadge();
+        this.updateNotifications();
+    }
+
+    describeStore(store) {
+        return { members: 'member', projects: 'project', tasks: 'task', comments: 'comment', attachments: 'file' }[store];
+    }
+
+    // Edit forms keep the record as last saved when they opened. If another
+    // tab saves it before the form does, the save stops and asks whether to
+    // merge, overwrite or discard (see resolveConflict()).
+    beginEdit(store, id) {
+        const saved = id ? this.persisted[store].get(id) : undefined;
+        this.editBases[store] = saved ? JSON.parse(saved) : null;
+        this.editResolutions[store] = null;
+    }
+
+    endEdit(store) {
+        this.editBases[store] = null;
+        this.editResolutions[store] = null;
+    }
+
+    // False while the save has to wait for the user's choice, or cannot go
+    // ahead because the record is gone. retry() runs the save again.
+    checkStaleEdit(store, retry) {
+        const base = this.editBases[store];
+        if (!base || this.editResolutions[store]) return true;
+        
+        const latest = this.getStoredRecords(store).find(record => record.id === base.id);
+        if (!latest || latest.deletedAt) {
+            this.showToast(`This ${this.describeStore(store)} was ${latest ? 'moved to the trash' : 'deleted'} in another tab, so your changes cannot be saved`, 'error');
+            return false;
+        }
+        if ((latest.revision || 0) === (base.revision || 0)) return true;
+        
+        const fields = [...new Set([...Object.keys(base), ...Object.keys(latest)])]
+            .filter(field => !UNLOGGED_FIELDS.includes(field) && JSON.stringify(base[field]) !== JSON.stringify(latest[field]));
+        // Only unlogged fields such as the rank changed; merging loses nothing
+        if (fields.length === 0) {
+            this.editResolutions[store] = 'merge';
+            return true;
         }
+        
+        this.openConflictModal(store, latest, fields, retry);
+        return false;
+    }
+
+    // The form values to save. A merge leaves out the fields still as they
+    // were when the form opened, so the other tab's changes to them are kept.
+    editedFields(store, fields) {
+        const base = this.editBases[store];
+        if (!base || this.editResolutions[store] !== 'merge') return fields;
+        return Object.fromEntries(Object.entries(fields).filter(([field, value]) => JSON.stringify(value) !== JSON.stringify(base[field])));
+    }
+
+    openConflictModal(store, latest, fields, retry) {
+        const modal = document.getElementById('conflictModal');
+        const message = document.getElementById('conflictMessage');
+        const list = document.getElementById('conflictFields');
+        if (!modal || !message || !list) return;
+        
+        const event = { recordType: store.slice(0, -1), recordId: latest.id };
+        message.textContent = `This ${this.describeStore(store)} was changed in another tab after you opened it. Changed there:`;
+        list.replaceChildren(...fields.map(field => h('li', {},
+            h('strong', {}, EVENT_FIELD_LABELS[field] || field), `: ${this.formatEventValue(event, field, latest[field])}`
+        )));
+        this.pendingConflict = { store, retry };
+        modal.classList.add('active');
+    }
+
+    closeConflictModal() {
+        const modal = document.getElementById('conflictModal');
+        if (modal) modal.classList.remove('active');
+        this.pendingConflict = null;
     }
 
-    saveData() {
-        localStorage.setItem('projectflow_projects', JSON.stringify(this.projects));
-        localStorage.setItem('projectflow_tasks', JSON.stringify(this.tasks));
+    // 'merge' or 'overwrite' saves the form again; 'discard' closes it
+    resolveConflict(resolution) {
+        const conflict = this.pendingConflict;
+        this.closeConflictModal();
+        if (!conflict) return;
+        
+        if (resolution === 'discard') {
+            ({ members: () => this.closeMemberModal(), projects: () => this.closeProjectModal(), tasks: () => this.closeTaskModal() })[conflict.store]();
+            this.showToast('Your changes were discarded', 'info');
+            return;
+        }
+        this.editResolutions[conflict.store] = resolution;
+        conflict.retry();
     }
 
     // Event Listeners
@@ -191,6 +949,88 @@ class ProjectManager {
             });
         });
 
+        // Cards and buttons of the rendered views (see VIEW_ACTIONS).
+        // Checkboxes act on change, so clicking their label counts once.
+        const runViewAction = (e) => {
+            const target = e.target.closest('[data-action], a[href]');
+            if (!target || target.matches('a[href]') || (e.type === 'change') !== (target.type === 'checkbox')) return;
+            const action = VIEW_ACTIONS[target.dataset.action];
+            if (action) action(this, target.dataset);
+        };
+        document.addEventListener('click', runViewAction);
+        document.addEventListener('change', runViewAction);
+
+        // Details / History tabs of the task and project modals
+        document.querySelectorAll('.modal-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.switchModalTab(tab.closest('.modal'), tab.dataset.tab);
+            });
+        });
+
+        // Routing
+        window.addEventListener('hashchange', () => {
+            this.applyRoute();
+        });
+        window.addEventListener('popstate', () => {
+            this.applyRoute();
+        });
+
+        // Archived projects
+        const projectListFilter = document.getElementById('projectListFilter');
+        if (projectListFilter) {
+            projectListFilter.addEventListener('change', () => {
+                this.showArchivedProjects = projectListFilter.value === 'archived';
+                this.renderProjects();
+                this.updateRoute(true);
+            });
+        }
+
+        // Trash
+        const trashRetention = document.getElementById('trashRetention');
+        if (trashRetention) {
+            trashRetention.addEventListener('change', () => {
+                this.setTrashRetention(Number(trashRetention.value));
+            });
+        }
+
+        const emptyTrash = document.getElementById('emptyTrash');
+        if (emptyTrash) {
+            emptyTrash.addEventListener('click', () => {
+                this.emptyTrash();
+            });
+        }
+
+        // Saved filters
+        const saveCurrentFilter = document.getElementById('saveCurrentFilter');
+        if (saveCurrentFilter) {
+            saveCurrentFilter.addEventListener('click', () => {
+                this.saveCurrentFilter();
+            });
+        }
+
+        const copyViewLink = document.getElementById('copyViewLink');
+        if (copyViewLink) {
+            copyViewLink.addEventListener('click', () => {
+                this.copyViewLink();
+            });
+        }
+
+        // Undo / redo. Text fields keep their own undo.
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+            if (document.querySelector('.modal-overlay.active')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
         // Theme toggle
         const themeToggle = document.getElementById('themeToggle');
         if (themeToggle) {
@@ -205,6 +1045,43 @@ class ProjectManager {
             globalSearch.addEventListener('input', (e) => {
                 this.handleGlobalSearch(e.target.value);
             });
+            globalSearch.addEventListener('focus', (e) => {
+                this.handleGlobalSearch(e.target.value);
+            });
+            globalSearch.addEventListener('keydown', (e) => {
+                this.handleSearchKeydown(e);
+            });
+        }
+
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.search-container')) {
+                this.closeSearchResults();
+            }
+            // The path as dispatched, as snoozing or dismissing re-renders the clicked item
+            if (!e.composedPath().some(node => node.classList && node.classList.contains('notification-container'))) {
+                this.toggleNotificationCenter(false);
+            }
+        });
+
+        const reloadForUpdate = document.getElementById('reloadForUpdate');
+        if (reloadForUpdate) {
+            reloadForUpdate.addEventListener('click', () => {
+                this.applyUpdate();
+            });
+        }
+
+        const dismissUpdate = document.getElementById('dismissUpdate');
+        if (dismissUpdate) {
+            dismissUpdate.addEventListener('click', () => {
+                document.getElementById('updateBanner').classList.add('hidden');
+            });
+        }
+
+        const notificationToggle = document.getElementById('notificationToggle');
+        if (notificationToggle) {
+            notificationToggle.addEventListener('click', () => {
+                this.toggleNotificationCenter();
+            });
         }
 
         // Modal controls
@@ -225,6 +1102,21 @@ class ProjectManager {
             });
         }
 
+        // Workspace import / export
+        const exportWorkspace = document.getElementById('exportWorkspace');
+        if (exportWorkspace) {
+            exportWorkspace.addEventListener('click', () => {
+                this.exportWorkspace();
+            });
+        }
+
+        const importWorkspace = document.getElementById('importWorkspace');
+        if (importWorkspace) {
+            importWorkspace.addEventListener('click', () => {
+                this.openImportModal();
+            });
+        }
+
         // Project actions
         const addProjectBtn = document.getElementById('addProjectBtn');
         if (addProjectBtn) {
@@ -241,6 +1133,36 @@ class ProjectManager {
             });
         }
 
+        // Task CSV import / export
+        const exportTasksCsv = document.getElementById('exportTasksCsv');
+        if (exportTasksCsv) {
+            exportTasksCsv.addEventListener('click', () => {
+                this.exportTasksCsv();
+            });
+        }
+
+        const importTasksCsv = document.getElementById('importTasksCsv');
+        if (importTasksCsv) {
+            importTasksCsv.addEventListener('click', () => {
+                this.openCsvImportModal();
+            });
+        }
+
+        // Calendar import / export
+        const exportCalendar = document.getElementById('exportCalendar');
+        if (exportCalendar) {
+            exportCalendar.addEventListener('click', () => {
+                this.exportICalendar();
+            });
+        }
+
+        const importCalendar = document.getElementById('importCalendar');
+        if (importCalendar) {
+            importCalendar.addEventListener('click', () => {
+                this.openIcsImportModal();
+            });
+        }
+
         // Task view toggles
         document.querySelectorAll('.view-toggle').forEach(toggle => {
             toggle.addEventListener('click', (e) => {
@@ -249,11 +1171,40 @@ class ProjectManager {
             });
         });
 
+        // Kanban drag and drop
+        this.setupKanbanDragAndDrop();
+
+        // Timeline
+        const ganttProject = document.getElementById('ganttProject');
+        if (ganttProject) {
+            ganttProject.addEventListener('change', () => {
+                this.renderGantt();
+                this.updateRoute(true);
+            });
+        }
+
+        document.querySelectorAll('.gantt-zoom').forEach(button => {
+            button.addEventListener('click', (e) => {
+                this.setGanttZoom(e.currentTarget.getAttribute('data-zoom'));
+            });
+        });
+
+        const ganttToday = document.getElementById('ganttToday');
+        if (ganttToday) {
+            ganttToday.addEventListener('click', () => {
+                this.scrollGanttToToday();
+            });
+        }
+
+        this.setupGanttInteractions();
+
         // Task filters
         const filterProject = document.getElementById('filterProject');
         if (filterProject) {
             filterProject.addEventListener('change', () => {
+                this.populateStatusFilter();
                 this.renderTasks();
+                this.updateRoute(true);
             });
         }
 
@@ -261,6 +1212,7 @@ class ProjectManager {
         if (filterPriority) {
             filterPriority.addEventListener('change', () => {
                 this.renderTasks();
+                this.updateRoute(true);
             });
         }
 
@@ -268,6 +1220,31 @@ class ProjectManager {
         if (filterStatus) {
             filterStatus.addEventListener('change', () => {
                 this.renderTasks();
+                this.updateRoute(true);
+            });
+        }
+
+        const filterAssignee = document.getElementById('filterAssignee');
+        if (filterAssignee) {
+            filterAssignee.addEventListener('change', () => {
+                this.renderTasks();
+                this.updateRoute(true);
+            });
+        }
+
+        // My Work
+        const myWorkMember = document.getElementById('myWorkMember');
+        if (myWorkMember) {
+            myWorkMember.addEventListener('change', (e) => {
+                this.setCurrentMember(e.target.value);
+            });
+        }
+
+        // Team
+        const addMemberBtn = document.getElementById('addMemberBtn');
+        if (addMemberBtn) {
+            addMemberBtn.addEventListener('click', () => {
+                this.openMemberModal();
             });
         }
 
@@ -311,6 +1288,36 @@ class ProjectManager {
             });
         }
 
+        const addWorkflowStatus = document.getElementById('addWorkflowStatus');
+        if (addWorkflowStatus) {
+            addWorkflowStatus.addEventListener('click', () => {
+                this.addWorkflowStatus();
+            });
+        }
+
+        // Member modal
+        const closeMemberModal = document.getElementById('closeMemberModal');
+        if (closeMemberModal) {
+            closeMemberModal.addEventListener('click', () => {
+                this.closeMemberModal();
+            });
+        }
+
+        const cancelMemberModal = document.getElementById('cancelMemberModal');
+        if (cancelMemberModal) {
+            cancelMemberModal.addEventListener('click', () => {
+                this.closeMemberModal();
+            });
+        }
+
+        const saveMember = document.getElementById('saveMember');
+        if (saveMember) {
+            saveMember.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.saveMember();
+            });
+        }
+
         // Task modal
         const closeTaskModal = document.getElementById('closeTaskModal');
         if (closeTaskModal) {
@@ -334,21 +1341,329 @@ class ProjectManager {
             });
         }
 
-        // Close modals on overlay click
-        const projectModal = document.getElementById('projectModal');
-        if (projectModal) {
-            projectModal.addEventListener('click', (e) => {
-                if (e.target === e.currentTarget) {
-                    this.closeProjectModal();
-                }
+        // Status options follow the selected project's workflow
+        const taskProject = document.getElementById('taskProject');
+        if (taskProject) {
+            taskProject.addEventListener('change', () => {
+                const statusField = document.getElementById('taskStatus');
+                const parentField = document.getElementById('taskParent');
+                this.populateTaskStatusOptions(taskProject.value, statusField ? statusField.value : '');
+                this.populateParentOptions(taskProject.value, this.currentEditingTask, parentField ? parentField.value : '');
             });
         }
 
-        const taskModal = document.getElementById('taskModal');
-        if (taskModal) {
-            taskModal.addEventListener('click', (e) => {
-                if (e.target === e.currentTarget) {
-                    this.closeTaskModal();
+        // Recurrence fields follow the chosen frequency and end
+        const taskRepeat = document.getElementById('taskRepeat');
+        if (taskRepeat) {
+            taskRepeat.addEventListener('change', () => {
+                this.suggestRepeatWeekday();
+                this.updateRecurrenceFields();
+            });
+        }
+
+        ['taskRepeatInterval', 'taskRepeatEnd'].forEach(id => {
+            const field = document.getElementById(id);
+            if (field) {
+                field.addEventListener('change', () => {
+                    this.updateRecurrenceFields();
+                });
+            }
+        });
+
+        const addChecklistItem = document.getElementById('addChecklistItem');
+        if (addChecklistItem) {
+            addChecklistItem.addEventListener('click', () => {
+                this.addChecklistItem();
+            });
+        }
+
+        const addReminder = document.getElementById('addReminder');
+        if (addReminder) {
+            addReminder.addEventListener('click', () => {
+                this.addReminder();
+            });
+        }
+
+        const newChecklistItem = document.getElementById('newChecklistItem');
+        if (newChecklistItem) {
+            newChecklistItem.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.addChecklistItem();
+                }
+            });
+        }
+
+        // Comments tab of the task modal
+        const commentAuthor = document.getElementById('commentAuthor');
+        if (commentAuthor) {
+            commentAuthor.addEventListener('change', (e) => {
+                this.setCurrentMember(e.target.value);
+                this.renderComments();
+            });
+        }
+
+        const addComment = document.getElementById('addComment');
+        if (addComment) {
+            addComment.addEventListener('click', () => {
+                this.addComment();
+            });
+        }
+
+        const commentBody = document.getElementById('commentBody');
+        const commentMentionSuggestions = document.getElementById('commentMentionSuggestions');
+        if (commentBody && commentMentionSuggestions) {
+            this.attachMentionSuggestions(commentBody, commentMentionSuggestions);
+            commentBody.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                    e.preventDefault();
+                    this.addComment();
+                }
+            });
+        }
+
+        // Live Markdown previews of the descriptions
+        [['projectDescription', 'projectDescriptionPreview'], ['taskDescription', 'taskDescriptionPreview']].forEach(([fieldId, previewId]) => {
+            const field = document.getElementById(fieldId);
+            if (field) {
+                field.addEventListener('input', () => {
+                    this.renderDescriptionPreview(fieldId, previewId);
+                });
+            }
+        });
+
+        // Files tab of the task modal
+        const attachmentInput = document.getElementById('attachmentInput');
+        if (attachmentInput) {
+            attachmentInput.addEventListener('change', (e) => {
+                this.addAttachments([...e.target.files]);
+                e.target.value = '';
+            });
+        }
+
+        const attachmentDrop = document.getElementById('attachmentDrop');
+        if (attachmentDrop) {
+            attachmentDrop.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                attachmentDrop.classList.add('drag-over');
+            });
+            attachmentDrop.addEventListener('dragleave', () => {
+                attachmentDrop.classList.remove('drag-over');
+            });
+            attachmentDrop.addEventListener('drop', (e) => {
+                e.preventDefault();
+                attachmentDrop.classList.remove('drag-over');
+                this.addAttachments([...e.dataTransfer.files]);
+            });
+        }
+
+        // Attachment preview modal
+        ['closeAttachmentPreview', 'cancelAttachmentPreview'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => {
+                    this.closeAttachmentPreview();
+                });
+            }
+        });
+
+        const downloadAttachment = document.getElementById('downloadAttachment');
+        if (downloadAttachment) {
+            downloadAttachment.addEventListener('click', () => {
+                this.downloadAttachment(this.previewAttachmentId);
+            });
+        }
+
+        // Import modal
+        const closeImportModal = document.getElementById('closeImportModal');
+        if (closeImportModal) {
+            closeImportModal.addEventListener('click', () => {
+                this.closeImportModal();
+            });
+        }
+
+        const cancelImportModal = document.getElementById('cancelImportModal');
+        if (cancelImportModal) {
+            cancelImportModal.addEventListener('click', () => {
+                this.closeImportModal();
+            });
+        }
+
+        const importFile = document.getElementById('importFile');
+        if (importFile) {
+            importFile.addEventListener('change', (e) => {
+                this.handleImportFile(e.target.files[0]);
+            });
+        }
+
+        const importMode = document.getElementById('importMode');
+        if (importMode) {
+            importMode.addEventListener('change', () => {
+                this.renderImportReport();
+            });
+        }
+
+        const confirmImport = document.getElementById('confirmImport');
+        if (confirmImport) {
+            confirmImport.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.applyImport();
+            });
+        }
+
+        // CSV import modal
+        const closeCsvImportModal = document.getElementById('closeCsvImportModal');
+        if (closeCsvImportModal) {
+            closeCsvImportModal.addEventListener('click', () => {
+                this.closeCsvImportModal();
+            });
+        }
+
+        const cancelCsvImportModal = document.getElementById('cancelCsvImportModal');
+        if (cancelCsvImportModal) {
+            cancelCsvImportModal.addEventListener('click', () => {
+                this.closeCsvImportModal();
+            });
+        }
+
+        const csvImportFile = document.getElementById('csvImportFile');
+        if (csvImportFile) {
+            csvImportFile.addEventListener('change', (e) => {
+                this.handleCsvFile(e.target.files[0]);
+            });
+        }
+
+        const confirmCsvImport = document.getElementById('confirmCsvImport');
+        if (confirmCsvImport) {
+            confirmCsvImport.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.applyCsvImport();
+            });
+        }
+
+        // Calendar import modal
+        const closeIcsImportModal = document.getElementById('closeIcsImportModal');
+        if (closeIcsImportModal) {
+            closeIcsImportModal.addEventListener('click', () => {
+                this.closeIcsImportModal();
+            });
+        }
+
+        const cancelIcsImportModal = document.getElementById('cancelIcsImportModal');
+        if (cancelIcsImportModal) {
+            cancelIcsImportModal.addEventListener('click', () => {
+                this.closeIcsImportModal();
+            });
+        }
+
+        const icsImportFile = document.getElementById('icsImportFile');
+        if (icsImportFile) {
+            icsImportFile.addEventListener('change', (e) => {
+                this.handleIcsFile(e.target.files[0]);
+            });
+        }
+
+        const icsImportProject = document.getElementById('icsImportProject');
+        if (icsImportProject) {
+            icsImportProject.addEventListener('change', () => {
+                this.renderIcsReport();
+            });
+        }
+
+        const confirmIcsImport = document.getElementById('confirmIcsImport');
+        if (confirmIcsImport) {
+            confirmIcsImport.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.applyIcsImport();
+            });
+        }
+
+        // Edit conflict modal
+        const closeConflictModal = document.getElementById('closeConflictModal');
+        if (closeConflictModal) {
+            closeConflictModal.addEventListener('click', () => {
+                this.closeConflictModal();
+            });
+        }
+
+        [['discardConflict', 'discard'], ['overwriteConflict', 'overwrite'], ['mergeConflict', 'merge']].forEach(([id, resolution]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => {
+                    this.resolveConflict(resolution);
+                });
+            }
+        });
+
+        // Close modals on overlay click
+        const projectModal = document.getElementById('projectModal');
+        if (projectModal) {
+            projectModal.addEventListener('click', (e) => {
+                if (e.target === e.currentTarget) {
+                    this.closeProjectModal();
+                }
+            });
+        }
+
+        const memberModal = document.getElementById('memberModal');
+        if (memberModal) {
+            memberModal.addEventListener('click', (e) => {
+                if (e.target === e.currentTarget) {
+                    this.closeMemberModal();
+                }
+            });
+        }
+
+        const taskModal = document.getElementById('taskModal');
+        if (taskModal) {
+            taskModal.addEventListener('click', (e) => {
+                if (e.target === e.currentTarget) {
+                    this.closeTaskModal();
+                }
+            });
+        }
+
+        const attachmentPreviewModal = document.getElementById('attachmentPreviewModal');
+        if (attachmentPreviewModal) {
+            attachmentPreviewModal.addEventListener('click', (e) => {
+                if (e.target === e.currentTarget) {
+                    this.closeAttachmentPreview();
+                }
+            });
+        }
+
+        const importModal = document.getElementById('importModal');
+        if (importModal) {
+            importModal.addEventListener('click', (e) => {
+                if (e.target === e.currentTarget) {
+                    this.closeImportModal();
+                }
+            });
+        }
+
+        const csvImportModal = document.getElementById('csvImportModal');
+        if (csvImportModal) {
+            csvImportModal.addEventListener('click', (e) => {
+                if (e.target === e.currentTarget) {
+                    this.closeCsvImportModal();
+                }
+            });
+        }
+
+        const icsImportModal = document.getElementById('icsImportModal');
+        if (icsImportModal) {
+            icsImportModal.addEventListener('click', (e) => {
+                if (e.target === e.currentTarget) {
+                    this.closeIcsImportModal();
+                }
+            });
+        }
+
+        const conflictModal = document.getElementById('conflictModal');
+        if (conflictModal) {
+            conflictModal.addEventListener('click', (e) => {
+                if (e.target === e.currentTarget) {
+                    this.closeConflictModal();
                 }
             });
         }
@@ -376,6 +1691,77 @@ class ProjectManager {
         }
     }
 
+    // Offline App Shell
+    // sw.js caches the app for offline use. A new release installs a new
+    // worker, which waits until the user reloads from the update banner.
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) return;
+        
+        // A first install takes control too; only an accepted update reloads
+        const hadController = Boolean(navigator.serviceWorker.controller);
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updateAccepted) {
+                window.location.reload();
+            } else if (hadController) {
+                // Another tab accepted the update; this one still runs the old release
+                this.showUpdateBanner(null);
+            }
+        });
+        // The worker found changed files and has cached the new release
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'update-ready') {
+                this.showUpdateBanner(this.waitingWorker);
+            }
+        });
+        
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdateBanner(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdateBanner(worker);
+                    }
+                });
+            });
+            const checkShell = () => {
+                if (navigator.serviceWorker.controller) {
+                    navigator.serviceWorker.controller.postMessage({ type: 'check-update' });
+                }
+            };
+            checkShell();
+            setInterval(() => {
+                registration.update().catch(() => {});
+                checkShell();
+            }, UPDATE_CHECK_INTERVAL_MS);
+        }).catch(error => {
+            console.warn('ProjectFlow: offline support unavailable', error);
+        });
+    }
+
+    showUpdateBanner(worker) {
+        this.waitingWorker = worker;
+        const banner = document.getElementById('updateBanner');
+        if (banner) banner.classList.remove('hidden');
+    }
+
+    // Reloads once pending writes are saved; the waiting worker is told to
+    // take over first, and the page reloads when it has
+    applyUpdate() {
+        if (document.querySelector('.modal-overlay.active') && !confirm('Reload now? Unsaved changes in the open form will be lost.')) return;
+        
+        this.pendingWrites.then(() => {
+            if (this.waitingWorker && this.waitingWorker.state === 'installed') {
+                this.updateAccepted = true;
+                this.waitingWorker.postMessage({ type: 'skip-waiting' });
+            } else {
+                window.location.reload();
+            }
+        });
+    }
+
     // Navigation
     switchView(view) {
         // Update navigation
@@ -407,10 +1793,25 @@ class ProjectManager {
                 this.renderProjects();
                 break;
             case 'tasks':
-                this.renderTasks();
                 this.populateProjectFilters();
+                this.renderTasks();
+                break;
+            case 'gantt':
+                this.renderGantt();
+                this.scrollGanttToToday();
+                break;
+            case 'mywork':
+                this.renderMyWork();
+                break;
+            case 'team':
+                this.renderMembers();
+                break;
+            case 'trash':
+                this.renderTrash();
                 break;
         }
+        
+        this.updateRoute();
     }
 
     switchTaskView(viewType) {
@@ -435,6 +1836,161 @@ class ProjectManager {
         }
 
         this.currentTaskView = viewType;
+        this.updateRoute(true);
+    }
+
+    // Routing
+    // The URL hash holds the view and its filters, e.g.
+    // #/tasks?project=proj-1&priority=high&view=kanban, so views can be
+    // bookmarked, shared and reached with back/forward.
+    parseRoute(hash) {
+        const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+        return {
+            view: ROUTE_VIEWS.includes(path) ? path : 'dashboard',
+            params: new URLSearchParams(query)
+        };
+    }
+
+    buildRoute() {
+        const params = new URLSearchParams();
+        if (this.currentView === 'tasks') {
+            TASK_ROUTE_FILTERS.forEach(({ param, elementId }) => {
+                const select = document.getElementById(elementId);
+                if (select && select.value) params.set(param, select.value);
+            });
+            if (this.currentTaskView === 'kanban') params.set('view', 'kanban');
+        } else if (this.currentView === 'projects') {
+            if (this.showArchivedProjects) params.set('show', 'archived');
+        } else if (this.currentView === 'gantt') {
+            const ganttProject = document.getElementById('ganttProject');
+            if (ganttProject && ganttProject.value) params.set('project', ganttProject.value);
+            if (this.ganttZoom !== 'week') params.set('zoom', this.ganttZoom);
+        }
+        
+        const query = params.toString();
+        return `#/${this.currentView}${query ? `?${query}` : ''}`;
+    }
+
+    // Shows the view and filters in the URL. Values that no longer exist,
+    // such as a deleted project, are dropped from the URL.
+    applyRoute() {
+        if (location.hash === this.currentRoute) return;
+        
+        const { view, params } = this.parseRoute(location.hash);
+        this.applyingRoute = true;
+        if (view === 'tasks') {
+            this.populateProjectFilters();
+            this.setSelectValue('filterProject', params.get('project'));
+            this.populateStatusFilter();
+            TASK_ROUTE_FILTERS.filter(({ param }) => param !== 'project').forEach(({ param, elementId }) => {
+                this.setSelectValue(elementId, params.get(param));
+            });
+            this.switchTaskView(params.get('view') === 'kanban' ? 'kanban' : 'list');
+        } else if (view === 'projects') {
+            this.showArchivedProjects = params.get('show') === 'archived';
+        } else if (view === 'gantt') {
+            this.populateGanttProjectFilter();
+            this.setSelectValue('ganttProject', params.get('project'));
+            this.ganttZoom = GANTT_ZOOM_LEVELS[params.get('zoom')] ? params.get('zoom') : 'week';
+        }
+        this.switchView(view);
+        this.applyingRoute = false;
+        this.updateRoute(true);
+    }
+
+    // View changes add a history entry; filter changes replace the current one
+    updateRoute(replace = false) {
+        if (this.applyingRoute) return;
+        
+        const route = this.buildRoute();
+        if (route !== location.hash) {
+            history[replace ? 'replaceState' : 'pushState'](null, '', route);
+        }
+        this.currentRoute = route;
+        this.renderSavedFilters();
+    }
+
+    setSelectValue(elementId, value) {
+        const select = document.getElementById(elementId);
+        if (!select) return;
+        select.value = [...select.options].some(option => option.value === value) ? value : '';
+    }
+
+    // Saved filters are named routes, kept with the shared data so the whole
+    // team sees them in the sidebar
+    renderSavedFilters() {
+        const list = document.getElementById('savedFilterList');
+        if (!list) return;
+        
+        if (this.savedFilters.length === 0) {
+            list.replaceChildren(this.createTextElement('li', 'Save the current view and filters to get back to them in one click.', 'saved-filter-empty'));
+            return;
+        }
+        
+        list.replaceChildren(...this.savedFilters.map(filter => {
+            const item = document.createElement('li');
+            item.className = 'saved-filter';
+            
+            const link = this.createTextElement('a', filter.name, 'saved-filter-link');
+            link.href = filter.route;
+            link.classList.toggle('active', filter.route === this.currentRoute);
+            
+            const remove = this.createTextElement('button', '×', 'saved-filter-remove');
+            remove.type = 'button';
+            remove.title = `Delete "${filter.name}"`;
+            remove.setAttribute('aria-label', `Delete saved filter ${filter.name}`);
+            remove.addEventListener('click', () => this.deleteSavedFilter(filter.id));
+            
+            item.append(link, remove);
+            return item;
+        }));
+    }
+
+    saveCurrentFilter() {
+        const route = this.buildRoute();
+        const existing = this.savedFilters.find(filter => filter.route === route);
+        if (existing) {
+            this.showToast(`This view is already saved as "${existing.name}"`, 'info');
+            return;
+        }
+        
+        const name = (prompt('Name this saved filter', '') || '').trim();
+        if (!name) return;
+        if (this.savedFilters.some(filter => filter.name.toLowerCase() === name.toLowerCase())) {
+            this.showToast(`A saved filter named "${name}" already exists`, 'error');
+            return;
+        }
+        
+        this.savedFilters.push({ id: `filter-${Date.now()}`, name, route });
+        this.saveSavedFilters();
+        this.renderSavedFilters();
+        this.showToast(`Saved "${name}"`, 'success');
+    }
+
+    deleteSavedFilter(filterId) {
+        const filter = this.savedFilters.find(f => f.id === filterId);
+        if (!filter || !confirm(`Delete the saved filter "${filter.name}"?`)) return;
+        
+        this.savedFilters = this.savedFilters.filter(f => f.id !== filterId);
+        this.saveSavedFilters();
+        this.renderSavedFilters();
+        this.showToast('Saved filter deleted', 'success');
+    }
+
+    saveSavedFilters() {
+        return this.storage.setMeta('savedFilters', this.savedFilters).catch(error => {
+            console.error('Failed to save filters', error);
+            this.showToast('Failed to save filters', 'error');
+        });
+    }
+
+    async copyViewLink() {
+        try {
+            await navigator.clipboard.writeText(location.href);
+            this.showToast('Link to this view copied', 'success');
+        } catch (error) {
+            this.showToast('Could not copy the link; copy it from the address bar instead', 'warning');
+        }
     }
 
     // Dashboard Rendering
@@ -444,12 +2000,15 @@ class ProjectManager {
         this.renderCalendar();
     }
 
+    // Archived projects and their tasks are left out
     updateDashboardStats() {
-        const totalProjects = this.projects.length;
-        const activeTasks = this.tasks.filter(task => task.status !== 'completed').length;
-        const completedTasks = this.tasks.filter(task => task.status === 'completed').length;
+        const archivedIds = new Set(this.projects.filter(project => project.archived).map(project => project.id));
+        const tasks = this.tasks.filter(task => !archivedIds.has(task.projectId));
+        const totalProjects = this.projects.length - archivedIds.size;
+        const activeTasks = tasks.filter(task => !this.isTaskDone(task)).length;
+        const completedTasks = tasks.filter(task => this.isTaskDone(task)).length;
         const today = new Date().toISOString().split('T')[0];
-        const tasksDueToday = this.tasks.filter(task => task.dueDate === today).length;
+        const tasksDueToday = tasks.filter(task => task.dueDate === today).length;
 
         const totalProjectsEl = document.getElementById('totalProjects');
         const activeTasksEl = document.getElementById('activeTasks');
@@ -462,27 +2021,6 @@ class ProjectManager {
         if (tasksDueTodayEl) tasksDueTodayEl.textContent = tasksDueToday;
     }
 
-    renderActivityFeed() {
-        const activityFeed = document.getElementById('activityFeed');
-        if (!activityFeed) return;
-
-        const recentTasks = this.tasks
-            .sort((a, b) => new Date(b.createdDate) - new Date(a.createdDate))
-            .slice(0, 5);
-
-        activityFeed.innerHTML = recentTasks.map(task => {
-            const project = this.projects.find(p => p.id === task.projectId);
-            return `
-                <div class="activity-item">
-                    <div class="activity-text">
-                        Task "${task.title}" was created in ${project ? project.name : 'Unknown Project'}
-                    </div>
-                    <div class="activity-time">${this.formatDate(task.createdDate)}</div>
-                </div>
-            `;
-        }).join('');
-    }
-
     // Calendar functionality
     renderCalendar() {
         const calendarContainer = document.getElementById('calendarContainer');
@@ -505,86 +2043,62 @@ class ProjectManager {
         const lastDay = new Date(year, month + 1, 0);
         const daysInMonth = lastDay.getDate();
         const startingDayOfWeek = firstDay.getDay();
+        const monthPrefix = `${year}-${String(month + 1).padStart(2, '0')}`;
+        const upcoming = this.getUpcomingOccurrences(`${monthPrefix}-01`, `${monthPrefix}-${String(daysInMonth).padStart(2, '0')}`);
 
-        // Create calendar HTML
-        let calendarHTML = `
-            <div class="calendar-grid">
-                <div class="calendar-header">
-                    <div class="calendar-day-header">Sun</div>
-                    <div class="calendar-day-header">Mon</div>
-                    <div class="calendar-day-header">Tue</div>
-                    <div class="calendar-day-header">Wed</div>
-                    <div class="calendar-day-header">Thu</div>
-                    <div class="calendar-day-header">Fri</div>
-                    <div class="calendar-day-header">Sat</div>
-                </div>
-                <div class="calendar-body">
-        `;
-
+        const days = [];
+        
         // Add empty cells for days before the first day of the month
         for (let i = 0; i < startingDayOfWeek; i++) {
-            calendarHTML += '<div class="calendar-day empty"></div>';
+            days.push(h('div', { className: 'calendar-day empty' }));
         }
 
         // Add days of the month
         for (let day = 1; day <= daysInMonth; day++) {
-            const dateString = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+            const dateString = `${monthPrefix}-${String(day).padStart(2, '0')}`;
             const tasksForDay = this.tasks.filter(task => task.dueDate === dateString);
+            const upcomingForDay = upcoming.get(dateString) || [];
+            const count = tasksForDay.length + upcomingForDay.length;
             const isToday = dateString === new Date().toISOString().split('T')[0];
             
             let dayClasses = 'calendar-day';
-            if (tasksForDay.length > 0) dayClasses += ' has-tasks';
+            if (count > 0) dayClasses += ' has-tasks';
             if (isToday) dayClasses += ' today';
 
-            calendarHTML += `
-                <div class="${dayClasses}" data-date="${dateString}">
-                    <div class="calendar-day-number">${day}</div>
-                    ${tasksForDay.length > 0 ? `<div class="calendar-task-count">${tasksForDay.length}</div>` : ''}
-                    ${tasksForDay.length > 0 ? this.renderCalendarTasks(tasksForDay) : ''}
-                </div>
-            `;
+            days.push(h('div', { className: dayClasses, dataset: { action: 'show-date', date: dateString } },
+                h('div', { className: 'calendar-day-number' }, day),
+                count > 0 && h('div', { className: 'calendar-task-count' }, count),
+                count > 0 && this.renderCalendarTasks(tasksForDay, upcomingForDay)
+            ));
         }
 
-        calendarHTML += `
-                </div>
-            </div>
-        `;
-
-        calendarContainer.innerHTML = calendarHTML;
-
-        // Add click listeners to calendar days
-        document.querySelectorAll('.calendar-day[data-date]').forEach(dayEl => {
-            dayEl.addEventListener('click', (e) => {
-                const date = e.currentTarget.getAttribute('data-date');
-                this.showTasksForDate(date);
-            });
-        });
+        calendarContainer.replaceChildren(h('div', { className: 'calendar-grid' },
+            h('div', { className: 'calendar-header' },
+                ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(name => h('div', { className: 'calendar-day-header' }, name))
+            ),
+            h('div', { className: 'calendar-body' }, days)
+        ));
     }
 
-    renderCalendarTasks(tasks) {
-        if (tasks.length === 0) return '';
+    // Upcoming occurrences of repeating tasks are listed after the real tasks
+    renderCalendarTasks(tasks, upcoming = []) {
+        const entries = [...tasks.map(task => ({ task, upcoming: false })), ...upcoming.map(task => ({ task, upcoming: true }))];
+        if (entries.length === 0) return null;
         
         const maxVisible = 2;
-        const visibleTasks = tasks.slice(0, maxVisible);
-        const remainingCount = tasks.length - maxVisible;
-        
-        let tasksHTML = '<div class="calendar-tasks">';
-        
-        visibleTasks.forEach(task => {
-            const priorityClass = `priority-${task.priority}`;
-            tasksHTML += `
-                <div class="calendar-task ${priorityClass}" title="${task.title}">
-                    ${task.title.length > 15 ? task.title.substring(0, 15) + '...' : task.title}
-                </div>
-            `;
-        });
-        
-        if (remainingCount > 0) {
-            tasksHTML += `<div class="calendar-task-more">+${remainingCount} more</div>`;
-        }
+        const visibleEntries = entries.slice(0, maxVisible);
+        const remainingCount = entries.length - maxVisible;
         
-        tasksHTML += '</div>';
-        return tasksHTML;
+        return h('div', { className: 'calendar-tasks' },
+            visibleEntries.map(({ task, upcoming: isUpcoming }) => {
+                const label = isUpcoming ? `↻ ${task.title}` : task.title;
+                return h('div', {
+                    className: `calendar-task priority-${task.priority} ${isUpcoming ? 'upcoming' : ''}`,
+                    title: isUpcoming ? `Upcoming: ${task.title}` : task.title
+                }, label.length > 15 ? label.substring(0, 15) + '...' : label);
+            }),
+            remainingCount > 0 && h('div', { className: 'calendar-task-more' }, `+${remainingCount} more`)
+        );
     }
 
     navigateCalendar(direction) {
@@ -596,135 +2110,1006 @@ class ProjectManager {
 
     showTasksForDate(date) {
         const tasksForDate = this.tasks.filter(task => task.dueDate === date);
+        const upcoming = this.getUpcomingOccurrences(date, date).get(date) || [];
         
-        if (tasksForDate.length === 0) {
+        if (tasksForDate.length === 0 && upcoming.length === 0) {
             this.showToast(`No tasks scheduled for ${this.formatDate(date)}`, 'info');
             return;
         }
 
         // Create a simple modal or alert showing tasks for the selected date
-        const tasksList = tasksForDate.map(task => {
-            const project = this.projects.find(p => p.id === task.projectId);
-            return `• ${task.title} (${project ? project.name : 'Unknown Project'}) - ${task.priority} priority`;
-        }).join('\n');
+        const tasksList = [
+            ...tasksForDate.map(task => {
+                const project = this.projects.find(p => p.id === task.projectId);
+                return `• ${task.title} (${project ? project.name : 'Unknown Project'}) - ${task.priority} priority`;
+            }),
+            ...upcoming.map(task => {
+                const project = this.projects.find(p => p.id === task.projectId);
+                return `• ↻ ${task.title} (${project ? project.name : 'Unknown Project'}) - upcoming occurrence`;
+            })
+        ].join('\n');
 
         alert(`Tasks for ${this.formatDate(date)}:\n\n${tasksList}`);
     }
 
-    // Projects Rendering
-    renderProjects() {
-        const projectsGrid = document.getElementById('projectsGrid');
-        if (!projectsGrid) return;
+    // Timeline (Gantt) view
+    renderGantt() {
+        const chart = document.getElementById('ganttChart');
+        if (!chart) return;
         
-        projectsGrid.innerHTML = this.projects.map(project => {
-            const projectTasks = this.tasks.filter(task => task.projectId === project.id);
-            const completedTasks = projectTasks.filter(task => task.status === 'completed').length;
-            const progress = projectTasks.length > 0 ? Math.round((completedTasks / projectTasks.length) * 100) : 0;
-            
-            return `
-                <div class="project-card" onclick="projectManager.editProject('${project.id}')">
-                    <div class="project-header">
-                        <h3 class="project-name">${project.name}</h3>
-                        <span class="project-status ${project.status}">${project.status}</span>
-                    </div>
-                    <p class="project-description">${project.description}</p>
-                    <div class="project-meta">
-                        <span>Due: ${this.formatDate(project.dueDate)}</span>
-                        <span>${projectTasks.length} tasks</span>
-                    </div>
-                    <div class="project-progress">
-                        <div class="progress-label">
-                            <span>Progress</span>
-                            <span>${progress}%</span>
-                        </div>
-                        <div class="progress-bar">
-                            <div class="progress-fill" style="width: ${progress}%"></div>
-                        </div>
-                    </div>
-                    <div class="project-actions">
-                        <button class="btn btn--outline btn-icon" onclick="event.stopPropagation(); projectManager.editProject('${project.id}')">✏️</button>
-                        <button class="btn btn--outline btn-icon" onclick="event.stopPropagation(); projectManager.deleteProject('${project.id}')">🗑️</button>
-                    </div>
-                </div>
-            `;
-        }).join('');
-    }
-
-    // Tasks Rendering
-    renderTasks() {
-        if (this.currentTaskView === 'kanban') {
-            this.renderKanban();
-        } else {
-            this.renderTaskList();
+        const projectFilter = document.getElementById('ganttProject');
+        this.populateGanttProjectFilter();
+        document.querySelectorAll('.gantt-zoom').forEach(button => {
+            button.classList.toggle('active', button.getAttribute('data-zoom') === this.ganttZoom);
+        });
+        
+        const projects = this.projects.filter(project => !projectFilter || !projectFilter.value || project.id === projectFilter.value);
+        if (projects.length === 0) {
+            chart.replaceChildren(h('p', { className: 'gantt-empty' }, 'No projects to show.'));
+            return;
         }
-    }
-
-    renderTaskList() {
-        const tasksContainer = document.getElementById('tasksContainer');
-        if (!tasksContainer) return;
-
-        const filteredTasks = this.getFilteredTasks();
         
-        tasksContainer.innerHTML = filteredTasks.map(task => {
+        // Each project is followed by its tasks, subtasks nested under their parent
+        const rows = [];
+        projects.forEach(project => {
+            const taskRows = [];
+            const addTasks = (tasks, depth) => tasks.forEach(task => {
+                taskRows.push({ task, depth, span: this.getTaskSpan(task) });
+                addTasks(this.getSubtasks(task.id), depth + 1);
+            });
+            addTasks(this.tasks.filter(task => task.projectId === project.id && !task.parentId).sort((a, b) => a.rank - b.rank), 1);
+            rows.push({ project, depth: 0, span: this.getProjectSpan(project, taskRows.map(row => row.span).filter(Boolean)) });
+            rows.push(...taskRows);
+        });
+        
+        const zoom = GANTT_ZOOM_LEVELS[this.ganttZoom];
+        const today = this.toDayNumber(new Date().toISOString().split('T')[0]);
+        const days = rows.filter(row => row.span).flatMap(row => [row.span.start, row.span.end]);
+        const first = this.alignGanttDay(Math.min(today, ...days) - zoom.padding);
+        const last = Math.max(today, ...days) + zoom.padding;
+        const x = day => (day - first) * zoom.dayWidth;
+        this.ganttRange = { first, dayWidth: zoom.dayWidth };
+        
+        chart.style.setProperty('--gantt-label-width', `${GANTT_LABEL_WIDTH}px`);
+        chart.style.setProperty('--gantt-row-height', `${GANTT_ROW_HEIGHT}px`);
+        chart.style.setProperty('--gantt-width', `${x(last + 1)}px`);
+        
+        const ticks = this.getGanttTicks(first, last);
+        const rowIndex = new Map();
+        rows.forEach((row, index) => {
+            if (row.task) rowIndex.set(row.task.id, index);
+        });
+        const spans = new Map(rows.filter(row => row.task && row.span).map(row => [row.task.id, row.span]));
+        
+        // Arrows run from the end of each blocker to the start of the task it blocks
+        const links = rows.filter(row => row.task && row.span).flatMap(row => row.task.blockedBy
+            .filter(id => spans.has(id))
+            .map(id => {
+                const x1 = x(spans.get(id).end + 1);
+                const y1 = rowIndex.get(id) * GANTT_ROW_HEIGHT + GANTT_ROW_HEIGHT / 2;
+                const x2 = x(row.span.start);
+                const y2 = rowIndex.get(row.task.id) * GANTT_ROW_HEIGHT + GANTT_ROW_HEIGHT / 2;
+                const path = x2 - x1 >= 16
+                    ? `M ${x1} ${y1} H ${x2 - 8} V ${y2} H ${x2}`
+                    : `M ${x1} ${y1} h 8 V ${y2 + (y2 > y1 ? -1 : 1) * GANTT_ROW_HEIGHT / 2} H ${x2 - 8} V ${y2} H ${x2}`;
+                const conflict = row.span.start <= spans.get(id).end;
+                return svg('path', { className: `gantt-link ${conflict ? 'conflict' : ''}`, d: path, 'marker-end': 'url(#ganttArrow)' });
+            }));
+        
+        chart.replaceChildren(
+            h('div', { className: 'gantt-row gantt-header' },
+                h('div', { className: 'gantt-label' }, 'Project / Task'),
+                h('div', { className: 'gantt-track gantt-scale' },
+                    ticks.map(tick => h('span', { className: 'gantt-tick', style: { left: `${x(tick.day)}px` } }, tick.label))
+                )
+            ),
+            h('div', { className: 'gantt-body' },
+                h('div', { className: 'gantt-grid' },
+                    ticks.map(tick => h('span', { className: 'gantt-gridline', style: { left: `${x(tick.day)}px` } })),
+                    h('span', { className: 'gantt-today', style: { left: `${x(today)}px` }, title: 'Today' })
+                ),
+                svg('svg', { className: 'gantt-links', width: x(last + 1), height: rows.length * GANTT_ROW_HEIGHT },
+                    svg('defs', {},
+                        svg('marker', { id: 'ganttArrow', viewBox: '0 0 8 8', refX: 8, refY: 4, markerWidth: 8, markerHeight: 8, orient: 'auto' },
+                            svg('path', { d: 'M 0 0 L 8 4 L 0 8 z' })
+                        )
+                    ),
+                    links
+                ),
+                rows.map(row => this.renderGanttRow(row, x))
+            )
+        );
+        
+        if (this.focusTaskAfterRender) {
+            const bar = chart.querySelector(`.gantt-bar[data-task-id="${this.focusTaskAfterRender}"]`);
+            if (bar) bar.focus();
+            this.focusTaskAfterRender = null;
+        }
+    }
+
+    populateGanttProjectFilter() {
+        const projectFilter = document.getElementById('ganttProject');
+        if (!projectFilter) return;
+        
+        const selected = projectFilter.value;
+        projectFilter.replaceChildren(new Option('All Projects', ''), ...this.projects.map(project => new Option(project.name, project.id)));
+        projectFilter.value = this.projects.some(project => project.id === selected) ? selected : '';
+    }
+
+    renderGanttRow(row, x) {
+        const span = row.span;
+        const position = span ? { left: `${x(span.start)}px`, width: `${x(span.end + 1) - x(span.start)}px` } : {};
+        const range = span ? `${this.formatDate(this.fromDayNumber(span.start))} – ${this.formatDate(this.fromDayNumber(span.end))}` : '';
+        
+        if (row.project) {
+            const project = row.project;
+            return h('div', { className: 'gantt-row gantt-row--project' },
+                h('div', { className: 'gantt-label', dataset: { action: 'edit-project', projectId: project.id } }, project.name),
+                h('div', { className: 'gantt-track' },
+                    span
+                        ? h('div', { className: 'gantt-bar gantt-bar--project', style: position, title: `${project.name}: ${range}` },
+                            h('span', { className: 'gantt-bar-progress', style: { width: `${this.getProjectProgress(project)}%` } })
+                        )
+                        : h('span', { className: 'gantt-unscheduled' }, 'No dates')
+                )
+            );
+        }
+        
+        const task = row.task;
+        const status = this.getTaskStatus(task);
+        const blocked = !status.done && this.getOpenBlockers(task).length > 0;
+        return h('div', { className: 'gantt-row' },
+            h('div', { className: 'gantt-label', style: { 'padding-left': `${row.depth * 16}px` }, dataset: { action: 'edit-task', taskId: task.id } }, task.title),
+            h('div', { className: 'gantt-track' },
+                span
+                    ? h('div', {
+                        className: `gantt-bar ${status.done ? 'completed' : ''} ${blocked ? 'blocked' : ''}`,
+                        tabindex: 0,
+                        dataset: { taskId: task.id },
+                        style: { ...position, '--status-color': status.color },
+                        title: `${task.title}: ${range} (${status.name})`
+                    },
+                        h('span', { className: 'gantt-handle gantt-handle--start', dataset: { edge: 'start' } }),
+                        h('span', { className: 'gantt-bar-label' }, task.title),
+                        h('span', { className: 'gantt-handle gantt-handle--end', dataset: { edge: 'end' } })
+                    )
+                    : h('span', { className: 'gantt-unscheduled' }, 'No due date')
+            )
+        );
+    }
+
+    // A task runs from its start date (or its due date when it has none) to
+    // its due date; tasks without a due date are not drawn
+    getTaskSpan(task) {
+        if (!task.dueDate) return null;
+        const end = this.toDayNumber(task.dueDate);
+        return { start: task.startDate ? Math.min(this.toDayNumber(task.startDate), end) : end, end };
+    }
+
+    // Projects without their own dates span their tasks
+    getProjectSpan(project, taskSpans) {
+        const start = project.startDate ? this.toDayNumber(project.startDate)
+            : taskSpans.length > 0 ? Math.min(...taskSpans.map(span => span.start)) : null;
+        const end = project.dueDate ? this.toDayNumber(project.dueDate)
+            : taskSpans.length > 0 ? Math.max(...taskSpans.map(span => span.end)) : null;
+        if (start === null && end === null) return null;
+        if (start === null || end === null) {
+            const day = start === null ? end : start;
+            return { start: day, end: day };
+        }
+        return { start: Math.min(start, end), end };
+    }
+
+    // Week and month scales start on a Monday or the 1st
+    alignGanttDay(day) {
+        const date = new Date(day * DAY_MS);
+        if (this.ganttZoom === 'week') return day - (date.getUTCDay() + 6) % 7;
+        if (this.ganttZoom === 'month') return day - (date.getUTCDate() - 1);
+        return day;
+    }
+
+    getGanttTicks(first, last) {
+        const ticks = [];
+        for (let day = first; day <= last; day++) {
+            const date = new Date(day * DAY_MS);
+            const month = date.toLocaleDateString('en-US', { month: 'short', timeZone: 'UTC' });
+            if (this.ganttZoom === 'day') {
+                ticks.push({ day, label: date.getUTCDate() === 1 || day === first ? `${month} ${date.getUTCDate()}` : String(date.getUTCDate()) });
+            } else if (this.ganttZoom === 'week' && date.getUTCDay() === 1) {
+                ticks.push({ day, label: `${month} ${date.getUTCDate()}` });
+            } else if (this.ganttZoom === 'month' && date.getUTCDate() === 1) {
+                ticks.push({ day, label: `${month} ${date.getUTCFullYear()}` });
+            }
+        }
+        return ticks;
+    }
+
+    setGanttZoom(zoom) {
+        if (!GANTT_ZOOM_LEVELS[zoom]) return;
+        this.ganttZoom = zoom;
+        this.renderGantt();
+        this.scrollGanttToToday();
+        this.updateRoute(true);
+    }
+
+    scrollGanttToToday() {
+        const container = document.querySelector('.gantt-container');
+        if (!container || !this.ganttRange) return;
+        
+        const today = this.toDayNumber(new Date().toISOString().split('T')[0]);
+        const offset = (today - this.ganttRange.first) * this.ganttRange.dayWidth;
+        container.scrollLeft = Math.max(0, offset - (container.clientWidth - GANTT_LABEL_WIDTH) / 2);
+    }
+
+    // Bars are dragged with pointer events: the middle moves the task, the
+    // handles move its start or due date. A press without movement opens it.
+    setupGanttInteractions() {
+        const chart = document.getElementById('ganttChart');
+        if (!chart) return;
+        
+        let drag = null;
+        
+        chart.addEventListener('pointerdown', (e) => {
+            const bar = e.target.closest('.gantt-bar[data-task-id]');
+            if (!bar || e.button !== 0) return;
+            
+            const task = this.tasks.find(t => t.id === bar.getAttribute('data-task-id'));
+            if (!task) return;
+            e.preventDefault();
+            if (bar.setPointerCapture) bar.setPointerCapture(e.pointerId);
+            drag = {
+                task,
+                bar,
+                edge: e.target.getAttribute('data-edge') || 'move',
+                originX: e.clientX,
+                span: this.getTaskSpan(task),
+                days: 0
+            };
+            bar.classList.add('dragging');
+        });
+        
+        chart.addEventListener('pointermove', (e) => {
+            if (!drag) return;
+            const days = Math.round((e.clientX - drag.originX) / this.ganttRange.dayWidth);
+            if (days === drag.days) return;
+            drag.days = days;
+            
+            const span = this.shiftSpan(drag.span, drag.edge, days);
+            drag.bar.style.left = `${(span.start - this.ganttRange.first) * this.ganttRange.dayWidth}px`;
+            drag.bar.style.width = `${(span.end - span.start + 1) * this.ganttRange.dayWidth}px`;
+        });
+        
+        chart.addEventListener('pointerup', () => {
+            if (!drag) return;
+            const { task, bar, edge, span, days } = drag;
+            drag = null;
+            
+            if (days === 0) {
+                bar.classList.remove('dragging');
+                this.editTask(task.id);
+                return;
+            }
+            this.rescheduleTask(task.id, edge, this.shiftSpan(span, edge, days));
+        });
+        
+        chart.addEventListener('pointercancel', () => {
+            drag = null;
+            this.renderGantt();
+        });
+        
+        // Alt+Arrow keys move the focused bar by a day; with Shift they change its due date
+        chart.addEventListener('keydown', (e) => {
+            const bar = e.target.closest('.gantt-bar[data-task-id]');
+            if (!bar || e.target !== bar) return;
+            
+            const taskId = bar.getAttribute('data-task-id');
+            if (e.key === 'Enter') {
+                this.editTask(taskId);
+                return;
+            }
+            if (!e.altKey || !['ArrowLeft', 'ArrowRight'].includes(e.key)) return;
+            
+            e.preventDefault();
+            const task = this.tasks.find(t => t.id === taskId);
+            const edge = e.shiftKey ? 'end' : 'move';
+            this.focusTaskAfterRender = taskId;
+            this.rescheduleTask(taskId, edge, this.shiftSpan(this.getTaskSpan(task), edge, e.key === 'ArrowLeft' ? -1 : 1));
+        });
+    }
+
+    // A span never ends before it starts
+    shiftSpan(span, edge, days) {
+        if (edge === 'start') return { start: Math.min(span.start + days, span.end), end: span.end };
+        if (edge === 'end') return { start: span.start, end: Math.max(span.end + days, span.start) };
+        return { start: span.start + days, end: span.end + days };
+    }
+
+    // Writes new dates from the timeline. Moving a task that has no start
+    // date keeps it a single-day task.
+    rescheduleTask(taskId, edge, span) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+        
+        const startDate = task.startDate || edge !== 'move' ? this.fromDayNumber(span.start) : '';
+        const dueDate = this.fromDayNumber(span.end);
+        if (startDate === task.startDate && dueDate === task.dueDate) {
+            this.renderGantt();
+            return;
+        }
+        
+        const problem = this.validateTaskSchedule({ ...task, startDate, dueDate });
+        if (problem) {
+            this.showToast(`"${task.title}" was not rescheduled: ${problem}`, 'error');
+            this.renderGantt();
+            return;
+        }
+        
+        task.startDate = startDate;
+        task.dueDate = dueDate;
+        this.saveData(`Reschedule "${task.title}"`);
+        this.renderTasks();
+        this.renderDashboard();
+        
+        const lateBlockers = this.getOpenBlockers(task).filter(blocker => blocker.dueDate && blocker.dueDate >= (startDate || dueDate));
+        if (lateBlockers.length > 0) {
+            this.showToast(`"${task.title}" now starts before ${lateBlockers.map(blocker => `"${blocker.title}"`).join(', ')} is due`, 'warning', this.undoToastAction(this.lastCommand));
+        } else {
+            this.showToast(`"${task.title}" rescheduled to ${this.formatDate(startDate || dueDate)} – ${this.formatDate(dueDate)}`, 'success', this.undoToastAction(this.lastCommand));
+        }
+    }
+
+    // My Work: open tasks assigned to the current member, grouped by due date.
+    // Weeks end on Sunday; tasks without a due date are listed under Later.
+    renderMyWork() {
+        const memberField = document.getElementById('myWorkMember');
+        const container = document.getElementById('myWorkGroups');
+        if (!memberField || !container) return;
+        
+        const member = this.getMember(this.currentMemberId);
+        memberField.replaceChildren(
+            new Option('Choose who you are', ''),
+            ...this.members.map(m => new Option(m.name, m.id))
+        );
+        memberField.value = member ? member.id : '';
+        this.renderMentions();
+        
+        if (!member) {
+            container.replaceChildren(h('p', { className: 'mywork-empty' }, this.members.length > 0
+                ? 'Choose who you are to see the tasks assigned to you.'
+                : 'Add people in the Team view, then choose who you are to see their tasks here.'));
+            return;
+        }
+        
+        const today = new Date().toISOString().split('T')[0];
+        const weekEnd = this.fromDayNumber(this.toDayNumber(today) + (7 - new Date(`${today}T00:00:00Z`).getUTCDay()) % 7);
+        const groups = [
+            { id: 'overdue', title: 'Overdue', tasks: [] },
+            { id: 'today', title: 'Today', tasks: [] },
+            { id: 'week', title: 'This Week', tasks: [] },
+            { id: 'later', title: 'Later', tasks: [] }
+        ];
+        
+        this.tasks
+            .filter(task => task.assignees.includes(member.id) && !this.isTaskDone(task))
+            .sort((a, b) => (a.dueDate || '9999').localeCompare(b.dueDate || '9999') || a.rank - b.rank)
+            .forEach(task => {
+                const group = !task.dueDate ? groups[3]
+                    : task.dueDate < today ? groups[0]
+                    : task.dueDate === today ? groups[1]
+                    : task.dueDate <= weekEnd ? groups[2]
+                    : groups[3];
+                group.tasks.push(task);
+            });
+        
+        const sections = groups.filter(group => group.tasks.length > 0).map(group => h('section', { className: `mywork-group ${group.id}` },
+            h('h3', { className: 'mywork-group-title' }, `${group.title} `, h('span', { className: 'mywork-count' }, group.tasks.length)),
+            group.tasks.map(task => {
+                const project = this.projects.find(p => p.id === task.projectId);
+                const status = this.getTaskStatus(task);
+                return h('div', { className: 'mywork-task', dataset: { action: 'edit-task', taskId: task.id } },
+                    h('button', { className: 'btn btn--outline btn-icon', title: 'Mark as done', 'aria-label': 'Mark as done', dataset: { action: 'toggle-task', taskId: task.id } }, '✅'),
+                    h('span', { className: 'mywork-task-title' }, task.title),
+                    h('span', { className: `task-priority ${task.priority}` }, task.priority),
+                    h('span', { className: 'task-project' }, project ? project.name : 'Unknown Project'),
+                    h('span', { className: 'task-status', style: { '--status-color': status.color } }, status.name),
+                    h('span', { className: `task-due-date ${group.id === 'overdue' ? 'overdue' : ''}` }, `Due: ${this.formatDate(task.dueDate)}`)
+                );
+            })
+        ));
+        container.replaceChildren(...(sections.length > 0 ? sections : [h('p', { className: 'mywork-empty' }, 'Nothing open is assigned to you.')]));
+    }
+
+    // Projects Rendering
+    renderProjects() {
+        const projectsGrid = document.getElementById('projectsGrid');
+        if (!projectsGrid) return;
+        
+        const projectListFilter = document.getElementById('projectListFilter');
+        if (projectListFilter) projectListFilter.value = this.showArchivedProjects ? 'archived' : 'active';
+        
+        const cards = this.projects.filter(project => project.archived === this.showArchivedProjects).map(project => {
+            const projectTasks = this.tasks.filter(task => task.projectId === project.id && !task.parentId);
+            const progress = this.getProjectProgress(project);
+            const data = { projectId: project.id };
+            
+            return h('div', { className: 'project-card', dataset: { action: 'edit-project', ...data } },
+                h('div', { className: 'project-header' },
+                    h('h3', { className: 'project-name' }, project.name),
+                    h('span', { className: `project-status ${project.status}` }, project.status)
+                ),
+                project.archived && h('span', { className: 'project-archived' }, 'Archived'),
+                h('div', { className: 'project-description markdown' }, this.renderDescription(project.description)),
+                h('div', { className: 'project-meta' },
+                    h('span', {}, `Due: ${this.formatDate(project.dueDate)}`),
+                    h('span', {}, `${projectTasks.length} tasks`)
+                ),
+                h('div', { className: 'project-progress' },
+                    h('div', { className: 'progress-label' },
+                        h('span', {}, 'Progress'),
+                        h('span', {}, `${progress}%`)
+                    ),
+                    h('div', { className: 'progress-bar' },
+                        h('div', { className: 'progress-fill', style: { width: `${progress}%` } })
+                    )
+                ),
+                h('div', { className: 'project-actions' },
+                    h('button', { className: 'btn btn--outline btn-icon', dataset: { action: 'edit-project', ...data } }, '✏️'),
+                    h('button', {
+                        className: 'btn btn--outline btn-icon',
+                        title: project.archived ? 'Unarchive' : 'Archive',
+                        dataset: { action: project.archived ? 'unarchive-project' : 'archive-project', ...data }
+                    }, project.archived ? '📤' : '📦'),
+                    h('button', { className: 'btn btn--outline btn-icon', dataset: { action: 'delete-project', ...data } }, '🗑️')
+                )
+            );
+        });
+        projectsGrid.replaceChildren(...(cards.length > 0 ? cards
+            : [h('p', { className: 'project-empty' }, this.showArchivedProjects ? 'No archived projects.' : 'No projects yet.')]));
+    }
+
+    // Tasks Rendering
+    renderTasks() {
+        // The timeline and My Work show the same tasks
+        if (this.currentView === 'gantt') {
+            this.renderGantt();
+        } else if (this.currentView === 'mywork') {
+            this.renderMyWork();
+        }
+        if (this.currentTaskView === 'kanban') {
+            this.renderKanban();
+        } else {
+            this.renderTaskList();
+        }
+    }
+
+    renderTaskList() {
+        const tasksContainer = document.getElementById('tasksContainer');
+        if (!tasksContainer) return;
+
+        // Subtasks are listed under their parent
+        const filteredTasks = this.getFilteredTasks().filter(task => !task.parentId);
+        
+        tasksContainer.replaceChildren(...filteredTasks.map(task => {
             const project = this.projects.find(p => p.id === task.projectId);
-            const isOverdue = new Date(task.dueDate) < new Date() && task.status !== 'completed';
+            const status = this.getTaskStatus(task);
+            const isOverdue = new Date(task.dueDate) < new Date() && !status.done;
+            const openBlockers = status.done ? [] : this.getOpenBlockers(task);
+            const data = { taskId: task.id };
             
-            return `
-                <div class="task-item ${task.status}" onclick="projectManager.editTask('${task.id}')">
-                    <div class="task-header">
-                        <h3 class="task-title">${task.title}</h3>
-                        <span class="task-priority ${task.priority}">${task.priority}</span>
-                    </div>
-                    <p class="task-description">${task.description}</p>
-                    <div class="task-meta">
-                        <span class="task-project">${project ? project.name : 'Unknown Project'}</span>
-                        <span class="task-due-date ${isOverdue ? 'overdue' : ''}">
-                            Due: ${this.formatDate(task.dueDate)}
-                        </span>
-                    </div>
-                    <div class="task-actions">
-                        <button class="btn btn--outline btn-icon" onclick="event.stopPropagation(); projectManager.toggleTaskStatus('${task.id}')">
-                            ${task.status === 'completed' ? '↩️' : '✅'}
-                        </button>
-                        <button class="btn btn--outline btn-icon" onclick="event.stopPropagation(); projectManager.editTask('${task.id}')">✏️</button>
-                        <button class="btn btn--outline btn-icon" onclick="event.stopPropagation(); projectManager.deleteTask('${task.id}')">🗑️</button>
-                    </div>
-                </div>
-            `;
-        }).join('');
+            return h('div', {
+                className: `task-item ${status.done ? 'completed' : ''} ${openBlockers.length > 0 ? 'blocked' : ''}`,
+                dataset: { action: 'edit-task', ...data }
+            },
+                h('div', { className: 'task-header' },
+                    h('h3', { className: 'task-title' }, task.title),
+                    h('span', { className: `task-priority ${task.priority}` }, task.priority)
+                ),
+                h('div', { className: 'task-description markdown' }, this.renderDescription(task.description)),
+                h('div', { className: 'task-meta' },
+                    h('span', { className: 'task-project' }, project ? project.name : 'Unknown Project'),
+                    h('span', { className: 'task-status', style: { '--status-color': status.color } }, status.name),
+                    openBlockers.length > 0 && h('span', { className: 'task-blocked' }, `⛔ Blocked by ${openBlockers.map(blocker => blocker.title).join(', ')}`),
+                    task.recurrence && h('span', { className: 'task-recurrence' }, `↻ ${describeRecurrence(task.recurrence)}`),
+                    h('span', { className: `task-due-date ${isOverdue ? 'overdue' : ''}` }, `Due: ${this.formatDate(task.dueDate)}`),
+                    this.renderCommentCount(task),
+                    this.renderAvatars(task)
+                ),
+                this.renderTaskChildren(task),
+                h('div', { className: 'task-actions' },
+                    h('button', { className: 'btn btn--outline btn-icon', dataset: { action: 'toggle-task', ...data } }, status.done ? '↩️' : '✅'),
+                    h('button', { className: 'btn btn--outline btn-icon', title: 'Add subtask', 'aria-label': 'Add subtask', dataset: { action: 'add-subtask', ...data } }, '➕'),
+                    h('button', { className: 'btn btn--outline btn-icon', dataset: { action: 'edit-task', ...data } }, '✏️'),
+                    h('button', { className: 'btn btn--outline btn-icon', dataset: { action: 'delete-task', ...data } }, '🗑️')
+                )
+            );
+        }));
     }
 
-    renderKanban() {
-        const todoColumn = document.getElementById('todoColumn');
-        const inProgressColumn = document.getElementById('inProgressColumn');
-        const completedColumn = document.getElementById('completedColumn');
+    // Subtasks, their nested subtasks and checklist items under a list card.
+    // Clicks inside them do not open the card's task (data-action="none").
+    renderTaskChildren(task) {
+        const subtasks = this.getSubtasks(task.id);
+        if (subtasks.length === 0 && task.checklist.length === 0) return null;
+        
+        const progress = Math.round(this.getTaskProgress(task) * 100);
+        return h('div', { className: 'task-children', dataset: { action: 'none' } },
+            h('div', { className: 'task-progress' },
+                h('div', { className: 'progress-bar' },
+                    h('div', { className: 'progress-fill', style: { width: `${progress}%` } })
+                ),
+                h('span', {}, `${progress}%`)
+            ),
+            this.renderSubtaskList(subtasks),
+            this.renderChecklist(task)
+        );
+    }
+
+    renderSubtaskList(subtasks) {
+        if (subtasks.length === 0) return null;
+        
+        return h('ul', { className: 'subtask-list' }, subtasks.map(subtask => {
+            const status = this.getTaskStatus(subtask);
+            return h('li', { className: `subtask-item ${status.done ? 'completed' : ''}` },
+                h('div', { className: 'subtask-row' },
+                    h('input', { type: 'checkbox', checked: status.done, 'aria-label': `Done: ${subtask.title}`, dataset: { action: 'toggle-task', taskId: subtask.id } }),
+                    h('button', { type: 'button', className: 'subtask-title', dataset: { action: 'edit-task', taskId: subtask.id } }, subtask.title),
+                    h('span', { className: 'task-status', style: { '--status-color': status.color } }, status.name)
+                ),
+                this.renderSubtaskList(this.getSubtasks(subtask.id)),
+                this.renderChecklist(subtask)
+            );
+        }));
+    }
+
+    renderChecklist(task) {
+        if (task.checklist.length === 0) return null;
         
-        if (!todoColumn || !inProgressColumn || !completedColumn) return;
+        return h('ul', { className: 'checklist' }, task.checklist.map(item => h('li', { className: `checklist-item ${item.done ? 'done' : ''}` },
+            h('label', {},
+                h('input', { type: 'checkbox', checked: item.done, dataset: { action: 'toggle-checklist-item', taskId: task.id, itemId: item.id } }),
+                h('span', {}, item.text)
+            )
+        )));
+    }
 
-        const filteredTasks = this.getFilteredTasks();
+    renderKanban() {
+        const board = document.getElementById('kanbanBoard');
+        if (!board) return;
+
+        // Subtasks are shown as a count on their parent's card
+        const filteredTasks = this.getFilteredTasks().filter(task => !task.parentId);
+        const projectFilter = this.getProjectFilter();
+        const columns = this.getBoardWorkflow();
         
-        const todoTasks = filteredTasks.filter(task => task.status === 'todo');
-        const inProgressTasks = filteredTasks.filter(task => task.status === 'in-progress');
-        const completedTasks = filteredTasks.filter(task => task.status === 'completed');
+        board.style.setProperty('--kanban-columns', columns.length);
+        board.replaceChildren(...columns.map(status => {
+            const columnTasks = filteredTasks
+                .filter(task => task.status === status.id)
+                .sort((a, b) => a.rank - b.rank);
+            const overages = this.getWipOverages(status.id);
+            // A single project's board shows its WIP usage, e.g. "3 / 4"
+            const count = projectFilter && status.wipLimit
+                ? `${this.tasks.filter(task => task.projectId === projectFilter && task.status === status.id).length} / ${status.wipLimit}`
+                : columnTasks.length;
+            
+            return h('div', { className: `kanban-column ${overages.length > 0 ? 'over-limit' : ''}`, style: { '--status-color': status.color } },
+                h('h3', { className: 'kanban-column-title' },
+                    h('span', { className: 'status-dot' }),
+                    h('span', {}, status.name),
+                    h('span', { className: 'kanban-column-count' }, count)
+                ),
+                overages.length > 0 && h('div', { className: 'kanban-wip-warning', role: 'status' },
+                    `Over WIP limit: ${overages.map(({ project, count: used, limit }) => `${project.name} (${used}/${limit})`).join(', ')}`
+                ),
+                h('div', { className: 'kanban-column-content', dataset: { status: status.id }, 'aria-label': `${status.name} tasks` },
+                    this.renderKanbanTasks(columnTasks)
+                )
+            );
+        }));
         
-        todoColumn.innerHTML = this.renderKanbanTasks(todoTasks);
-        inProgressColumn.innerHTML = this.renderKanbanTasks(inProgressTasks);
-        completedColumn.innerHTML = this.renderKanbanTasks(completedTasks);
+        if (this.focusTaskAfterRender) {
+            const card = document.querySelector(`.kanban-task[data-task-id="${this.focusTaskAfterRender}"]`);
+            if (card) card.focus();
+            this.focusTaskAfterRender = null;
+        }
     }
 
     renderKanbanTasks(tasks) {
-        return tasks.map(task => {
+        return tasks.map((task, index) => {
             const project = this.projects.find(p => p.id === task.projectId);
-            return `
-                <div class="kanban-task" onclick="projectManager.editTask('${task.id}')">
-                    <div class="kanban-task-title">${task.title}</div>
-                    <div class="kanban-task-meta">
-                        <span class="task-priority ${task.priority}">${task.priority}</span>
-                        <span>${project ? project.name : 'Unknown'}</span>
-                    </div>
-                </div>
-            `;
-        }).join('');
+            // Arrow buttons follow the task's own project workflow
+            const workflow = this.getWorkflow(task.projectId);
+            const statusIndex = workflow.findIndex(status => status.id === task.status);
+            const previousColumn = workflow[statusIndex - 1];
+            const nextColumn = workflow[statusIndex + 1];
+            const subtasks = this.getSubtasks(task.id);
+            const doneSubtasks = subtasks.filter(subtask => this.isTaskDone(subtask)).length;
+            const doneItems = task.checklist.filter(item => item.done).length;
+            const openBlockers = this.isTaskDone(task) ? [] : this.getOpenBlockers(task);
+            const data = { taskId: task.id };
+            
+            return h('div', {
+                className: `kanban-task ${openBlockers.length > 0 ? 'blocked' : ''}`,
+                draggable: 'true',
+                tabindex: 0,
+                'aria-keyshortcuts': 'Alt+ArrowUp Alt+ArrowDown Alt+ArrowLeft Alt+ArrowRight',
+                dataset: { action: 'edit-task', ...data }
+            },
+                h('div', { className: 'kanban-task-title' }, task.title),
+                h('div', { className: 'kanban-task-meta' },
+                    h('span', { className: `task-priority ${task.priority}` }, task.priority),
+                    h('span', {}, project ? project.name : 'Unknown'),
+                    subtasks.length > 0 && h('span', { className: 'task-count-badge', title: 'Subtasks done' }, `↳ ${doneSubtasks}/${subtasks.length}`),
+                    task.checklist.length > 0 && h('span', { className: 'task-count-badge', title: 'Checklist items done' }, `☑ ${doneItems}/${task.checklist.length}`),
+                    openBlockers.length > 0 && h('span', { className: 'task-count-badge task-blocked', title: `Blocked by ${openBlockers.map(blocker => blocker.title).join(', ')}` }, '⛔ Blocked'),
+                    task.recurrence && h('span', { className: 'task-count-badge', title: describeRecurrence(task.recurrence) }, '↻'),
+                    this.renderCommentCount(task),
+                    this.renderAvatars(task)
+                ),
+                h('div', { className: 'kanban-task-moves' },
+                    h('button', { className: 'kanban-move', 'aria-label': `Move to ${previousColumn ? previousColumn.name : ''}`, disabled: !previousColumn,
+                        dataset: { action: 'move-task-column', offset: -1, ...data } }, '◀'),
+                    h('button', { className: 'kanban-move', 'aria-label': 'Move up', disabled: index === 0,
+                        dataset: { action: 'move-task-rank', offset: -1, ...data } }, '▲'),
+                    h('button', { className: 'kanban-move', 'aria-label': 'Move down', disabled: index === tasks.length - 1,
+                        dataset: { action: 'move-task-rank', offset: 1, ...data } }, '▼'),
+                    h('button', { className: 'kanban-move', 'aria-label': `Move to ${nextColumn ? nextColumn.name : ''}`, disabled: !nextColumn,
+                        dataset: { action: 'move-task-column', offset: 1, ...data } }, '▶')
+                )
+            );
+        });
+    }
+
+    // Kanban drag and drop. Columns are re-rendered with the workflow, so the
+    // listeners are delegated from the board.
+    setupKanbanDragAndDrop() {
+        const board = document.getElementById('kanbanBoard');
+        if (!board) return;
+        
+        const dropIndicator = document.createElement('div');
+        dropIndicator.className = 'kanban-drop-indicator';
+        
+        const clearDropTarget = () => {
+            dropIndicator.remove();
+            document.querySelectorAll('.kanban-column-content.drag-over').forEach(column => {
+                column.classList.remove('drag-over');
+            });
+        };
+        
+        board.addEventListener('dragstart', (e) => {
+            const card = e.target.closest('.kanban-task');
+            if (!card) return;
+            this.draggedTaskId = card.getAttribute('data-task-id');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', this.draggedTaskId);
+            card.classList.add('dragging');
+        });
+        
+        board.addEventListener('dragend', (e) => {
+            const card = e.target.closest('.kanban-task');
+            if (card) card.classList.remove('dragging');
+            this.draggedTaskId = null;
+            clearDropTarget();
+        });
+        
+        board.addEventListener('dragover', (e) => {
+            const column = e.target.closest('.kanban-column-content');
+            if (!this.draggedTaskId || !column) return;
+            
+            // Columns outside the task's workflow do not accept the drop
+            const task = this.tasks.find(t => t.id === this.draggedTaskId);
+            const status = column.getAttribute('data-status');
+            if (!task || !this.getWorkflow(task.projectId).some(s => s.id === status)) return;
+            
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            
+            if (!column.classList.contains('drag-over')) {
+                clearDropTarget();
+                column.classList.add('drag-over');
+            }
+            const nextCard = this.getKanbanCardBelow(column, e.clientY);
+            column.insertBefore(dropIndicator, nextCard);
+        });
+        
+        board.addEventListener('dragleave', (e) => {
+            const column = e.target.closest('.kanban-column-content');
+            if (column && !column.contains(e.relatedTarget)) {
+                clearDropTarget();
+            }
+        });
+        
+        board.addEventListener('drop', (e) => {
+            const column = e.target.closest('.kanban-column-content');
+            if (!this.draggedTaskId || !column) return;
+            e.preventDefault();
+            
+            const nextCard = dropIndicator.parentNode === column ? dropIndicator.nextElementSibling : null;
+            const beforeTaskId = nextCard ? nextCard.getAttribute('data-task-id') : null;
+            const taskId = this.draggedTaskId;
+            clearDropTarget();
+            this.moveTask(taskId, column.getAttribute('data-status'), beforeTaskId);
+        });
+        
+        // Alt+Arrow keys move the focused card
+        const kanbanView = document.getElementById('kanbanView');
+        if (kanbanView) {
+            kanbanView.addEventListener('keydown', (e) => {
+                const card = e.target.closest('.kanban-task');
+                if (!card || e.target !== card) return;
+                
+                const taskId = card.getAttribute('data-task-id');
+                if (e.key === 'Enter') {
+                    this.editTask(taskId);
+                    return;
+                }
+                if (!e.altKey) return;
+                
+                const moves = {
+                    ArrowUp: () => this.moveTaskWithinColumn(taskId, -1),
+                    ArrowDown: () => this.moveTaskWithinColumn(taskId, 1),
+                    ArrowLeft: () => this.moveTaskToAdjacentColumn(taskId, -1),
+                    ArrowRight: () => this.moveTaskToAdjacentColumn(taskId, 1)
+                };
+                if (moves[e.key]) {
+                    e.preventDefault();
+                    moves[e.key]();
+                }
+            });
+        }
+    }
+
+    // Returns the first card whose middle is below clientY, ignoring the one being dragged
+    getKanbanCardBelow(column, clientY) {
+        const cards = [...column.querySelectorAll('.kanban-task:not(.dragging)')];
+        return cards.find(card => {
+            const box = card.getBoundingClientRect();
+            return clientY < box.top + box.height / 2;
+        }) || null;
+    }
+
+    // Puts a task into a status column before beforeTaskId, or at the end.
+    // Ranks are shared by every task with that status, filtered out or not.
+    moveTask(taskId, status, beforeTaskId = null) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+        
+        const target = this.getWorkflow(task.projectId).find(s => s.id === status);
+        if (!target) {
+            this.showToast('That column is not part of this task\'s project workflow', 'error');
+            return;
+        }
+        if (!this.confirmCompletion(task, target)) return;
+        
+        const columnTasks = this.tasks
+            .filter(t => t.status === status && t.id !== taskId)
+            .sort((a, b) => a.rank - b.rank);
+        let index = beforeTaskId ? columnTasks.findIndex(t => t.id === beforeTaskId) : -1;
+        if (index === -1) index = columnTasks.length;
+        
+        const previous = columnTasks[index - 1];
+        const next = columnTasks[index];
+        let rank;
+        if (previous && next) {
+            rank = (previous.rank + next.rank) / 2;
+        } else if (previous) {
+            rank = previous.rank + RANK_STEP;
+        } else if (next) {
+            rank = next.rank - RANK_STEP;
+        } else {
+            rank = RANK_STEP;
+        }
+        
+        const statusChanged = task.status !== status;
+        task.status = status;
+        task.rank = rank;
+        
+        // Renumber the column once repeated midpoints leave no room between neighbours
+        if (previous && next && (rank <= previous.rank || rank >= next.rank)) {
+            columnTasks.splice(index, 0, task);
+            columnTasks.forEach((t, i) => {
+                t.rank = (i + 1) * RANK_STEP;
+            });
+        }
+        if (statusChanged) {
+            this.spawnNextOccurrence(task);
+        }
+        
+        this.focusTaskAfterRender = taskId;
+        this.saveData(`Move "${task.title}"`);
+        this.renderTasks();
+        this.renderDashboard();
+        
+        if (statusChanged) {
+            const used = this.tasks.filter(t => t.projectId === task.projectId && t.status === status).length;
+            if (target.wipLimit && used > target.wipLimit) {
+                this.showToast(`${target.name} is over its WIP limit (${used}/${target.wipLimit})`, 'warning', this.undoToastAction(this.lastCommand));
+            } else {
+                this.showToast(`Task moved to ${target.name}`, 'success', this.undoToastAction(this.lastCommand));
+            }
+        }
+    }
+
+    // Moves a task one place up (-1) or down (1) among the cards visible in its column
+    moveTaskWithinColumn(taskId, offset) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+        
+        const visible = this.getFilteredTasks()
+            .filter(t => t.status === task.status && !t.parentId)
+            .sort((a, b) => a.rank - b.rank);
+        const index = visible.findIndex(t => t.id === taskId);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= visible.length) return;
+        
+        // Moving down means going before the card after the next one
+        const before = offset < 0 ? visible[target] : visible[target + 1];
+        this.moveTask(taskId, task.status, before ? before.id : null);
+    }
+
+    // Moves a task to the end of the previous (-1) or next (1) column of its workflow
+    moveTaskToAdjacentColumn(taskId, direction) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+        
+        const workflow = this.getWorkflow(task.projectId);
+        const statusIndex = workflow.findIndex(status => status.id === task.status);
+        const target = workflow[statusIndex + direction];
+        if (statusIndex === -1 || !target) return;
+        
+        this.moveTask(taskId, target.id);
+    }
+
+    // Rank that places a new task at the bottom of every column
+    nextTaskRank() {
+        return this.tasks.reduce((max, task) => Math.max(max, task.rank || 0), 0) + RANK_STEP;
+    }
+
+    // Workflows
+    getWorkflow(projectId) {
+        const project = this.projects.find(p => p.id === projectId);
+        return project && Array.isArray(project.workflow) && project.workflow.length > 0 ? project.workflow : DEFAULT_WORKFLOW;
+    }
+
+    // Status of a task in its project's workflow. Statuses missing from the
+    // workflow are shown under their raw id.
+    getTaskStatus(task) {
+        return this.getWorkflow(task.projectId).find(status => status.id === task.status)
+            || { id: task.status, name: task.status, color: DEFAULT_WORKFLOW[0].color, done: false, wipLimit: null };
+    }
+
+    isTaskDone(task) {
+        return this.getTaskStatus(task).done;
+    }
+
+    // First done (or first open) status of a project's workflow
+    getFirstStatus(projectId, done) {
+        const workflow = this.getWorkflow(projectId);
+        return workflow.find(status => status.done === done) || workflow[0];
+    }
+
+    getProjectFilter() {
+        const filterProject = document.getElementById('filterProject');
+        return filterProject ? filterProject.value : '';
+    }
+
+    // Board columns: the filtered project's workflow, or every project's
+    // statuses merged by id, each inserted after its predecessor
+    getBoardWorkflow() {
+        const projectFilter = this.getProjectFilter();
+        if (projectFilter) return this.getWorkflow(projectFilter);
+        if (this.projects.length === 0) return DEFAULT_WORKFLOW;
+        
+        const merged = [];
+        this.projects.forEach(project => {
+            let insertAt = 0;
+            this.getWorkflow(project.id).forEach(status => {
+                const index = merged.findIndex(existing => existing.id === status.id);
+                if (index === -1) {
+                    merged.splice(insertAt, 0, status);
+                    insertAt++;
+                } else {
+                    insertAt = index + 1;
+                }
+            });
+        });
+        return merged;
+    }
+
+    // Projects on the board whose tasks in a status exceed its WIP limit
+    getWipOverages(statusId) {
+        const projectFilter = this.getProjectFilter();
+        return this.projects
+            .filter(project => !projectFilter || project.id === projectFilter)
+            .map(project => {
+                const status = this.getWorkflow(project.id).find(s => s.id === statusId);
+                const count = this.tasks.filter(task => task.projectId === project.id && task.status === statusId).length;
+                return { project, count, limit: status ? status.wipLimit : null };
+            })
+            .filter(({ count, limit }) => limit && count > limit);
+    }
+
+    // Subtasks and checklists
+    getSubtasks(taskId) {
+        return this.tasks
+            .filter(task => task.parentId === taskId)
+            .sort((a, b) => a.rank - b.rank);
+    }
+
+    // Ids of a task and every subtask nested below it
+    getTaskWithDescendants(taskId) {
+        const ids = [taskId];
+        for (let i = 0; i < ids.length; i++) {
+            this.tasks.forEach(task => {
+                if (task.parentId === ids[i]) ids.push(task.id);
+            });
+        }
+        return ids;
+    }
+
+    // Completion from 0 to 1. A done task is complete; otherwise each subtask
+    // (by its own progress) and each checklist item counts equally.
+    getTaskProgress(task) {
+        if (this.isTaskDone(task)) return 1;
+        
+        const parts = [
+            ...this.getSubtasks(task.id).map(subtask => this.getTaskProgress(subtask)),
+            ...task.checklist.map(item => (item.done ? 1 : 0))
+        ];
+        return parts.length > 0 ? parts.reduce((sum, part) => sum + part, 0) / parts.length : 0;
+    }
+
+    // Progress rolls up from subtasks and checklists of top-level tasks
+    getProjectProgress(project) {
+        const projectTasks = this.tasks.filter(task => task.projectId === project.id && !task.parentId);
+        const completion = projectTasks.reduce((sum, task) => sum + this.getTaskProgress(task), 0);
+        return projectTasks.length > 0 ? Math.round((completion / projectTasks.length) * 100) : 0;
+    }
+
+    toggleChecklistItem(taskId, itemId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        const item = task ? task.checklist.find(i => i.id === itemId) : null;
+        if (!item) return;
+        
+        item.done = !item.done;
+        this.saveData(`${item.done ? 'Check' : 'Uncheck'} "${item.text}"`);
+        this.renderTasks();
+    }
+
+    // Dependencies. Blockers that no longer exist are ignored.
+    getBlockers(task) {
+        return task.blockedBy.map(id => this.tasks.find(t => t.id === id)).filter(Boolean);
+    }
+
+    getOpenBlockers(task) {
+        return this.getBlockers(task).filter(blocker => !this.isTaskDone(blocker));
+    }
+
+    // Follows blocked-by links from taskId and returns the ids along a path
+    // leading back to it, or null when there is no cycle
+    findDependencyCycle(taskId, blockedByMap) {
+        const path = [];
+        const visited = new Set();
+        
+        const visit = id => {
+            if (id === taskId && path.length > 0) return true;
+            if (visited.has(id)) return false;
+            visited.add(id);
+            path.push(id);
+            if ((blockedByMap.get(id) || []).some(visit)) return true;
+            path.pop();
+            return false;
+        };
+        return visit(taskId) ? [...path, taskId] : null;
+    }
+
+    // Asks before a task with open blockers is moved into a done status
+    confirmCompletion(task, status) {
+        if (!status.done || this.isTaskDone(task)) return true;
+        
+        const openBlockers = this.getOpenBlockers(task);
+        if (openBlockers.length === 0) return true;
+        return confirm(`"${task.title}" is blocked by ${openBlockers.map(blocker => `"${blocker.title}"`).join(', ')}. Mark it as ${status.name} anyway?`);
     }
 
     getFilteredTasks() {
@@ -733,10 +3118,12 @@ class ProjectManager {
         const filterProject = document.getElementById('filterProject');
         const filterPriority = document.getElementById('filterPriority');
         const filterStatus = document.getElementById('filterStatus');
+        const filterAssignee = document.getElementById('filterAssignee');
         
         const projectFilter = filterProject ? filterProject.value : '';
         const priorityFilter = filterPriority ? filterPriority.value : '';
         const statusFilter = filterStatus ? filterStatus.value : '';
+        const assigneeFilter = filterAssignee ? filterAssignee.value : '';
         
         if (projectFilter) {
             filteredTasks = filteredTasks.filter(task => task.projectId === projectFilter);
@@ -750,6 +3137,12 @@ class ProjectManager {
             filteredTasks = filteredTasks.filter(task => task.status === statusFilter);
         }
         
+        if (assigneeFilter === 'unassigned') {
+            filteredTasks = filteredTasks.filter(task => task.assignees.length === 0);
+        } else if (assigneeFilter) {
+            filteredTasks = filteredTasks.filter(task => task.assignees.includes(assigneeFilter));
+        }
+        
         return filteredTasks;
     }
 
@@ -757,67 +3150,214 @@ class ProjectManager {
         const filterProject = document.getElementById('filterProject');
         const taskProject = document.getElementById('taskProject');
         
-        const projectOptions = this.projects.map(project => 
-            `<option value="${project.id}">${project.name}</option>`
-        ).join('');
+        const projectOptions = () => this.projects.map(project => new Option(project.name, project.id));
         
         if (filterProject) {
-            filterProject.innerHTML = '<option value="">All Projects</option>' + projectOptions;
+            const selected = filterProject.value;
+            filterProject.replaceChildren(new Option('All Projects', ''), ...projectOptions());
+            filterProject.value = this.projects.some(project => project.id === selected) ? selected : '';
         }
         if (taskProject) {
-            taskProject.innerHTML = '<option value="">Select Project</option>' + projectOptions;
+            taskProject.replaceChildren(new Option('Select Project', ''), ...projectOptions());
         }
+        this.populateStatusFilter();
+        this.populateAssigneeFilter();
     }
 
-    // Search functionality
-    handleGlobalSearch(query) {
-        if (!query.trim()) {
-            if (this.currentView === 'tasks') {
-                this.renderTasks();
-            }
-            return;
-        }
+    populateStatusFilter() {
+        const filterStatus = document.getElementById('filterStatus');
+        if (!filterStatus) return;
         
-        if (this.currentView === 'tasks') {
-            const searchResults = this.tasks.filter(task => 
-                task.title.toLowerCase().includes(query.toLowerCase()) ||
-                task.description.toLowerCase().includes(query.toLowerCase())
-            );
-            this.renderSearchResults(searchResults);
+        const selected = filterStatus.value;
+        const statuses = this.getBoardWorkflow();
+        filterStatus.replaceChildren(new Option('All Status', ''), ...statuses.map(status => new Option(status.name, status.id)));
+        filterStatus.value = statuses.some(status => status.id === selected) ? selected : '';
+    }
+
+    populateAssigneeFilter() {
+        const filterAssignee = document.getElementById('filterAssignee');
+        if (!filterAssignee) return;
+        
+        const selected = filterAssignee.value;
+        filterAssignee.replaceChildren(
+            new Option('All Assignees', ''),
+            new Option('Unassigned', 'unassigned'),
+            ...this.members.map(member => new Option(member.name, member.id))
+        );
+        filterAssignee.value = selected === 'unassigned' || this.getMember(selected) ? selected : '';
+    }
+
+    // Fills the task modal's status select from the project's workflow
+    populateTaskStatusOptions(projectId, selected) {
+        const statusField = document.getElementById('taskStatus');
+        if (!statusField) return;
+        
+        const workflow = this.getWorkflow(projectId);
+        statusField.replaceChildren(...workflow.map(status => new Option(status.name, status.id)));
+        statusField.value = workflow.some(status => status.id === selected) ? selected : workflow[0].id;
+    }
+
+    // Search functionality
+    // Searches projects and tasks from any view; search.js defines the syntax
+    handleGlobalSearch(query) {
+        if (!query.trim()) {
+            this.closeSearchResults();
+            return;
         }
+        
+        const parsed = parseSearchQuery(query);
+        const hasCriteria = parsed.terms.length > 0 || parsed.qualifiers.length > 0;
+        // Equal scores (such as qualifier-only queries) list the soonest due first
+        this.searchResults = !hasCriteria ? [] : this.getSearchRecords()
+            .map(record => ({ record, score: scoreSearchRecord(record, parsed) }))
+            .filter(result => result.score !== null)
+            .sort((a, b) => b.score - a.score ||
+                (a.record.fields.due || '9999').localeCompare(b.record.fields.due || '9999') ||
+                a.record.title.localeCompare(b.record.title))
+            .map(result => result.record);
+        this.activeSearchResult = this.searchResults.length > 0 ? 0 : -1;
+        this.renderSearchResults(parsed);
     }
 
-    renderSearchResults(tasks) {
-        const tasksContainer = document.getElementById('tasksContainer');
-        if (!tasksContainer) return;
+    // Projects and tasks in the form scoreSearchRecord() expects
+    getSearchRecords() {
+        const lower = values => values.filter(Boolean).map(value => value.toLowerCase());
+        const due = date => (date ? `Due ${this.formatDate(date)}` : 'No due date');
         
-        tasksContainer.innerHTML = tasks.map(task => {
-            const project = this.projects.find(p => p.id === task.projectId);
-            const isOverdue = new Date(task.dueDate) < new Date() && task.status !== 'completed';
-            
-            return `
-                <div class="task-item ${task.status}" onclick="projectManager.editTask('${task.id}')">
-                    <div class="task-header">
-                        <h3 class="task-title">${task.title}</h3>
-                        <span class="task-priority ${task.priority}">${task.priority}</span>
-                    </div>
-                    <p class="task-description">${task.description}</p>
-                    <div class="task-meta">
-                        <span class="task-project">${project ? project.name : 'Unknown Project'}</span>
-                        <span class="task-due-date ${isOverdue ? 'overdue' : ''}">
-                            Due: ${this.formatDate(task.dueDate)}
-                        </span>
-                    </div>
-                    <div class="task-actions">
-                        <button class="btn btn--outline btn-icon" onclick="event.stopPropagation(); projectManager.toggleTaskStatus('${task.id}')">
-                            ${task.status === 'completed' ? '↩️' : '✅'}
-                        </button>
-                        <button class="btn btn--outline btn-icon" onclick="event.stopPropagation(); projectManager.editTask('${task.id}')">✏️</button>
-                        <button class="btn btn--outline btn-icon" onclick="event.stopPropagation(); projectManager.deleteTask('${task.id}')">🗑️</button>
-                    </div>
-                </div>
-            `;
-        }).join('');
+        return [
+            ...this.projects.map(project => ({
+                type: 'project',
+                id: project.id,
+                title: project.name,
+                description: project.description,
+                meta: `${project.status} · ${due(project.dueDate)}`,
+                fields: {
+                    project: lower([project.name]),
+                    status: lower([project.status]),
+                    due: project.dueDate,
+                    start: project.startDate
+                }
+            })),
+            ...this.tasks.map(task => {
+                const project = this.projects.find(p => p.id === task.projectId);
+                const status = this.getTaskStatus(task);
+                const members = task.assignees.map(id => this.getMember(id)).filter(Boolean);
+                return {
+                    type: 'task',
+                    id: task.id,
+                    title: task.title,
+                    description: task.description,
+                    meta: `${project ? project.name : 'Unknown Project'} · ${status.name} · ${due(task.dueDate)}`,
+                    fields: {
+                        project: lower([project && project.name]),
+                        priority: [task.priority],
+                        status: lower([status.id, status.name]),
+                        assignee: lower(members.flatMap(member => [member.name, member.email])),
+                        due: task.dueDate,
+                        start: task.startDate
+                    }
+                };
+            })
+        ];
+    }
+
+    renderSearchResults(query) {
+        const panel = document.getElementById('searchPanel');
+        const messages = document.getElementById('searchMessages');
+        const list = document.getElementById('searchResults');
+        const input = document.getElementById('globalSearch');
+        if (!panel || !messages || !list || !input) return;
+        
+        messages.replaceChildren(...query.problems.map(problem => this.createTextElement('p', problem, 'search-problem')));
+        if (this.searchResults.length === 0) {
+            messages.appendChild(this.createTextElement('p', 'No matching projects or tasks.', 'search-summary'));
+        } else if (this.searchResults.length > SEARCH_RESULT_LIMIT) {
+            messages.appendChild(this.createTextElement(
+                'p',
+                `Showing the best ${SEARCH_RESULT_LIMIT} of ${this.searchResults.length} results.`,
+                'search-summary'
+            ));
+        }
+        
+        list.replaceChildren(...this.searchResults.slice(0, SEARCH_RESULT_LIMIT).map((record, index) => {
+            const option = document.createElement('div');
+            option.id = `search-result-${index}`;
+            option.className = 'search-result';
+            option.setAttribute('role', 'option');
+            option.append(
+                this.createTextElement('span', record.type === 'project' ? 'Project' : 'Task', `search-result-type ${record.type}`),
+                this.createHighlightedElement('span', record.title, query.terms, 'search-result-title'),
+                this.createTextElement('span', record.meta, 'search-result-meta')
+            );
+            if (record.description) {
+                option.appendChild(this.createHighlightedElement('span', searchSnippet(record.description, query.terms), query.terms, 'search-result-snippet'));
+            }
+            // Keeps focus in the search box so the keyboard still works
+            option.addEventListener('mousedown', (e) => e.preventDefault());
+            option.addEventListener('click', () => this.openSearchResult(index));
+            return option;
+        }));
+        
+        panel.classList.remove('hidden');
+        input.setAttribute('aria-expanded', 'true');
+        this.updateActiveSearchResult();
+    }
+
+    updateActiveSearchResult() {
+        const input = document.getElementById('globalSearch');
+        if (!input) return;
+        
+        document.querySelectorAll('.search-result').forEach((option, index) => {
+            const active = index === this.activeSearchResult;
+            option.classList.toggle('active', active);
+            option.setAttribute('aria-selected', String(active));
+            if (active) {
+                input.setAttribute('aria-activedescendant', option.id);
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        });
+        if (this.activeSearchResult === -1) {
+            input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    // ↑/↓ pick a result, Enter opens it and Escape closes the list
+    handleSearchKeydown(e) {
+        const shown = Math.min(this.searchResults.length, SEARCH_RESULT_LIMIT);
+        if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && shown > 0) {
+            e.preventDefault();
+            this.activeSearchResult = (this.activeSearchResult + (e.key === 'ArrowDown' ? 1 : -1) + shown) % shown;
+            this.updateActiveSearchResult();
+        } else if (e.key === 'Enter' && this.activeSearchResult !== -1) {
+            e.preventDefault();
+            this.openSearchResult(this.activeSearchResult);
+        } else if (e.key === 'Escape') {
+            this.closeSearchResults();
+        }
+    }
+
+    openSearchResult(index) {
+        const record = this.searchResults[index];
+        if (!record) return;
+        
+        this.closeSearchResults();
+        if (record.type === 'project') {
+            this.editProject(record.id);
+        } else {
+            this.editTask(record.id);
+        }
+    }
+
+    closeSearchResults() {
+        const panel = document.getElementById('searchPanel');
+        const input = document.getElementById('globalSearch');
+        if (panel) panel.classList.add('hidden');
+        if (input) {
+            input.setAttribute('aria-expanded', 'false');
+            input.removeAttribute('aria-activedescendant');
+        }
+        this.searchResults = [];
+        this.activeSearchResult = -1;
     }
 
     // Project Management
@@ -835,240 +3375,3235 @@ class ProjectManager {
                 const nameField = document.getElementById('projectName');
                 const descField = document.getElementById('projectDescription');
                 const statusField = document.getElementById('projectStatus');
+                const startDateField = document.getElementById('projectStartDate');
                 const dueDateField = document.getElementById('projectDueDate');
                 
                 if (nameField) nameField.value = project.name;
                 if (descField) descField.value = project.description;
                 if (statusField) statusField.value = project.status;
+                if (startDateField) startDateField.value = project.startDate;
                 if (dueDateField) dueDateField.value = project.dueDate;
             }
         } else {
-            title.textContent = 'Add Project';
-            const form = document.getElementById('projectForm');
-            if (form) form.reset();
+            title.textContent = 'Add Project';
+            const form = document.getElementById('projectForm');
+            if (form) form.reset();
+        }
+        
+        this.editingWorkflow = this.getWorkflow(projectId).map(status => ({ ...status }));
+        this.renderWorkflowEditor();
+        this.renderDescriptionPreview('projectDescription', 'projectDescriptionPreview');
+        this.resetModalTabs('projectModal', Boolean(projectId));
+        this.renderRecordHistory('projectHistory', projectId);
+        this.beginEdit('projects', projectId);
+        modal.classList.add('active');
+    }
+
+    closeProjectModal() {
+        const modal = document.getElementById('projectModal');
+        if (modal) {
+            modal.classList.remove('active');
+        }
+        this.currentEditingProject = null;
+        this.editingWorkflow = [];
+        this.endEdit('projects');
+        const form = document.getElementById('projectForm');
+        if (form) form.reset();
+    }
+
+    // Workflow editor rows in the project modal; edits go straight into
+    // this.editingWorkflow and are validated on save
+    renderWorkflowEditor() {
+        const container = document.getElementById('projectWorkflow');
+        if (!container) return;
+        
+        container.replaceChildren();
+        this.editingWorkflow.forEach((status, index) => {
+            const row = document.createElement('div');
+            row.className = 'workflow-status';
+            
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.className = 'workflow-status-color';
+            color.value = status.color;
+            color.setAttribute('aria-label', `Column ${index + 1} color`);
+            color.addEventListener('input', () => {
+                status.color = color.value;
+            });
+            
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.className = 'form-control workflow-status-name';
+            name.value = status.name;
+            name.placeholder = 'Column name';
+            name.setAttribute('aria-label', `Column ${index + 1} name`);
+            name.addEventListener('input', () => {
+                status.name = name.value;
+            });
+            
+            const wipLimit = document.createElement('input');
+            wipLimit.type = 'number';
+            wipLimit.min = '1';
+            wipLimit.step = '1';
+            wipLimit.className = 'form-control workflow-status-wip';
+            wipLimit.value = status.wipLimit || '';
+            wipLimit.placeholder = 'WIP';
+            wipLimit.title = 'WIP limit (empty for none)';
+            wipLimit.setAttribute('aria-label', `Column ${index + 1} WIP limit`);
+            wipLimit.addEventListener('input', () => {
+                status.wipLimit = wipLimit.value === '' ? null : Number(wipLimit.value);
+            });
+            
+            const doneLabel = document.createElement('label');
+            doneLabel.className = 'workflow-status-done';
+            const done = document.createElement('input');
+            done.type = 'checkbox';
+            done.checked = status.done;
+            done.addEventListener('change', () => {
+                status.done = done.checked;
+            });
+            doneLabel.append(done, ' Done');
+            
+            const actions = [
+                ['↑', 'Move column up', index === 0, () => this.moveWorkflowStatus(index, -1)],
+                ['↓', 'Move column down', index === this.editingWorkflow.length - 1, () => this.moveWorkflowStatus(index, 1)],
+                ['×', 'Remove column', this.editingWorkflow.length === 1, () => this.removeWorkflowStatus(index)]
+            ].map(([text, label, disabled, action]) => {
+                const button = this.createTextElement('button', text, 'btn btn--outline btn--sm');
+                button.type = 'button';
+                button.disabled = disabled;
+                button.setAttribute('aria-label', label);
+                button.addEventListener('click', action);
+                return button;
+            });
+            
+            row.append(color, name, wipLimit, doneLabel, ...actions);
+            container.appendChild(row);
+        });
+    }
+
+    addWorkflowStatus() {
+        this.editingWorkflow.push({ id: '', name: '', color: DEFAULT_WORKFLOW[0].color, done: false, wipLimit: null });
+        this.renderWorkflowEditor();
+        
+        const names = document.querySelectorAll('#projectWorkflow .workflow-status-name');
+        if (names.length > 0) names[names.length - 1].focus();
+    }
+
+    moveWorkflowStatus(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.editingWorkflow.length) return;
+        
+        const [status] = this.editingWorkflow.splice(index, 1);
+        this.editingWorkflow.splice(target, 0, status);
+        this.renderWorkflowEditor();
+    }
+
+    removeWorkflowStatus(index) {
+        if (this.editingWorkflow.length === 1) return;
+        this.editingWorkflow.splice(index, 1);
+        this.renderWorkflowEditor();
+    }
+
+    // Gives columns added in the editor an id derived from their name, so
+    // projects that use the same column name share it on the combined board
+    buildEditedWorkflow() {
+        const workflow = this.editingWorkflow.map(status => ({ ...status, name: status.name.trim() }));
+        const usedIds = new Set(workflow.map(status => status.id).filter(Boolean));
+        
+        workflow.forEach(status => {
+            if (status.id) return;
+            const base = status.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'status';
+            let id = base;
+            for (let n = 2; usedIds.has(id); n++) {
+                id = `${base}-${n}`;
+            }
+            status.id = id;
+            usedIds.add(id);
+        });
+        
+        return workflow;
+    }
+
+    // Returns a list of problems with a workflow; empty when it is valid
+    validateWorkflow(workflow) {
+        if (!Array.isArray(workflow) || workflow.length === 0) return ['needs at least one column'];
+        
+        const problems = [];
+        const ids = new Set();
+        const names = new Set();
+        workflow.forEach((status, index) => {
+            if (!status || typeof status !== 'object') {
+                problems.push(`column ${index + 1} is not an object`);
+                return;
+            }
+            const name = typeof status.name === 'string' ? status.name.trim() : '';
+            const label = name ? `"${name}"` : `column ${index + 1}`;
+            
+            if (typeof status.id !== 'string' || !status.id) problems.push(`${label} has no id`);
+            else if (ids.has(status.id)) problems.push(`duplicate column id "${status.id}"`);
+            ids.add(status.id);
+            
+            if (!name) problems.push(`column ${index + 1} has no name`);
+            else if (names.has(name.toLowerCase())) problems.push(`duplicate column name ${label}`);
+            names.add(name.toLowerCase());
+            
+            if (!/^#[0-9a-f]{6}$/i.test(status.color)) problems.push(`${label} has an invalid color`);
+            if (typeof status.done !== 'boolean') problems.push(`${label} done flag must be true or false`);
+            if (status.wipLimit !== null && !(Number.isInteger(status.wipLimit) && status.wipLimit > 0)) {
+                problems.push(`${label} WIP limit must be a positive whole number`);
+            }
+        });
+        if (!workflow.some(status => status && status.done === true)) {
+            problems.push('at least one column must count as done');
+        }
+        return problems;
+    }
+
+    saveProject() {
+        const nameField = document.getElementById('projectName');
+        const descField = document.getElementById('projectDescription');
+        const statusField = document.getElementById('projectStatus');
+        const startDateField = document.getElementById('projectStartDate');
+        const dueDateField = document.getElementById('projectDueDate');
+        
+        if (!nameField || !descField || !statusField || !startDateField || !dueDateField) return;
+        
+        const name = nameField.value;
+        const description = descField.value;
+        const status = statusField.value;
+        const startDate = startDateField.value;
+        const dueDate = dueDateField.value;
+        
+        if (!name.trim()) {
+            this.showToast('Project name is required', 'error');
+            return;
+        }
+        
+        if (startDate && dueDate && startDate > dueDate) {
+            this.showToast('Start date must be on or before the due date', 'error');
+            return;
+        }
+        
+        const workflow = this.buildEditedWorkflow();
+        const workflowProblems = this.validateWorkflow(workflow);
+        if (workflowProblems.length > 0) {
+            this.showToast(`Workflow: ${workflowProblems[0]}`, 'error');
+            return;
+        }
+        
+        if (!this.checkStaleEdit('projects', () => this.saveProject())) return;
+        
+        // Tasks in removed columns move to the first column
+        const statusIds = new Set(workflow.map(status => status.id));
+        const strandedTasks = this.tasks.filter(task => task.projectId === this.currentEditingProject && !statusIds.has(task.status));
+        if (strandedTasks.length > 0 &&
+            !confirm(`${strandedTasks.length} task(s) are in removed columns and will move to "${workflow[0].name}". Continue?`)) {
+            return;
+        }
+        strandedTasks.forEach(task => {
+            task.status = workflow[0].id;
+        });
+        
+        if (this.currentEditingProject) {
+            // Edit existing project
+            const projectIndex = this.projects.findIndex(p => p.id === this.currentEditingProject);
+            if (projectIndex !== -1) {
+                this.projects[projectIndex] = {
+                    ...this.projects[projectIndex],
+                    ...this.editedFields('projects', {
+                        name,
+                        description,
+                        status,
+                        startDate,
+                        dueDate,
+                        workflow
+                    })
+                };
+            }
+        } else {
+            // Create new project
+            const newProject = {
+                id: `proj-${Date.now()}`,
+                name,
+                description,
+                status,
+                startDate,
+                dueDate,
+                createdDate: new Date().toISOString().split('T')[0],
+                workflow,
+                archived: false,
+                deletedAt: ''
+            };
+            this.projects.push(newProject);
+        }
+        
+        this.saveData(`${this.currentEditingProject ? 'Update' : 'Create'} project "${name}"`);
+        this.showToast(`Project ${this.currentEditingProject ? 'updated' : 'created'} successfully`, 'success', this.undoToastAction(this.lastCommand));
+        this.closeProjectModal();
+        this.renderProjects();
+        this.renderDashboard();
+    }
+
+    editProject(projectId) {
+        this.openProjectModal(projectId);
+    }
+
+    deleteProject(projectId) {
+        const project = this.projects.find(p => p.id === projectId);
+        if (!project) return;
+        
+        const projectTasks = this.tasks.filter(t => t.projectId === projectId);
+        if (confirm(`Move "${project.name}" and its ${projectTasks.length} task(s) to the trash?`)) {
+            this.moveToTrash([project, ...projectTasks]);
+            this.saveData(`Delete project "${project.name}"`);
+            this.renderProjects();
+            this.renderDashboard();
+            this.showToast('Project moved to the trash', 'success', this.undoToastAction(this.lastCommand));
+        }
+    }
+
+    // Archived projects keep their tasks but leave the project list and the
+    // dashboard statistics
+    setProjectArchived(projectId, archived) {
+        const project = this.projects.find(p => p.id === projectId);
+        if (!project) return;
+        
+        project.archived = archived;
+        this.saveData(`${archived ? 'Archive' : 'Unarchive'} project "${project.name}"`);
+        this.renderProjects();
+        this.renderDashboard();
+        this.showToast(`Project ${archived ? 'archived' : 'unarchived'}`, 'success', this.undoToastAction(this.lastCommand));
+    }
+
+    // Team Members
+    getMember(memberId) {
+        return this.members.find(member => member.id === memberId);
+    }
+
+    getInitials(name) {
+        return name.trim().split(/\s+/).slice(0, 2).map(word => [...word][0]).join('').toUpperCase();
+    }
+
+    // Avatars of a task's assignees for list and Kanban cards
+    renderAvatars(task) {
+        const members = task.assignees.map(id => this.getMember(id)).filter(Boolean);
+        if (members.length === 0) return null;
+        
+        return h('span', { className: 'avatars' }, members.map(member =>
+            h('span', { className: 'avatar', style: { '--avatar-color': member.color }, title: member.name }, this.getInitials(member.name))
+        ));
+    }
+
+    setCurrentMember(memberId) {
+        this.currentMemberId = memberId;
+        if (memberId) {
+            localStorage.setItem('projectflow_member', memberId);
+        } else {
+            localStorage.removeItem('projectflow_member');
+        }
+        this.renderMyWork();
+    }
+
+    renderMembers() {
+        const membersGrid = document.getElementById('membersGrid');
+        if (!membersGrid) return;
+        
+        const cards = this.members.map(member => {
+            const openTasks = this.tasks.filter(task => task.assignees.includes(member.id) && !this.isTaskDone(task)).length;
+            const data = { memberId: member.id };
+            
+            return h('div', { className: 'member-card', dataset: { action: 'edit-member', ...data } },
+                h('span', { className: 'avatar avatar--large', style: { '--avatar-color': member.color } }, this.getInitials(member.name)),
+                h('div', { className: 'member-info' },
+                    h('h3', { className: 'member-name' }, member.name, member.id === this.currentMemberId && [' ', h('span', { className: 'member-you' }, '(you)')]),
+                    h('p', { className: 'member-email' }, member.email),
+                    h('span', { className: 'member-tasks' }, `${openTasks} open tasks`)
+                ),
+                h('div', { className: 'member-actions' },
+                    h('button', { className: 'btn btn--outline btn-icon', dataset: { action: 'edit-member', ...data } }, '✏️'),
+                    h('button', { className: 'btn btn--outline btn-icon', dataset: { action: 'delete-member', ...data } }, '🗑️')
+                )
+            );
+        });
+        membersGrid.replaceChildren(...(cards.length > 0 ? cards
+            : [h('p', { className: 'member-empty' }, 'No team members yet. Add people to assign them tasks.')]));
+    }
+
+    openMemberModal(memberId = null) {
+        this.currentEditingMember = memberId;
+        const modal = document.getElementById('memberModal');
+        const title = document.getElementById('memberModalTitle');
+        
+        if (!modal || !title) return;
+        
+        const form = document.getElementById('memberForm');
+        if (form) form.reset();
+        
+        const member = this.getMember(memberId);
+        title.textContent = member ? 'Edit Member' : 'Add Member';
+        if (member) {
+            const nameField = document.getElementById('memberName');
+            const emailField = document.getElementById('memberEmail');
+            
+            if (nameField) nameField.value = member.name;
+            if (emailField) emailField.value = member.email;
+        }
+        
+        this.beginEdit('members', memberId);
+        modal.classList.add('active');
+    }
+
+    closeMemberModal() {
+        const modal = document.getElementById('memberModal');
+        if (modal) {
+            modal.classList.remove('active');
+        }
+        this.currentEditingMember = null;
+        this.endEdit('members');
+        const form = document.getElementById('memberForm');
+        if (form) form.reset();
+    }
+
+    // Names are unique because CSV imports pick assignees by name
+    saveMember() {
+        const nameField = document.getElementById('memberName');
+        const emailField = document.getElementById('memberEmail');
+        
+        if (!nameField || !emailField) return;
+        
+        const name = nameField.value.trim();
+        const email = emailField.value.trim();
+        
+        if (!name) {
+            this.showToast('Member name is required', 'error');
+            return;
+        }
+        
+        if (this.members.some(member => member.id !== this.currentEditingMember && member.name.toLowerCase() === name.toLowerCase())) {
+            this.showToast(`A member named "${name}" already exists`, 'error');
+            return;
+        }
+        
+        if (email && !EMAIL_PATTERN.test(email)) {
+            this.showToast('Please enter a valid email address', 'error');
+            return;
+        }
+        
+        if (!this.checkStaleEdit('members', () => this.saveMember())) return;
+        
+        const existingMember = this.getMember(this.currentEditingMember);
+        if (existingMember) {
+            Object.assign(existingMember, this.editedFields('members', { name, email }));
+        } else {
+            this.members.push({
+                id: `member-${Date.now()}`,
+                name,
+                email,
+                color: MEMBER_COLORS[this.members.length % MEMBER_COLORS.length],
+                createdDate: new Date().toISOString().split('T')[0]
+            });
+        }
+        
+        this.saveData(`${existingMember ? 'Update' : 'Add'} member "${name}"`);
+        this.showToast(`Member ${existingMember ? 'updated' : 'added'} successfully`, 'success', this.undoToastAction(this.lastCommand));
+        this.closeMemberModal();
+        this.renderMembers();
+    }
+
+    editMember(memberId) {
+        this.openMemberModal(memberId);
+    }
+
+    deleteMember(memberId) {
+        const member = this.getMember(memberId);
+        if (!member) return;
+        
+        const assignedTasks = this.tasks.filter(task => task.assignees.includes(memberId));
+        const message = assignedTasks.length > 0
+            ? `Remove ${member.name} from the team? They will be unassigned from ${assignedTasks.length} task(s).`
+            : `Remove ${member.name} from the team?`;
+        if (confirm(message)) {
+            this.members = this.members.filter(m => m.id !== memberId);
+            // Tasks in the trash too, so restoring one does not bring the id back
+            this.getStoredRecords('tasks').forEach(task => {
+                if (task.assignees.includes(memberId)) task.assignees = task.assignees.filter(id => id !== memberId);
+            });
+            // Their comments stay, without an author
+            this.comments.forEach(comment => {
+                if (comment.authorId === memberId) comment.authorId = '';
+                if (comment.mentions.includes(memberId)) comment.mentions = comment.mentions.filter(id => id !== memberId);
+            });
+            if (this.currentMemberId === memberId) {
+                this.setCurrentMember('');
+            }
+            this.saveData(`Remove member "${member.name}"`);
+            this.renderMembers();
+            this.showToast('Member removed', 'success', this.undoToastAction(this.lastCommand));
+        }
+    }
+
+    // Task Management
+    // parentId preselects the parent (and its project) for a new subtask
+    openTaskModal(taskId = null, parentId = null) {
+        this.currentEditingTask = taskId;
+        const modal = document.getElementById('taskModal');
+        const title = document.getElementById('taskModalTitle');
+        
+        if (!modal || !title) return;
+        
+        this.populateProjectFilters();
+        
+        if (taskId) {
+            const task = this.tasks.find(t => t.id === taskId);
+            if (task) {
+                title.textContent = 'Edit Task';
+                const titleField = document.getElementById('taskTitle');
+                const descField = document.getElementById('taskDescription');
+                const projectField = document.getElementById('taskProject');
+                const priorityField = document.getElementById('taskPriority');
+                const startDateField = document.getElementById('taskStartDate');
+                const dueDateField = document.getElementById('taskDueDate');
+                
+                if (titleField) titleField.value = task.title;
+                if (descField) descField.value = task.description;
+                if (projectField) projectField.value = task.projectId;
+                if (priorityField) priorityField.value = task.priority;
+                this.populateTaskStatusOptions(task.projectId, task.status);
+                this.populateParentOptions(task.projectId, task.id, task.parentId);
+                this.populateDependencyOptions(task.id);
+                this.populateAssigneeOptions(task.assignees);
+                if (startDateField) startDateField.value = task.startDate;
+                if (dueDateField) dueDateField.value = task.dueDate;
+                this.fillRecurrenceForm(task.recurrence);
+                this.editingChecklist = task.checklist.map(item => ({ ...item }));
+                this.editingReminders = task.reminders.map(reminder => ({ ...reminder }));
+            }
+        } else {
+            const parent = this.tasks.find(t => t.id === parentId);
+            title.textContent = parent ? 'Add Subtask' : 'Add Task';
+            const form = document.getElementById('taskForm');
+            if (form) form.reset();
+            
+            const projectId = parent ? parent.projectId : '';
+            const projectField = document.getElementById('taskProject');
+            if (projectField) projectField.value = projectId;
+            this.populateTaskStatusOptions(projectId, '');
+            this.populateParentOptions(projectId, null, parent ? parent.id : '');
+            this.populateDependencyOptions(null);
+            this.populateAssigneeOptions([]);
+            this.fillRecurrenceForm(null);
+            this.editingChecklist = [];
+            this.editingReminders = [];
+        }
+        
+        this.renderChecklistEditor();
+        this.renderReminderEditor();
+        this.renderDescriptionPreview('taskDescription', 'taskDescriptionPreview');
+        const referenceHint = document.getElementById('taskReferenceHint');
+        if (referenceHint) referenceHint.textContent = taskId ? ` Other descriptions can link here with #${taskId}.` : '';
+        this.resetModalTabs('taskModal', Boolean(taskId));
+        this.renderRecordHistory('taskHistory', taskId);
+        const commentBody = document.getElementById('commentBody');
+        if (commentBody) commentBody.value = '';
+        this.editingCommentId = null;
+        this.renderComments();
+        this.renderAttachments();
+        this.beginEdit('tasks', taskId);
+        modal.classList.add('active');
+    }
+
+    // Project and task descriptions are Markdown, where #id links to the task
+    // with that id. Previews in the modals show links as plain text, so
+    // clicking one cannot drop unsaved edits.
+    renderDescription(text, interactive = true) {
+        return renderMarkdown(text, { references: taskId => this.renderTaskReference(taskId, interactive) });
+    }
+
+    renderTaskReference(taskId, interactive) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return null;
+        
+        const className = `task-reference ${this.isTaskDone(task) ? 'done' : ''}`;
+        return interactive
+            ? h('button', { type: 'button', className, title: `Open #${task.id}`, dataset: { action: 'edit-task', taskId: task.id } }, task.title)
+            : h('span', { className, title: `#${task.id}` }, task.title);
+    }
+
+    renderDescriptionPreview(fieldId, previewId) {
+        const field = document.getElementById(fieldId);
+        const preview = document.getElementById(previewId);
+        if (!field || !preview) return;
+        
+        preview.replaceChildren(this.renderDescription(field.value, false));
+        preview.classList.toggle('hidden', !field.value.trim());
+    }
+
+    // Parent choices are tasks of the same project, excluding the task itself
+    // and its own subtasks so no cycle can be created
+    populateParentOptions(projectId, taskId, selected) {
+        const parentField = document.getElementById('taskParent');
+        if (!parentField) return;
+        
+        const excluded = new Set(taskId ? this.getTaskWithDescendants(taskId) : []);
+        const candidates = this.tasks.filter(task => task.projectId === projectId && !excluded.has(task.id));
+        parentField.replaceChildren(
+            new Option('None (top-level task)', ''),
+            ...candidates.map(task => new Option(task.title, task.id))
+        );
+        parentField.value = candidates.some(task => task.id === selected) ? selected : '';
+    }
+
+    // Blocked-by and blocks choices: every other task, from any project
+    populateDependencyOptions(taskId) {
+        const blockedByField = document.getElementById('taskBlockedBy');
+        const blocksField = document.getElementById('taskBlocks');
+        if (!blockedByField || !blocksField) return;
+        
+        const task = this.tasks.find(t => t.id === taskId);
+        const options = selected => this.tasks
+            .filter(other => other.id !== taskId)
+            .map(other => {
+                const project = this.projects.find(p => p.id === other.projectId);
+                const option = new Option(`${other.title} (${project ? project.name : 'Unknown Project'})`, other.id);
+                option.selected = selected(other);
+                return option;
+            });
+        
+        blockedByField.replaceChildren(...options(other => Boolean(task) && task.blockedBy.includes(other.id)));
+        blocksField.replaceChildren(...options(other => other.blockedBy.includes(taskId)));
+    }
+
+    populateAssigneeOptions(selected) {
+        const assigneesField = document.getElementById('taskAssignees');
+        if (!assigneesField) return;
+        
+        assigneesField.replaceChildren(...this.members.map(member => {
+            const option = new Option(member.email ? `${member.name} (${member.email})` : member.name, member.id);
+            option.selected = selected.includes(member.id);
+            return option;
+        }));
+    }
+
+    renderChecklistEditor() {
+        const container = document.getElementById('taskChecklist');
+        if (!container) return;
+        
+        container.replaceChildren();
+        this.editingChecklist.forEach((item, index) => {
+            const row = document.createElement('li');
+            row.className = 'checklist-editor-item';
+            
+            const done = document.createElement('input');
+            done.type = 'checkbox';
+            done.checked = item.done;
+            done.setAttribute('aria-label', `Item ${index + 1} done`);
+            done.addEventListener('change', () => {
+                item.done = done.checked;
+            });
+            
+            const text = document.createElement('input');
+            text.type = 'text';
+            text.className = 'form-control';
+            text.value = item.text;
+            text.setAttribute('aria-label', `Item ${index + 1}`);
+            text.addEventListener('input', () => {
+                item.text = text.value;
+            });
+            
+            const remove = this.createTextElement('button', '×', 'btn btn--outline btn--sm');
+            remove.type = 'button';
+            remove.setAttribute('aria-label', `Remove item ${index + 1}`);
+            remove.addEventListener('click', () => {
+                this.editingChecklist.splice(index, 1);
+                this.renderChecklistEditor();
+            });
+            
+            row.append(done, text, remove);
+            container.appendChild(row);
+        });
+    }
+
+    addChecklistItem() {
+        const input = document.getElementById('newChecklistItem');
+        if (!input || !input.value.trim()) return;
+        
+        this.editingChecklist.push({ id: `item-${Date.now()}-${this.editingChecklist.length}`, text: input.value.trim(), done: false });
+        input.value = '';
+        this.renderChecklistEditor();
+        input.focus();
+    }
+
+    // Each reminder is a time of day, on the due date or a number of days before it
+    renderReminderEditor() {
+        const container = document.getElementById('taskReminders');
+        if (!container) return;
+        
+        container.replaceChildren(...this.editingReminders.map((reminder, index) => {
+            const choices = REMINDER_DAYS_BEFORE.includes(reminder.daysBefore) ? REMINDER_DAYS_BEFORE : [...REMINDER_DAYS_BEFORE, reminder.daysBefore].sort((a, b) => a - b);
+            const daysBefore = h('select', { className: 'form-control', 'aria-label': `Reminder ${index + 1} day` },
+                choices.map(days => new Option(this.describeReminderDay(days), days, false, days === reminder.daysBefore)));
+            daysBefore.addEventListener('change', () => {
+                reminder.daysBefore = Number(daysBefore.value);
+            });
+            
+            const time = h('input', { type: 'time', className: 'form-control', value: reminder.time, 'aria-label': `Reminder ${index + 1} time` });
+            time.addEventListener('input', () => {
+                reminder.time = time.value;
+            });
+            
+            const remove = h('button', { type: 'button', className: 'btn btn--outline btn--sm', 'aria-label': `Remove reminder ${index + 1}` }, '×');
+            remove.addEventListener('click', () => {
+                this.editingReminders.splice(index, 1);
+                this.renderReminderEditor();
+            });
+            
+            return h('li', { className: 'reminder-editor-item' }, daysBefore, h('span', {}, 'at'), time, remove);
+        }));
+    }
+
+    addReminder() {
+        const used = this.editingReminders.map(reminder => reminder.daysBefore);
+        const daysBefore = REMINDER_DAYS_BEFORE.find(days => !used.includes(days));
+        this.editingReminders.push({ daysBefore: daysBefore === undefined ? 0 : daysBefore, time: REMINDER_DEFAULT_TIME });
+        this.renderReminderEditor();
+    }
+
+    describeReminderDay(daysBefore) {
+        if (daysBefore === 0) return 'On the due date';
+        return daysBefore === 1 ? '1 day before' : `${daysBefore} days before`;
+    }
+
+    describeReminder(reminder) {
+        return `${this.describeReminderDay(reminder.daysBefore).toLowerCase()} at ${reminder.time}`;
+    }
+
+    fillRecurrenceForm(rule) {
+        const fields = this.getRecurrenceFields();
+        if (!fields) return;
+        
+        fields.frequency.value = rule ? rule.frequency : '';
+        fields.interval.value = rule ? rule.interval : 1;
+        fields.weekdays.forEach(checkbox => {
+            checkbox.checked = Boolean(rule) && rule.weekdays.includes(Number(checkbox.value));
+        });
+        fields.monthlyBy.value = rule ? rule.monthlyBy : 'day';
+        fields.end.value = !rule ? 'never' : rule.until ? 'until' : rule.count ? 'count' : 'never';
+        fields.until.value = rule ? rule.until : '';
+        fields.count.value = rule && rule.count ? rule.count : 10;
+        this.updateRecurrenceFields();
+    }
+
+    getRecurrenceFields() {
+        const frequency = document.getElementById('taskRepeat');
+        const options = document.getElementById('taskRecurrenceOptions');
+        if (!frequency || !options) return null;
+        
+        return {
+            frequency,
+            options,
+            interval: document.getElementById('taskRepeatInterval'),
+            unit: document.getElementById('taskRepeatUnit'),
+            weekdayRow: document.getElementById('taskRepeatWeekdays'),
+            weekdays: [...document.querySelectorAll('#taskRepeatWeekdays input[type="checkbox"]')],
+            monthlyRow: document.getElementById('taskRepeatMonthly'),
+            monthlyBy: document.getElementById('taskRepeatMonthlyBy'),
+            end: document.getElementById('taskRepeatEnd'),
+            until: document.getElementById('taskRepeatUntil'),
+            count: document.getElementById('taskRepeatCount')
+        };
+    }
+
+    updateRecurrenceFields() {
+        const fields = this.getRecurrenceFields();
+        if (!fields) return;
+        
+        const frequency = fields.frequency.value;
+        const units = { daily: 'day', weekly: 'week', monthly: 'month' };
+        fields.options.classList.toggle('hidden', !frequency);
+        fields.unit.textContent = Number(fields.interval.value) === 1 ? units[frequency] || '' : `${units[frequency] || ''}s`;
+        fields.weekdayRow.classList.toggle('hidden', frequency !== 'weekly');
+        fields.monthlyRow.classList.toggle('hidden', frequency !== 'monthly');
+        fields.until.classList.toggle('hidden', fields.end.value !== 'until');
+        fields.count.classList.toggle('hidden', fields.end.value !== 'count');
+    }
+
+    // Weekly repeats start out on the due date's weekday
+    suggestRepeatWeekday() {
+        const fields = this.getRecurrenceFields();
+        const dueDateField = document.getElementById('taskDueDate');
+        if (!fields || !dueDateField || !dueDateField.value || fields.frequency.value !== 'weekly' ||
+            fields.weekdays.some(checkbox => checkbox.checked)) return;
+        
+        const weekday = new Date(`${dueDateField.value}T00:00:00Z`).getUTCDay();
+        fields.weekdays.forEach(checkbox => {
+            checkbox.checked = Number(checkbox.value) === weekday;
+        });
+    }
+
+    // Builds the rule from the task form. Returns { rule } (null when the task
+    // does not repeat) or { problem }.
+    readRecurrenceForm(dueDate, existing) {
+        const fields = this.getRecurrenceFields();
+        if (!fields || !fields.frequency.value) return { rule: null };
+        
+        if (!dueDate) return { problem: 'Repeating tasks need a due date' };
+        const rule = {
+            frequency: fields.frequency.value,
+            interval: Number(fields.interval.value),
+            weekdays: fields.frequency.value === 'weekly'
+                ? fields.weekdays.filter(checkbox => checkbox.checked).map(checkbox => Number(checkbox.value))
+                : [],
+            monthlyBy: fields.frequency.value === 'monthly' ? fields.monthlyBy.value : 'day',
+            anchorDate: dueDate,
+            until: fields.end.value === 'until' ? fields.until.value : '',
+            count: fields.end.value === 'count' ? Number(fields.count.value) : null,
+            occurrence: existing ? existing.occurrence : 1,
+            nextTaskId: existing ? existing.nextTaskId : ''
+        };
+        // An unchanged pattern keeps counting from its anchor, so a monthly
+        // repeat on the 31st that fell on the 28th in February goes back to
+        // the 31st afterwards
+        if (existing && ['frequency', 'interval', 'monthlyBy'].every(field => existing[field] === rule[field]) &&
+            [...existing.weekdays].sort().join() === [...rule.weekdays].sort().join()) {
+            rule.anchorDate = existing.anchorDate;
+        }
+        
+        if (fields.end.value === 'until' && !rule.until) return { problem: 'Choose the date the repeat ends' };
+        const scheduleProblem = this.validateTaskSchedule({ startDate: '', dueDate, reminders: [], recurrence: rule });
+        if (scheduleProblem) return { problem: scheduleProblem };
+        const problems = validateRecurrence(rule);
+        return problems.length > 0 ? { problem: `Repeat: ${problems[0]}` } : { rule };
+    }
+
+    // Checks a task's dates against each other and against the reminders and
+    // repeat that depend on them; used by the task form and the timeline.
+    // Returns the first problem, or null.
+    validateTaskSchedule({ startDate, dueDate, reminders, recurrence }) {
+        if (startDate && dueDate && startDate > dueDate) return 'Start date must be on or before the due date';
+        if (reminders.length > 0 && !dueDate) return 'Reminders need a due date';
+        if (recurrence && !dueDate) return 'Repeating tasks need a due date';
+        if (recurrence && recurrence.until && recurrence.until < dueDate) return 'The repeat must end on or after the due date';
+        return null;
+    }
+
+    // Creates the next occurrence of a completed repeating task, once. The
+    // copy keeps the start-to-due gap and starts with an unticked checklist.
+    spawnNextOccurrence(task) {
+        if (!task.recurrence || !this.isTaskDone(task) || this.getStoredRecords('tasks').some(t => t.id === task.recurrence.nextTaskId)) return null;
+        
+        const dueDate = nextRecurrenceDate(task.recurrence, task.dueDate);
+        if (!dueDate) return null;
+        
+        const length = task.startDate ? this.toDayNumber(task.dueDate) - this.toDayNumber(task.startDate) : null;
+        const next = {
+            ...task,
+            id: `task-${Date.now()}-${task.recurrence.occurrence + 1}`,
+            status: this.getFirstStatus(task.projectId, false).id,
+            startDate: length === null ? '' : this.fromDayNumber(this.toDayNumber(dueDate) - length),
+            dueDate,
+            createdDate: new Date().toISOString().split('T')[0],
+            rank: this.nextTaskRank(),
+            checklist: task.checklist.map(item => ({ ...item, done: false })),
+            blockedBy: [],
+            recurrence: { ...task.recurrence, occurrence: task.recurrence.occurrence + 1, nextTaskId: '' },
+            reminders: task.reminders.map(reminder => ({ ...reminder }))
+        };
+        task.recurrence = { ...task.recurrence, nextTaskId: next.id };
+        this.tasks.push(next);
+        this.showToast(`Next occurrence of "${task.title}" is due ${this.formatDate(dueDate)}`, 'info');
+        return next;
+    }
+
+    // Dates of the occurrences still to be created for open repeating tasks,
+    // as a map of date to tasks, between startDate and endDate
+    getUpcomingOccurrences(startDate, endDate) {
+        const occurrences = new Map();
+        this.tasks
+            .filter(task => task.recurrence && task.dueDate && !this.isTaskDone(task))
+            .forEach(task => {
+                listRecurrenceDates(task.recurrence, task.dueDate, endDate, 1000, startDate)
+                    .forEach(date => occurrences.set(date, [...(occurrences.get(date) || []), task]));
+            });
+        return occurrences;
+    }
+
+    closeTaskModal() {
+        const modal = document.getElementById('taskModal');
+        if (modal) {
+            modal.classList.remove('active');
+        }
+        this.currentEditingTask = null;
+        this.editingChecklist = [];
+        this.editingReminders = [];
+        this.editingCommentId = null;
+        this.endEdit('tasks');
+        this.releaseAttachmentUrls();
+        const form = document.getElementById('taskForm');
+        if (form) form.reset();
+    }
+
+    saveTask() {
+        const titleField = document.getElementById('taskTitle');
+        const descField = document.getElementById('taskDescription');
+        const projectField = document.getElementById('taskProject');
+        const priorityField = document.getElementById('taskPriority');
+        const statusField = document.getElementById('taskStatus');
+        const startDateField = document.getElementById('taskStartDate');
+        const dueDateField = document.getElementById('taskDueDate');
+        const parentField = document.getElementById('taskParent');
+        const blockedByField = document.getElementById('taskBlockedBy');
+        const blocksField = document.getElementById('taskBlocks');
+        const assigneesField = document.getElementById('taskAssignees');
+        
+        if (!titleField || !descField || !projectField || !priorityField || !statusField || !startDateField || !dueDateField ||
+            !parentField || !blockedByField || !blocksField || !assigneesField) return;
+        
+        const title = titleField.value;
+        const description = descField.value;
+        const projectId = projectField.value;
+        const priority = priorityField.value;
+        const status = statusField.value;
+        const startDate = startDateField.value;
+        const dueDate = dueDateField.value;
+        const parentId = parentField.value;
+        const checklist = this.editingChecklist
+            .map(item => ({ ...item, text: item.text.trim() }))
+            .filter(item => item.text);
+        // Repeated reminders are dropped; a reminder fires once however often it is listed
+        const reminders = this.editingReminders
+            .filter((reminder, index, all) => all.findIndex(other => other.daysBefore === reminder.daysBefore && other.time === reminder.time) === index)
+            .sort((a, b) => b.daysBefore - a.daysBefore || a.time.localeCompare(b.time));
+        const blockedBy = [...blockedByField.selectedOptions].map(option => option.value);
+        const blocks = new Set([...blocksField.selectedOptions].map(option => option.value));
+        const assignees = [...assigneesField.selectedOptions].map(option => option.value);
+        
+        if (!title.trim()) {
+            this.showToast('Task title is required', 'error');
+            return;
+        }
+        
+        if (!projectId) {
+            this.showToast('Please select a project', 'error');
+            return;
+        }
+        
+        const scheduleProblem = this.validateTaskSchedule({ startDate, dueDate, reminders, recurrence: null });
+        if (scheduleProblem) {
+            this.showToast(scheduleProblem, 'error');
+            return;
+        }
+        
+        if (reminders.some(reminder => !REMINDER_TIME_PATTERN.test(reminder.time))) {
+            this.showToast('Please enter a time for each reminder', 'error');
+            return;
+        }
+        
+        if (!this.checkStaleEdit('tasks', () => this.saveTask())) return;
+        
+        const existingTask = this.tasks.find(t => t.id === this.currentEditingTask);
+        const { rule: recurrence, problem: recurrenceProblem } = this.readRecurrenceForm(dueDate, existingTask && existingTask.recurrence);
+        if (recurrenceProblem) {
+            this.showToast(recurrenceProblem, 'error');
+            return;
+        }
+        
+        const selectedStatus = this.getWorkflow(projectId).find(s => s.id === status);
+        if (!selectedStatus) {
+            this.showToast('Please select a status from the project workflow', 'error');
+            return;
+        }
+        
+        // Check the links as they will be after saving
+        const taskId = this.currentEditingTask || `task-${Date.now()}`;
+        const blockedByMap = new Map(this.tasks.map(task => {
+            const others = task.blockedBy.filter(id => id !== taskId);
+            return [task.id, blocks.has(task.id) ? [...others, taskId] : others];
+        }));
+        blockedByMap.set(taskId, blockedBy);
+        
+        const cycle = this.findDependencyCycle(taskId, blockedByMap);
+        if (cycle) {
+            const titles = cycle.map(id => (id === taskId ? title : this.tasks.find(t => t.id === id).title));
+            this.showToast(`Dependencies would form a cycle: ${titles.join(' → ')}`, 'error');
+            return;
+        }
+        
+        if (!this.confirmCompletion({ ...(existingTask || { projectId, status: '' }), title, blockedBy }, selectedStatus)) return;
+        
+        this.tasks.forEach(task => {
+            if (task.id !== taskId && blockedByMap.get(task.id).length !== task.blockedBy.length) {
+                task.blockedBy = blockedByMap.get(task.id);
+            }
+        });
+        
+        if (this.currentEditingTask) {
+            // Edit existing task
+            const taskIndex = this.tasks.findIndex(t => t.id === this.currentEditingTask);
+            if (taskIndex !== -1) {
+                const updatedTask = {
+                    ...this.tasks[taskIndex],
+                    ...this.editedFields('tasks', {
+                        title,
+                        description,
+                        projectId,
+                        priority,
+                        status,
+                        startDate,
+                        dueDate,
+                        parentId,
+                        checklist,
+                        blockedBy,
+                        recurrence,
+                        assignees,
+                        reminders
+                    })
+                };
+                
+                // Subtasks follow their parent into another project
+                if (this.tasks[taskIndex].projectId !== updatedTask.projectId) {
+                    const workflow = this.getWorkflow(updatedTask.projectId);
+                    this.getTaskWithDescendants(this.currentEditingTask).slice(1).forEach(id => {
+                        const subtask = this.tasks.find(t => t.id === id);
+                        subtask.projectId = updatedTask.projectId;
+                        if (!workflow.some(s => s.id === subtask.status)) subtask.status = workflow[0].id;
+                    });
+                }
+                
+                this.tasks[taskIndex] = updatedTask;
+                this.spawnNextOccurrence(this.tasks[taskIndex]);
+            }
+        } else {
+            // Create new task
+            const newTask = {
+                id: taskId,
+                title,
+                description,
+                projectId,
+                priority,
+                status,
+                startDate,
+                dueDate,
+                createdDate: new Date().toISOString().split('T')[0],
+                rank: this.nextTaskRank(),
+                parentId,
+                checklist,
+                blockedBy,
+                recurrence,
+                assignees,
+                reminders,
+                deletedAt: ''
+            };
+            this.tasks.push(newTask);
+            this.spawnNextOccurrence(newTask);
+        }
+        
+        this.saveData(`${this.currentEditingTask ? 'Update' : 'Create'} task "${title}"`);
+        this.showToast(`Task ${this.currentEditingTask ? 'updated' : 'created'} successfully`, 'success', this.undoToastAction(this.lastCommand));
+        this.closeTaskModal();
+        this.renderTasks();
+        this.renderDashboard();
+    }
+
+    editTask(taskId) {
+        this.openTaskModal(taskId);
+    }
+
+    deleteTask(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+        
+        // Links to trashed blockers are kept for a restore; getBlockers() skips them
+        const ids = this.getTaskWithDescendants(taskId);
+        const message = ids.length > 1
+            ? `Move this task and its ${ids.length - 1} subtask(s) to the trash?`
+            : 'Move this task to the trash?';
+        if (confirm(message)) {
+            this.moveToTrash(ids.map(id => this.tasks.find(t => t.id === id)));
+            this.saveData(`Delete task "${task.title}"`);
+            this.renderTasks();
+            this.renderDashboard();
+            this.showToast('Task moved to the trash', 'success', this.undoToastAction(this.lastCommand));
+        }
+    }
+
+    toggleTaskStatus(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (task) {
+            // Done tasks reopen in the first open column; others go to the first done one
+            const status = this.getFirstStatus(task.projectId, !this.isTaskDone(task));
+            if (!this.confirmCompletion(task, status)) return;
+            task.status = status.id;
+            this.spawnNextOccurrence(task);
+            
+            this.saveData(`Mark "${task.title}" as ${status.name}`);
+            this.renderTasks();
+            this.renderDashboard();
+            this.showToast(`Task marked as ${status.name}`, 'success', this.undoToastAction(this.lastCommand));
+        }
+    }
+
+    // Comments
+    // Only the author, when chosen as "who you are", can edit or delete a comment
+    getTaskComments(taskId) {
+        return this.comments.filter(comment => comment.taskId === taskId);
+    }
+
+    // Ids of the members written as @Name in a comment. Longer names are
+    // matched first so "@Ada Lovelace" does not also mention an "Ada".
+    findMentions(body) {
+        let text = body;
+        const mentioned = new Set();
+        [...this.members].sort((a, b) => b.name.length - a.name.length).forEach(member => {
+            const replaced = text.replace(new RegExp(`(^|[^\\w@])@${escapeRegExp(member.name)}(?!\\w)`, 'gi'), '$1');
+            if (replaced !== text) {
+                mentioned.add(member.id);
+                text = replaced;
+            }
+        });
+        return this.members.filter(member => mentioned.has(member.id)).map(member => member.id);
+    }
+
+    // The Comments tab of the task modal
+    renderComments() {
+        const thread = document.getElementById('commentThread');
+        const authorField = document.getElementById('commentAuthor');
+        const tab = document.getElementById('taskCommentsTab');
+        if (!thread) return;
+        
+        const comments = this.getTaskComments(this.currentEditingTask);
+        if (tab) tab.textContent = comments.length > 0 ? `Comments (${comments.length})` : 'Comments';
+        if (authorField) {
+            authorField.replaceChildren(
+                new Option('Choose who you are', ''),
+                ...this.members.map(member => new Option(member.name, member.id))
+            );
+            authorField.value = this.getMember(this.currentMemberId) ? this.currentMemberId : '';
+        }
+        
+        if (comments.length === 0) {
+            thread.replaceChildren(this.createTextElement('p', 'No comments yet. Start the discussion below.', 'comment-empty'));
+            return;
+        }
+        thread.replaceChildren(...comments.map(comment => this.renderComment(comment)));
+    }
+
+    renderComment(comment) {
+        const author = this.getMember(comment.authorId);
+        const item = document.createElement('article');
+        item.className = 'comment';
+        
+        const header = document.createElement('div');
+        header.className = 'comment-header';
+        if (author) {
+            const avatar = this.createTextElement('span', this.getInitials(author.name), 'avatar');
+            avatar.style.setProperty('--avatar-color', author.color);
+            header.appendChild(avatar);
+        }
+        const time = this.createTextElement('span', `${this.formatEventTime(comment.createdAt)}${comment.editedAt ? ' (edited)' : ''}`, 'comment-time');
+        if (comment.editedAt) time.title = `Edited ${this.formatEventTime(comment.editedAt)}`;
+        header.append(this.createTextElement('span', author ? author.name : 'Former member', 'comment-author-name'), time);
+        item.appendChild(header);
+        
+        const isOwn = Boolean(author) && author.id === this.currentMemberId;
+        if (isOwn && this.editingCommentId === comment.id) {
+            const editor = document.createElement('textarea');
+            editor.className = 'form-control';
+            editor.rows = 3;
+            editor.value = comment.body;
+            editor.setAttribute('aria-label', 'Edit comment');
+            const suggestions = document.createElement('ul');
+            suggestions.className = 'mention-suggestions hidden';
+            suggestions.setAttribute('role', 'listbox');
+            this.attachMentionSuggestions(editor, suggestions);
+            editor.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                    e.preventDefault();
+                    this.updateComment(comment.id, editor.value);
+                }
+            });
+            
+            const actions = document.createElement('div');
+            actions.className = 'comment-form-actions';
+            const cancel = this.createTextElement('button', 'Cancel', 'btn btn--secondary btn--sm');
+            cancel.type = 'button';
+            cancel.addEventListener('click', () => {
+                this.editingCommentId = null;
+                this.renderComments();
+            });
+            const save = this.createTextElement('button', 'Save', 'btn btn--primary btn--sm');
+            save.type = 'button';
+            save.addEventListener('click', () => this.updateComment(comment.id, editor.value));
+            actions.append(cancel, save);
+            item.append(editor, suggestions, actions);
+            return item;
+        }
+        
+        const body = document.createElement('div');
+        body.className = 'comment-body markdown';
+        const mentionNames = comment.mentions.map(id => this.getMember(id)).filter(Boolean).map(member => member.name);
+        body.appendChild(renderMarkdown(comment.body, { mentions: mentionNames }));
+        item.appendChild(body);
+        
+        if (isOwn) {
+            const actions = document.createElement('div');
+            actions.className = 'comment-actions';
+            const edit = this.createTextElement('button', 'Edit', 'btn btn--outline btn--sm');
+            edit.type = 'button';
+            edit.addEventListener('click', () => {
+                this.editingCommentId = comment.id;
+                this.renderComments();
+            });
+            const remove = this.createTextElement('button', 'Delete', 'btn btn--outline btn--sm');
+            remove.type = 'button';
+            remove.addEventListener('click', () => this.deleteComment(comment.id));
+            actions.append(edit, remove);
+            header.appendChild(actions);
+        }
+        return item;
+    }
+
+    // Lists matching members while an @name is typed; a click, Tab or Enter
+    // completes the first or clicked one
+    attachMentionSuggestions(textarea, list) {
+        let typed = null;
+        let matches = [];
+        const insert = member => {
+            const end = textarea.selectionStart;
+            textarea.setRangeText(`${member.name} `, end - typed.length, end, 'end');
+            update();
+        };
+        const update = () => {
+            const match = textarea.value.slice(0, textarea.selectionStart).match(/(?:^|[^\w@])@([^@\n]{0,30})$/);
+            typed = match ? match[1] : null;
+            matches = typed === null ? [] : this.members
+                .filter(member => member.name.toLowerCase().startsWith(typed.toLowerCase()) && member.name.length > typed.length)
+                .slice(0, 5);
+            list.replaceChildren(...matches.map((member, index) => {
+                const option = this.createTextElement('li', member.name, `mention-suggestion${index === 0 ? ' active' : ''}`);
+                option.setAttribute('role', 'option');
+                // mousedown rather than click so the textarea keeps focus
+                option.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    insert(member);
+                });
+                return option;
+            }));
+            list.classList.toggle('hidden', matches.length === 0);
+        };
+        
+        textarea.addEventListener('input', update);
+        textarea.addEventListener('blur', () => list.classList.add('hidden'));
+        textarea.addEventListener('keydown', (e) => {
+            if (list.classList.contains('hidden') || !['Tab', 'Enter'].includes(e.key) || e.ctrlKey || e.metaKey) return;
+            e.preventDefault();
+            insert(matches[0]);
+        });
+    }
+
+    addComment() {
+        const bodyField = document.getElementById('commentBody');
+        const task = this.tasks.find(t => t.id === this.currentEditingTask);
+        if (!bodyField || !task) return;
+        
+        const body = bodyField.value.trim();
+        if (!body) {
+            this.showToast('Write a comment first', 'error');
+            return;
+        }
+        if (!this.getMember(this.currentMemberId)) {
+            this.showToast('Choose who you are before commenting', 'error');
+            return;
+        }
+        
+        const comment = {
+            id: `comment-${Date.now()}`,
+            taskId: task.id,
+            authorId: this.currentMemberId,
+            body,
+            mentions: this.findMentions(body),
+            createdAt: new Date().toISOString(),
+            editedAt: ''
+        };
+        this.comments.push(comment);
+        bodyField.value = '';
+        
+        this.saveData(`Comment on "${task.title}"`);
+        this.renderComments();
+        this.renderTasks();
+        const notified = comment.mentions.filter(id => id !== comment.authorId).map(id => this.getMember(id).name);
+        this.showToast(
+            notified.length > 0 ? `Comment posted; mentioned ${notified.join(', ')}` : 'Comment posted',
+            'success',
+            this.undoToastAction(this.lastCommand)
+        );
+    }
+
+    updateComment(commentId, body) {
+        const comment = this.comments.find(c => c.id === commentId);
+        if (!comment) return;
+        
+        const text = body.trim();
+        if (!text) {
+            this.showToast('A comment cannot be empty; delete it instead', 'error');
+            return;
+        }
+        
+        this.editingCommentId = null;
+        if (text !== comment.body) {
+            comment.body = text;
+            comment.mentions = this.findMentions(text);
+            comment.editedAt = new Date().toISOString();
+            const task = this.tasks.find(t => t.id === comment.taskId);
+            this.saveData(`Edit comment on "${task ? task.title : comment.taskId}"`);
+            this.showToast('Comment updated', 'success', this.undoToastAction(this.lastCommand));
+        }
+        this.renderComments();
+    }
+
+    deleteComment(commentId) {
+        const comment = this.comments.find(c => c.id === commentId);
+        if (!comment || !confirm('Delete this comment?')) return;
+        
+        this.comments = this.comments.filter(c => c.id !== commentId);
+        const task = this.tasks.find(t => t.id === comment.taskId);
+        this.saveData(`Delete comment on "${task ? task.title : comment.taskId}"`);
+        this.renderComments();
+        this.renderTasks();
+        this.showToast('Comment deleted', 'success', this.undoToastAction(this.lastCommand));
+    }
+
+    // Comment count for list and Kanban cards
+    renderCommentCount(task) {
+        const count = this.getTaskComments(task.id).length;
+        return count > 0 ? h('span', { className: 'task-count-badge', title: `${count} comment(s)` }, `💬 ${count}`) : null;
+    }
+
+    // Opens a task on its Comments tab, e.g. from a mention
+    openTaskComments(taskId) {
+        this.openTaskModal(taskId);
+        const modal = document.getElementById('taskModal');
+        if (modal) this.switchModalTab(modal, 'comments');
+    }
+
+    // Mentions
+    // Comments by others on live tasks that mention the member chosen as
+    // "who you are", newest first. Each browser remembers, per member, the
+    // newest mention already shown in My Work.
+    getMentions() {
+        if (!this.getMember(this.currentMemberId)) return [];
+        return this.comments
+            .filter(comment => comment.mentions.includes(this.currentMemberId) && comment.authorId !== this.currentMemberId &&
+                this.tasks.some(task => task.id === comment.taskId))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    mentionsSeenKey() {
+        return `projectflow_mentions_seen_${this.currentMemberId}`;
+    }
+
+    updateMentionBadge() {
+        const badge = document.getElementById('mentionBadge');
+        if (!badge) return;
+        
+        const seenAt = localStorage.getItem(this.mentionsSeenKey()) || '';
+        const unread = this.getMentions().filter(comment => comment.createdAt > seenAt).length;
+        badge.textContent = unread;
+        badge.title = `${unread} unread mention(s)`;
+        badge.classList.toggle('hidden', unread === 0);
+    }
+
+    renderMentions() {
+        const section = document.getElementById('myWorkMentions');
+        const list = document.getElementById('myWorkMentionList');
+        if (!section || !list) return;
+        
+        const mentions = this.getMentions().slice(0, MENTION_LIST_LIMIT);
+        const seenAt = localStorage.getItem(this.mentionsSeenKey()) || '';
+        section.classList.toggle('hidden', mentions.length === 0);
+        list.replaceChildren(...mentions.map(comment => {
+            const task = this.tasks.find(t => t.id === comment.taskId);
+            const author = this.getMember(comment.authorId);
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = `mywork-mention${comment.createdAt > seenAt ? ' unread' : ''}`;
+            item.append(
+                this.createTextElement('span', `${author ? author.name : 'Former member'} mentioned you on "${task.title}"`, 'mywork-mention-title'),
+                this.createTextElement('span', searchSnippet(comment.body, []), 'mywork-mention-text'),
+                this.createTextElement('span', this.formatEventTime(comment.createdAt), 'mywork-mention-time')
+            );
+            item.addEventListener('click', () => this.openTaskComments(task.id));
+            return item;
+        }));
+        
+        // Mentions count as read once My Work has shown them
+        if (this.currentView === 'mywork' && mentions.length > 0 && mentions[0].createdAt > seenAt) {
+            localStorage.setItem(this.mentionsSeenKey(), mentions[0].createdAt);
+        }
+        this.updateMentionBadge();
+    }
+
+    // Notifications
+    // Which reminders and overdue tasks were dismissed or snoozed, and when
+    // they were last looked for, is kept per browser like the theme
+    loadNotificationState() {
+        return JSON.parse(localStorage.getItem('projectflow_notifications')) || { checkedAt: '', items: {} };
+    }
+
+    saveNotificationState(state) {
+        localStorage.setItem('projectflow_notifications', JSON.stringify(state));
+    }
+
+    // Reminders fall due at their time of day in the browser's time zone,
+    // counted back from the due date
+    getReminderTime(task, reminder) {
+        const at = new Date(`${task.dueDate}T${reminder.time}:00`);
+        at.setDate(at.getDate() - reminder.daysBefore);
+        return at;
+    }
+
+    // Reminders of open tasks, and the tasks themselves from the day after
+    // they are due; keys change with the due date, so moving it re-arms them
+    getNotificationItems() {
+        const items = [];
+        this.tasks.filter(task => task.dueDate && !this.isTaskDone(task)).forEach(task => {
+            task.reminders.forEach(reminder => items.push({
+                key: `reminder|${task.id}|${task.dueDate}|${reminder.daysBefore}|${reminder.time}`,
+                type: 'reminder',
+                task,
+                at: this.getReminderTime(task, reminder)
+            }));
+            const overdueAt = new Date(`${task.dueDate}T00:00:00`);
+            overdueAt.setDate(overdueAt.getDate() + 1);
+            items.push({ key: `overdue|${task.id}|${task.dueDate}`, type: 'overdue', task, at: overdueAt });
+        });
+        return items;
+    }
+
+    getNotificationFireTime(item, state) {
+        const entry = state.items[item.key];
+        return entry && entry.snoozedUntil ? new Date(entry.snoozedUntil) : item.at;
+    }
+
+    // Items that have fallen due and are neither dismissed nor snoozed
+    getActiveNotifications(state = this.loadNotificationState(), now = new Date()) {
+        return this.getNotificationItems()
+            .filter(item => !(state.items[item.key] && state.items[item.key].dismissed) && this.getNotificationFireTime(item, state) <= now)
+            .sort((a, b) => a.at - b.at);
+    }
+
+    startReminderScheduler() {
+        this.checkReminders();
+        setInterval(() => this.checkReminders(), REMINDER_CHECK_INTERVAL_MS);
+    }
+
+    // Announces what fell due since the last check, which at startup catches
+    // up on reminders missed while the app was closed. The first check in a
+    // browser only notes the time, so older reminders are listed in the
+    // notification center without a burst of notifications.
+    checkReminders() {
+        const now = new Date();
+        const state = this.loadNotificationState();
+        const checkedAt = state.checkedAt ? new Date(state.checkedAt) : now;
+        const items = this.getNotificationItems();
+        const due = items.filter(item => {
+            const firesAt = this.getNotificationFireTime(item, state);
+            return !(state.items[item.key] && state.items[item.key].dismissed) && firesAt > checkedAt && firesAt <= now;
+        });
+        
+        // Dismissals and snoozes of reminders that no longer exist are dropped
+        const keys = new Set(items.map(item => item.key));
+        state.items = Object.fromEntries(Object.entries(state.items).filter(([key]) => keys.has(key)));
+        state.checkedAt = now.toISOString();
+        this.saveNotificationState(state);
+        
+        this.notify(due);
+        this.updateNotifications();
+    }
+
+    // Browser notifications when they are allowed, toasts otherwise; more
+    // than a few at once are summed up in one
+    notify(items) {
+        if (items.length === 0) return;
+        
+        const messages = items.length > NOTIFICATION_SUMMARY_THRESHOLD
+            ? [{ title: `${items.length} reminders are due`, body: 'Open the notification center to see them.', open: () => this.toggleNotificationCenter(true) }]
+            : items.map(item => ({ ...this.describeNotification(item), tag: item.key, open: () => this.openNotification(item.task.id) }));
+        const allowed = 'Notification' in window && Notification.permission === 'granted';
+        messages.forEach(message => {
+            if (!allowed) {
+                this.showToast(`${message.title}: ${message.body}`, 'info', { label: 'Open', handler: message.open });
+                return;
+            }
+            const notification = new Notification(message.title, { body: message.body, tag: message.tag });
+            notification.addEventListener('click', () => {
+                window.focus();
+                notification.close();
+                message.open();
+            });
+        });
+    }
+
+    describeNotification(item) {
+        const project = this.projects.find(p => p.id === item.task.projectId);
+        const projectName = project ? project.name : 'Unknown Project';
+        return item.type === 'overdue'
+            ? { title: `Overdue: ${item.task.title}`, body: `Was due ${this.formatDate(item.task.dueDate)} · ${projectName}` }
+            : { title: item.task.title, body: `Due ${this.formatDate(item.task.dueDate)} · ${projectName}` };
+    }
+
+    updateNotifications() {
+        const active = this.getActiveNotifications();
+        const badge = document.getElementById('notificationBadge');
+        if (badge) {
+            badge.textContent = active.length;
+            badge.title = `${active.length} due or overdue`;
+            badge.classList.toggle('hidden', active.length === 0);
+        }
+        
+        const panel = document.getElementById('notificationPanel');
+        if (panel && !panel.classList.contains('hidden')) this.renderNotificationCenter(active);
+    }
+
+    // open is true or false to show or hide the panel, null to switch it
+    toggleNotificationCenter(open = null) {
+        const panel = document.getElementById('notificationPanel');
+        const toggle = document.getElementById('notificationToggle');
+        if (!panel || !toggle) return;
+        
+        const show = open === null ? panel.classList.contains('hidden') : open;
+        panel.classList.toggle('hidden', !show);
+        toggle.setAttribute('aria-expanded', String(show));
+        if (show) this.renderNotificationCenter();
+    }
+
+    renderNotificationCenter(active = this.getActiveNotifications()) {
+        const list = document.getElementById('notificationList');
+        if (!list) return;
+        
+        const enable = document.getElementById('enableNotifications');
+        if (enable) enable.classList.toggle('hidden', !('Notification' in window) || Notification.permission !== 'default');
+        
+        const now = new Date();
+        const lastDay = new Date(now);
+        lastDay.setDate(lastDay.getDate() + NOTIFICATION_UPCOMING_DAYS);
+        const today = this.toLocalDateString(now);
+        const listed = new Set(active.map(item => item.task.id));
+        const pending = this.getNotificationItems().filter(item => item.type === 'reminder' && item.at > now);
+        const upcoming = this.tasks
+            .filter(task => task.dueDate >= today && task.dueDate <= this.toLocalDateString(lastDay) && !this.isTaskDone(task) && !listed.has(task.id))
+            .sort((a, b) => a.dueDate.localeCompare(b.dueDate) || a.rank - b.rank);
+        
+        const groups = [
+            { title: 'Reminders', items: active.filter(item => item.type === 'reminder') },
+            { title: 'Overdue', items: active.filter(item => item.type === 'overdue') }
+        ];
+        const sections = groups.filter(group => group.items.length > 0).map(group => h('section', { className: 'notification-group' },
+            h('h4', { className: 'notification-group-title' }, group.title),
+            group.items.map(item => this.renderNotificationItem(item))
+        ));
+        if (upcoming.length > 0) {
+            sections.push(h('section', { className: 'notification-group' },
+                h('h4', { className: 'notification-group-title' }, 'Upcoming'),
+                upcoming.map(task => {
+                    const next = pending.filter(item => item.task === task).sort((a, b) => a.at - b.at)[0];
+                    return h('div', { className: 'notification-item upcoming' },
+                        this.renderNotificationLink(task, task.title,
+                            `Due ${this.formatDate(task.dueDate)}${next ? ` · reminder ${this.formatEventTime(next.at)}` : ''}`));
+                })
+            ));
+        }
+        list.replaceChildren(...(sections.length > 0 ? sections : [h('p', { className: 'notification-empty' }, 'Nothing is due in the next week.')]));
+    }
+
+    renderNotificationItem(item) {
+        const { title, body } = this.describeNotification(item);
+        const action = (label, dataset) => h('button', { type: 'button', className: 'btn btn--outline btn--sm', dataset: { key: item.key, ...dataset } }, label);
+        return h('div', { className: `notification-item ${item.type}` },
+            this.renderNotificationLink(item.task, title, body),
+            h('div', { className: 'notification-item-actions' },
+                action('Snooze 1 hour', { action: 'snooze-notification', until: 'hour' }),
+                action('Tomorrow', { action: 'snooze-notification', until: 'tomorrow' }),
+                action('Dismiss', { action: 'dismiss-notification' })
+            )
+        );
+    }
+
+    renderNotificationLink(task, title, detail) {
+        return h('button', { type: 'button', className: 'notification-link', dataset: { action: 'open-notification', taskId: task.id } },
+            h('span', { className: 'notification-title' }, title),
+            h('span', { className: 'notification-detail' }, detail)
+        );
+    }
+
+    openNotification(taskId) {
+        this.toggleNotificationCenter(false);
+        if (this.tasks.some(task => task.id === taskId)) {
+            this.openTaskModal(taskId);
+        } else {
+            this.showToast('This task no longer exists', 'warning');
+        }
+    }
+
+    // Snoozed items come back, and are announced again, an hour later or at
+    // the usual reminder time the next day
+    snoozeNotification(key, until) {
+        const snoozedUntil = new Date();
+        if (until === 'tomorrow') {
+            const [hours, minutes] = REMINDER_DEFAULT_TIME.split(':').map(Number);
+            snoozedUntil.setDate(snoozedUntil.getDate() + 1);
+            snoozedUntil.setHours(hours, minutes, 0, 0);
+        } else {
+            snoozedUntil.setHours(snoozedUntil.getHours() + 1);
+        }
+        
+        const state = this.loadNotificationState();
+        state.items[key] = { snoozedUntil: snoozedUntil.toISOString() };
+        this.saveNotificationState(state);
+        this.updateNotifications();
+        this.showToast(`Snoozed until ${this.formatEventTime(snoozedUntil)}`, 'info');
+    }
+
+    dismissNotification(key) {
+        const state = this.loadNotificationState();
+        state.items[key] = { dismissed: true };
+        this.saveNotificationState(state);
+        this.updateNotifications();
+    }
+
+    requestNotificationPermission() {
+        if (!('Notification' in window)) return;
+        
+        Notification.requestPermission().then(permission => {
+            this.renderNotificationCenter();
+            if (permission === 'granted') {
+                this.showToast('Reminders will show as browser notifications', 'success');
+            } else if (permission === 'denied') {
+                this.showToast('Notifications are blocked, so reminders will show in the app', 'warning');
+            }
+        });
+    }
+
+    // Attachments
+    // The record holds a file's details; its contents are a blob the storage
+    // adapter keeps under the same id. A blob stays when its record is
+    // removed by undo, so redo can bring the file back; deleting a file or
+    // its task for good removes both, and loading clears any blob left over.
+    getTaskAttachments(taskId) {
+        return this.attachments.filter(attachment => attachment.taskId === taskId);
+    }
+
+    getAttachmentUsage() {
+        return this.attachments.reduce((total, attachment) => total + attachment.size, 0);
+    }
+
+    async addAttachments(files) {
+        const task = this.tasks.find(t => t.id === this.currentEditingTask);
+        if (!task) return;
+        
+        const added = [];
+        let used = this.getAttachmentUsage();
+        for (const file of files) {
+            if (file.size > ATTACHMENT_MAX_BYTES) {
+                this.showToast(`"${file.name}" is ${this.formatFileSize(file.size)}; files can be at most ${this.formatFileSize(ATTACHMENT_MAX_BYTES)}`, 'error');
+                continue;
+            }
+            if (used + file.size > ATTACHMENT_QUOTA_BYTES) {
+                this.showToast(`No room for "${file.name}": ${this.formatFileSize(Math.max(ATTACHMENT_QUOTA_BYTES - used, 0))} of ${this.formatFileSize(ATTACHMENT_QUOTA_BYTES)} left. Delete files you no longer need first`, 'error');
+                continue;
+            }
+            
+            const attachment = {
+                id: `attachment-${Date.now()}-${added.length}`,
+                taskId: task.id,
+                name: file.name,
+                type: file.type || 'application/octet-stream',
+                size: file.size,
+                createdAt: new Date().toISOString()
+            };
+            try {
+                await this.storage.putBlob(attachment.id, file);
+            } catch (error) {
+                console.error('Failed to store attachment', error);
+                this.showToast(error.name === 'QuotaExceededError'
+                    ? `Browser storage is full; "${file.name}" was not attached`
+                    : `Could not attach "${file.name}": ${error.message}`, 'error');
+                continue;
+            }
+            used += file.size;
+            added.push(attachment);
+        }
+        if (added.length === 0) return;
+        
+        this.attachments.push(...added);
+        const label = added.length === 1 ? `"${added[0].name}"` : `${added.length} files`;
+        this.saveData(`Attach ${label} to "${task.title}"`);
+        if (this.currentEditingTask === task.id) this.renderAttachments();
+        this.showToast(`Attached ${label}`, 'success', this.undoToastAction(this.lastCommand));
+    }
+
+    // The Files tab of the task modal
+    renderAttachments() {
+        const list = document.getElementById('attachmentList');
+        const usage = document.getElementById('attachmentUsage');
+        const tab = document.getElementById('taskAttachmentsTab');
+        if (!list) return;
+        
+        const attachments = this.getTaskAttachments(this.currentEditingTask);
+        if (tab) tab.textContent = attachments.length > 0 ? `Files (${attachments.length})` : 'Files';
+        if (usage) {
+            usage.textContent = `Up to ${this.formatFileSize(ATTACHMENT_MAX_BYTES)} per file. ` +
+                `${this.formatFileSize(this.getAttachmentUsage())} of ${this.formatFileSize(ATTACHMENT_QUOTA_BYTES)} used.`;
+        }
+        
+        list.replaceChildren(...attachments.map(attachment => {
+            const data = { attachmentId: attachment.id };
+            const isImage = attachment.type.startsWith('image/');
+            const thumbnail = h('button', {
+                type: 'button',
+                className: 'attachment-thumbnail',
+                'aria-label': `Preview ${attachment.name}`,
+                dataset: { action: 'preview-attachment', ...data }
+            }, isImage ? '🖼️' : '📄');
+            if (isImage) {
+                this.getAttachmentUrl(attachment.id).then(url => {
+                    if (url) thumbnail.replaceChildren(h('img', { src: url, alt: '' }));
+                });
+            }
+            
+            return h('li', { className: 'attachment-item' },
+                thumbnail,
+                h('div', { className: 'attachment-details' },
+                    h('button', { type: 'button', className: 'attachment-name', dataset: { action: 'preview-attachment', ...data } }, attachment.name),
+                    h('span', { className: 'attachment-meta' }, `${this.formatFileSize(attachment.size)} · ${this.formatEventTime(attachment.createdAt)}`)
+                ),
+                h('button', {
+                    type: 'button',
+                    className: 'btn btn--outline btn-icon',
+                    title: 'Download',
+                    'aria-label': `Download ${attachment.name}`,
+                    dataset: { action: 'download-attachment', ...data }
+                }, '⬇️'),
+                h('button', {
+                    type: 'button',
+                    className: 'btn btn--outline btn-icon',
+                    title: 'Delete',
+                    'aria-label': `Delete ${attachment.name}`,
+                    dataset: { action: 'delete-attachment', ...data }
+                }, '🗑️')
+            );
+        }));
+    }
+
+    // Object URLs for thumbnails and previews, made once per file while the
+    // task modal is open and revoked when it closes. Resolves to null when
+    // the blob is missing.
+    getAttachmentUrl(attachmentId) {
+        if (!this.attachmentUrls.has(attachmentId)) {
+            this.attachmentUrls.set(attachmentId, this.storage.getBlob(attachmentId)
+                .then(blob => (blob ? URL.createObjectURL(blob) : null))
+                .catch(error => {
+                    console.error('Failed to read attachment', error);
+                    return null;
+                }));
+        }
+        return this.attachmentUrls.get(attachmentId);
+    }
+
+    releaseAttachmentUrls() {
+        this.attachmentUrls.forEach(url => url.then(value => value && URL.revokeObjectURL(value)));
+        this.attachmentUrls.clear();
+    }
+
+    async openAttachmentPreview(attachmentId) {
+        const attachment = this.attachments.find(a => a.id === attachmentId);
+        const modal = document.getElementById('attachmentPreviewModal');
+        const preview = document.getElementById('attachmentPreview');
+        const title = document.getElementById('attachmentPreviewTitle');
+        if (!attachment || !modal || !preview) return;
+        
+        const url = await this.getAttachmentUrl(attachment.id);
+        if (!url) {
+            this.showToast(`"${attachment.name}" is missing from storage`, 'error');
+            return;
+        }
+        
+        if (attachment.type.startsWith('image/')) {
+            const image = document.createElement('img');
+            image.src = url;
+            image.alt = attachment.name;
+            preview.replaceChildren(image);
+        } else if (attachment.type === 'application/pdf') {
+            const frame = document.createElement('iframe');
+            frame.src = url;
+            frame.title = attachment.name;
+            preview.replaceChildren(frame);
+        } else if (/^text\/|\/json$/.test(attachment.type) && attachment.size <= ATTACHMENT_TEXT_PREVIEW_BYTES) {
+            const blob = await this.storage.getBlob(attachment.id);
+            preview.replaceChildren(this.createTextElement('pre', await blob.text()));
+        } else {
+            preview.replaceChildren(this.createTextElement('p', 'This type of file cannot be previewed. Download it to open it.', 'attachment-no-preview'));
+        }
+        
+        this.previewAttachmentId = attachment.id;
+        if (title) title.textContent = attachment.name;
+        modal.classList.add('active');
+    }
+
+    closeAttachmentPreview() {
+        const modal = document.getElementById('attachmentPreviewModal');
+        const preview = document.getElementById('attachmentPreview');
+        if (modal) modal.classList.remove('active');
+        if (preview) preview.replaceChildren();
+        this.previewAttachmentId = null;
+    }
+
+    async downloadAttachment(attachmentId) {
+        const attachment = this.attachments.find(a => a.id === attachmentId);
+        if (!attachment) return;
+        
+        const url = await this.getAttachmentUrl(attachment.id);
+        if (!url) {
+            this.showToast(`"${attachment.name}" is missing from storage`, 'error');
+            return;
+        }
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = attachment.name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+
+    // Deleting a file frees its space at once, so it cannot be undone
+    deleteAttachment(attachmentId) {
+        const attachment = this.attachments.find(a => a.id === attachmentId);
+        if (!attachment || !confirm(`Delete "${attachment.name}"? This cannot be undone.`)) return;
+        
+        this.attachments = this.attachments.filter(a => a.id !== attachmentId);
+        this.discardHistoryFor(new Set([attachmentId]));
+        this.saveData();
+        this.deleteAttachmentBlobs([attachmentId]);
+        this.renderAttachments();
+        this.showToast(`Deleted "${attachment.name}"`, 'success');
+    }
+
+    deleteAttachmentBlobs(ids) {
+        if (ids.length === 0) return;
+        this.storage.deleteBlobs(ids).catch(error => {
+            console.error('Failed to delete attachment files', error);
+        });
+    }
+
+    // Runs on load: drops attachments whose task no longer exists (e.g. an
+    // undone task) and blobs without an attachment (e.g. an undone upload)
+    async cleanupAttachments() {
+        const taskIds = new Set(this.getStoredRecords('tasks').map(task => task.id));
+        if (this.attachments.some(attachment => !taskIds.has(attachment.taskId))) {
+            this.attachments = this.attachments.filter(attachment => taskIds.has(attachment.taskId));
+            await this.saveData(null, false);
+        }
+        
+        try {
+            const attachmentIds = new Set(this.attachments.map(attachment => attachment.id));
+            this.deleteAttachmentBlobs((await this.storage.listBlobIds()).filter(id => !attachmentIds.has(id)));
+        } catch (error) {
+            console.warn('ProjectFlow: could not check for unused attachment files', error);
+        }
+    }
+
+    // Trash
+    // Records deleted together share a deletedAt, so a project comes back
+    // with its tasks and a task with its subtasks
+    moveToTrash(records) {
+        const deletedAt = new Date().toISOString();
+        records.forEach(record => {
+            record.deletedAt = deletedAt;
+        });
+        Object.keys(this.trash).forEach(store => this.setStoredRecords(store, this.getStoredRecords(store)));
+    }
+
+    getTrashBatch(store, record) {
+        if (store === 'projects') {
+            return {
+                projects: [record],
+                tasks: this.trash.tasks.filter(task => task.projectId === record.id && task.deletedAt === record.deletedAt)
+            };
+        }
+        
+        const tasks = [record];
+        for (let i = 0; i < tasks.length; i++) {
+            tasks.push(...this.trash.tasks.filter(task => task.parentId === tasks[i].id && task.deletedAt === record.deletedAt));
+        }
+        return { projects: [], tasks };
+    }
+
+    renderTrash() {
+        const trashList = document.getElementById('trashList');
+        const retention = document.getElementById('trashRetention');
+        const emptyTrash = document.getElementById('emptyTrash');
+        if (!trashList) return;
+        
+        if (retention) retention.value = String(this.trashRetentionDays);
+        if (emptyTrash) emptyTrash.disabled = this.trash.projects.length === 0 && this.trash.tasks.length === 0;
+        
+        // Tasks deleted along with their project or parent are listed under it
+        const entries = [
+            ...this.trash.projects.map(record => ({ store: 'projects', record })),
+            ...this.trash.tasks
+                .filter(task => !this.trash.projects.some(project => project.id === task.projectId && project.deletedAt === task.deletedAt))
+                .filter(task => !this.trash.tasks.some(parent => parent.id === task.parentId && parent.deletedAt === task.deletedAt))
+                .map(record => ({ store: 'tasks', record }))
+        ].sort((a, b) => b.record.deletedAt.localeCompare(a.record.deletedAt));
+        
+        if (entries.length === 0) {
+            trashList.replaceChildren(this.createTextElement('p', 'The trash is empty.', 'trash-empty'));
+            return;
+        }
+        
+        trashList.replaceChildren(...entries.map(({ store, record }) => {
+            const batch = this.getTrashBatch(store, record);
+            const data = { store, recordId: record.id };
+            const details = [store === 'projects' ? 'Project' : 'Task'];
+            if (store === 'projects') {
+                details.push(`${batch.tasks.length} tasks`);
+            } else {
+                const project = this.projects.find(p => p.id === record.projectId) || this.trash.projects.find(p => p.id === record.projectId);
+                if (project) details.push(project.name);
+                if (batch.tasks.length > 1) details.push(`${batch.tasks.length - 1} subtasks`);
+            }
+            details.push(`deleted ${this.formatDate(record.deletedAt.split('T')[0])}`);
+            
+            return h('div', { className: 'trash-item' },
+                h('div', { className: 'trash-info' },
+                    h('h3', { className: 'trash-name' }, `${store === 'projects' ? '📁' : '✓'} ${record.name || record.title}`),
+                    h('p', { className: 'trash-meta' }, details.join(' · '))
+                ),
+                h('div', { className: 'trash-actions' },
+                    h('button', { type: 'button', className: 'btn btn--outline btn--sm', dataset: { action: 'restore-trash-item', ...data } }, 'Restore'),
+                    h('button', { type: 'button', className: 'btn btn--outline btn--sm trash-purge', dataset: { action: 'purge-trash-item', ...data } }, 'Delete Forever')
+                )
+            );
+        }));
+    }
+
+    restoreFromTrash(store, recordId) {
+        const record = this.trash[store].find(r => r.id === recordId);
+        if (!record) return;
+        
+        if (store === 'tasks') {
+            const project = this.trash.projects.find(p => p.id === record.projectId);
+            if (project) {
+                this.showToast(`Restore the project "${project.name}" first`, 'error');
+                return;
+            }
+            const parent = this.trash.tasks.find(t => t.id === record.parentId);
+            if (parent) {
+                this.showToast(`Restore the parent task "${parent.title}" first`, 'error');
+                return;
+            }
+        }
+        
+        const batch = this.getTrashBatch(store, record);
+        [...batch.projects, ...batch.tasks].forEach(r => {
+            r.deletedAt = '';
+        });
+        // The project's workflow may have lost a task's column in the meantime
+        batch.tasks.forEach(task => {
+            if (!this.getWorkflow(task.projectId).some(status => status.id === task.status)) {
+                task.status = this.getFirstStatus(task.projectId, false).id;
+            }
+        });
+        Object.keys(this.trash).forEach(s => this.setStoredRecords(s, this.getStoredRecords(s)));
+        
+        const name = record.name || record.title;
+        this.saveData(`Restore ${store === 'projects' ? 'project' : 'task'} "${name}"`);
+        this.renderTrash();
+        this.showToast(`"${name}" restored`, 'success', this.undoToastAction(this.lastCommand));
+    }
+
+    deleteForever(store, recordId) {
+        const record = this.trash[store].find(r => r.id === recordId);
+        if (!record || !confirm(`Permanently delete "${record.name || record.title}"? This cannot be undone.`)) return;
+        
+        this.purgeFromTrash(store === 'projects' ? [recordId] : [], store === 'tasks' ? [recordId] : []);
+        this.renderTrash();
+        this.showToast('Deleted forever', 'success');
+    }
+
+    emptyTrash() {
+        const count = this.trash.projects.length + this.trash.tasks.length;
+        if (count === 0 || !confirm(`Permanently delete all ${count} items in the trash? This cannot be undone.`)) return;
+        
+        this.purgeFromTrash(this.trash.projects.map(p => p.id), this.trash.tasks.map(t => t.id));
+        this.renderTrash();
+        this.showToast('Trash emptied', 'success');
+    }
+
+    // Removes trashed records for good, with the trashed tasks of purged
+    // projects and the trashed subtasks of purged tasks. Purging is not
+    // recorded for undo, and earlier changes to purged records can no
+    // longer be undone either.
+    purgeFromTrash(projectIds, taskIds) {
+        const purgedProjects = new Set(projectIds);
+        const purgedTasks = new Set(taskIds);
+        this.trash.tasks.filter(task => purgedProjects.has(task.projectId)).forEach(task => purgedTasks.add(task.id));
+        for (let added = true; added;) {
+            added = false;
+            this.trash.tasks.forEach(task => {
+                if (purgedTasks.has(task.parentId) && !purgedTasks.has(task.id)) {
+                    purgedTasks.add(task.id);
+                    added = true;
+                }
+            });
+        }
+        
+        this.trash.projects = this.trash.projects.filter(project => !purgedProjects.has(project.id));
+        this.trash.tasks = this.trash.tasks.filter(task => !purgedTasks.has(task.id));
+        this.comments = this.comments.filter(comment => !purgedTasks.has(comment.taskId));
+        const purgedAttachments = this.attachments.filter(attachment => purgedTasks.has(attachment.taskId)).map(attachment => attachment.id);
+        this.attachments = this.attachments.filter(attachment => !purgedTasks.has(attachment.taskId));
+        this.getStoredRecords('tasks').forEach(task => {
+            if (task.blockedBy.some(id => purgedTasks.has(id))) {
+                task.blockedBy = task.blockedBy.filter(id => !purgedTasks.has(id));
+            }
+        });
+        
+        this.discardHistoryFor(new Set([...purgedProjects, ...purgedTasks]));
+        this.saveData();
+        this.deleteAttachmentBlobs(purgedAttachments);
+    }
+
+    // Drops the undo and redo steps that would bring back records deleted
+    // for good, including the comments and attachments of deleted tasks
+    discardHistoryFor(ids) {
+        const touches = change => ids.has(change.id) || ids.has(JSON.parse(change.after || change.before).taskId);
+        const keep = command => !command.changes.some(touches);
+        this.undoStack = this.undoStack.filter(keep);
+        this.redoStack = this.redoStack.filter(keep);
+    }
+
+    // Runs on load, so items leave the trash once they are older than the
+    // retention period
+    purgeExpiredTrash() {
+        if (this.trashRetentionDays === 0) return;
+        
+        const cutoff = new Date(Date.now() - this.trashRetentionDays * 24 * 60 * 60 * 1000).toISOString();
+        const expiredProjects = this.trash.projects.filter(project => project.deletedAt < cutoff).map(project => project.id);
+        const expiredTasks = this.trash.tasks.filter(task => task.deletedAt < cutoff).map(task => task.id);
+        if (expiredProjects.length > 0 || expiredTasks.length > 0) {
+            this.purgeFromTrash(expiredProjects, expiredTasks);
+        }
+    }
+
+    setTrashRetention(days) {
+        this.trashRetentionDays = days;
+        this.storage.setMeta('trashRetentionDays', days).catch(error => {
+            console.error('Failed to save the trash retention', error);
+            this.showToast('Failed to save the trash retention', 'error');
+        });
+        this.purgeExpiredTrash();
+        this.renderTrash();
+    }
+
+    // Activity Log
+    // saveData() appends one event per changed record: create, update,
+    // status, delete (to the trash), restore or purge. Status changes get an
+    // event of their own, and reordering alone is not activity.
+    buildEvents(changes) {
+        const at = new Date().toISOString();
+        const stamp = Date.now();
+        const events = [];
+        
+        changes.forEach(({ store, id, before, after }) => {
+            const oldRecord = before === null ? null : JSON.parse(before);
+            const newRecord = after === null ? null : JSON.parse(after);
+            const record = newRecord || oldRecord;
+            // Comments and attachments are logged under their task's title;
+            // those removed along with their task are covered by its own event
+            const belongsToTask = ['comments', 'attachments'].includes(store);
+            const task = belongsToTask ? this.getStoredRecords('tasks').find(t => t.id === record.taskId) : null;
+            if (belongsToTask && !task) return;
+            const addEvent = (action, fieldChanges = []) => events.push({
+                id: `event-${stamp}-${this.events.length + events.length}`,
+                at,
+                recordType: store.slice(0, -1),
+                recordId: id,
+                name: task ? task.title : record.name || record.title,
+                action,
+                changes: fieldChanges
+            });
+            
+            if (!oldRecord) {
+                addEvent('create');
+            } else if (!newRecord) {
+                addEvent(this.trash[store] ? 'purge' : 'delete');
+            } else if (!oldRecord.deletedAt && newRecord.deletedAt) {
+                addEvent('delete');
+            } else if (oldRecord.deletedAt && !newRecord.deletedAt) {
+                addEvent('restore');
+            } else {
+                const fieldChanges = [...new Set([...Object.keys(oldRecord), ...Object.keys(newRecord)])]
+                    .filter(field => !UNLOGGED_FIELDS.includes(field) && JSON.stringify(oldRecord[field]) !== JSON.stringify(newRecord[field]))
+                    .map(field => ({
+                        field,
+                        before: oldRecord[field] === undefined ? null : oldRecord[field],
+                        after: newRecord[field] === undefined ? null : newRecord[field]
+                    }));
+                const statusChange = fieldChanges.find(change => change.field === 'status');
+                const otherChanges = fieldChanges.filter(change => change !== statusChange);
+                if (statusChange) addEvent('status', [statusChange]);
+                if (otherChanges.length > 0) addEvent('update', otherChanges);
+            }
+        });
+        return events;
+    }
+
+    describeEvent(event) {
+        const subject = ['comment', 'attachment'].includes(event.recordType)
+            ? `${event.recordType === 'comment' ? 'Comment' : 'File'} on task "${event.name}"`
+            : `${{ task: 'Task', project: 'Project', member: 'Member' }[event.recordType]} "${event.name}"`;
+        switch (event.action) {
+            case 'create':
+                return `${subject} was ${['member', 'comment', 'attachment'].includes(event.recordType) ? 'added' : 'created'}`;
+            case 'status': {
+                const [{ before, after }] = event.changes;
+                return `${subject} moved from ${this.formatEventValue(event, 'status', before)} to ${this.formatEventValue(event, 'status', after)}`;
+            }
+            case 'update':
+                return `${subject} was updated: ${event.changes.map(change => (EVENT_FIELD_LABELS[change.field] || change.field).toLowerCase()).join(', ')}`;
+            case 'delete':
+                return `${subject} was ${{ member: 'removed', comment: 'deleted', attachment: 'deleted' }[event.recordType] || 'moved to the trash'}`;
+            case 'restore':
+                return `${subject} was restored from the trash`;
+            case 'purge':
+                return `${subject} was deleted forever`;
+            default:
+                return `${subject} changed`;
+        }
+    }
+
+    // Shows a logged value the way the forms do. Records it refers to may
+    // have been deleted since, so ids are the fallback.
+    formatEventValue(event, field, value) {
+        if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) return 'none';
+        
+        const tasks = this.getStoredRecords('tasks');
+        const projects = this.getStoredRecords('projects');
+        const taskTitle = id => (tasks.find(task => task.id === id) || { title: id }).title;
+        switch (field) {
+            case 'status': {
+                if (event.recordType !== 'task') return value;
+                const task = tasks.find(t => t.id === event.recordId);
+                const status = task ? this.getWorkflow(task.projectId).find(s => s.id === value) : null;
+                return status ? status.name : value;
+            }
+            case 'startDate':
+            case 'dueDate':
+                return this.formatDate(value);
+            case 'projectId':
+                return (projects.find(project => project.id === value) || { name: value }).name;
+            case 'parentId':
+                return taskTitle(value);
+            case 'blockedBy':
+                return value.map(taskTitle).join(', ');
+            case 'assignees':
+            case 'mentions':
+                return value.map(id => (this.getMember(id) || { name: id }).name).join(', ');
+            case 'authorId':
+                return (this.getMember(value) || { name: value }).name;
+            case 'checklist':
+                return `${value.length} items, ${value.filter(item => item.done).length} done`;
+            case 'recurrence':
+                return describeRecurrence(value);
+            case 'reminders':
+                return value.map(reminder => this.describeReminder(reminder)).join(', ');
+            case 'workflow':
+                return value.map(status => status.name).join(' → ');
+            case 'archived':
+                return value ? 'yes' : 'no';
+            default:
+                return String(value).length > 60 ? `${String(value).slice(0, 60)}…` : String(value);
+        }
+    }
+
+    formatEventTime(at) {
+        return new Date(at).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+    }
+
+    // Newest first, ACTIVITY_PAGE_SIZE at a time
+    renderActivityFeed() {
+        const activityFeed = document.getElementById('activityFeed');
+        if (!activityFeed) return;
+        
+        if (this.events.length === 0) {
+            activityFeed.replaceChildren(this.createTextElement('p', 'No activity yet. Changes to projects, tasks and members will appear here.', 'activity-empty'));
+            return;
+        }
+        
+        const shown = this.events.slice(-this.activityLimit).reverse();
+        const items = shown.map(event => {
+            const item = document.createElement('div');
+            item.className = 'activity-item';
+            item.append(
+                this.createTextElement('div', this.describeEvent(event), 'activity-text'),
+                this.createTextElement('div', this.formatEventTime(event.at), 'activity-time')
+            );
+            return item;
+        });
+        
+        if (this.events.length > shown.length) {
+            const more = this.createTextElement('button', `Show more (${this.events.length - shown.length} older)`, 'btn btn--outline btn--sm activity-more');
+            more.type = 'button';
+            more.addEventListener('click', () => {
+                this.activityLimit += ACTIVITY_PAGE_SIZE;
+                this.renderActivityFeed();
+            });
+            items.push(more);
+        }
+        activityFeed.replaceChildren(...items);
+    }
+
+    // The History tab of the task and project modals
+    renderRecordHistory(containerId, recordId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        
+        const events = this.events.filter(event => event.recordId === recordId).reverse();
+        if (events.length === 0) {
+            container.replaceChildren(this.createTextElement('p', 'No recorded changes yet.', 'history-empty'));
+            return;
+        }
+        
+        container.replaceChildren(...events.map(event => {
+            const item = document.createElement('div');
+            item.className = 'history-item';
+            item.append(
+                this.createTextElement('div', this.formatEventTime(event.at), 'history-time'),
+                this.createTextElement('div', this.describeEvent(event), 'history-text')
+            );
+            if (event.action === 'update') {
+                const list = document.createElement('ul');
+                list.className = 'history-changes';
+                list.append(...event.changes.map(change => this.createTextElement(
+                    'li',
+                    `${EVENT_FIELD_LABELS[change.field] || change.field}: ${this.formatEventValue(event, change.field, change.before)} → ${this.formatEventValue(event, change.field, change.after)}`
+                )));
+                item.appendChild(list);
+            }
+            return item;
+        }));
+    }
+
+    // Shows the Details or History tab of a modal; new records have no history
+    switchModalTab(modal, tab) {
+        modal.querySelectorAll('.modal-tab').forEach(button => {
+            button.classList.toggle('active', button.dataset.tab === tab);
+            button.setAttribute('aria-selected', String(button.dataset.tab === tab));
+        });
+        modal.querySelectorAll('[data-tab-panel]').forEach(panel => {
+            panel.classList.toggle('hidden', panel.dataset.tabPanel !== tab);
+        });
+    }
+
+    resetModalTabs(modalId, hasHistory) {
+        const modal = document.getElementById(modalId);
+        if (!modal) return;
+        
+        const tabs = modal.querySelector('.modal-tabs');
+        if (tabs) tabs.classList.toggle('hidden', !hasHistory);
+        this.switchModalTab(modal, 'details');
+    }
+
+    // Workspace Import / Export
+    exportWorkspace() {
+        const workspace = {
+            format: WORKSPACE_FORMAT,
+            schemaVersion: DATA_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            members: this.members,
+            projects: this.getStoredRecords('projects'),
+            tasks: this.getStoredRecords('tasks'),
+            comments: this.comments,
+            savedFilters: this.savedFilters,
+            settings: {
+                theme: localStorage.getItem('projectflow_theme') || 'light'
+            }
+        };
+        
+        const date = new Date().toISOString().split('T')[0];
+        this.downloadFile(`projectflow-workspace-${date}.json`, JSON.stringify(workspace, null, 2), 'application/json');
+        this.showToast('Workspace exported', 'success');
+    }
+
+    openImportModal() {
+        const modal = document.getElementById('importModal');
+        if (!modal) return;
+        
+        this.pendingImport = null;
+        const form = document.getElementById('importForm');
+        if (form) form.reset();
+        this.renderImportReport();
+        
+        modal.classList.add('active');
+    }
+
+    closeImportModal() {
+        const modal = document.getElementById('importModal');
+        if (modal) {
+            modal.classList.remove('active');
+        }
+        this.pendingImport = null;
+        const form = document.getElementById('importForm');
+        if (form) form.reset();
+    }
+
+    async handleImportFile(file) {
+        if (!file) return;
+        
+        try {
+            this.pendingImport = this.parseWorkspace(await file.text());
+            this.renderImportReport();
+        } catch (error) {
+            this.pendingImport = null;
+            this.renderImportReport(error.message);
+        }
+    }
+
+    // Parses an exported workspace and upgrades it to DATA_SCHEMA_VERSION
+    parseWorkspace(text) {
+        let workspace;
+        try {
+            workspace = JSON.parse(text);
+        } catch (error) {
+            throw new Error('File is not valid JSON');
+        }
+        
+        if (!workspace || workspace.format !== WORKSPACE_FORMAT) {
+            throw new Error('File is not a ProjectFlow workspace export');
+        }
+        if (!Number.isInteger(workspace.schemaVersion)) {
+            throw new Error('Workspace file has no schemaVersion');
+        }
+        if (workspace.schemaVersion > DATA_SCHEMA_VERSION) {
+            throw new Error('Workspace was exported by a newer version of ProjectFlow');
+        }
+        if (!Array.isArray(workspace.projects) || !Array.isArray(workspace.tasks)) {
+            throw new Error('Workspace file must contain projects and tasks lists');
+        }
+        // Exports from before team members have no members list
+        if (workspace.members !== undefined && !Array.isArray(workspace.members)) {
+            throw new Error('Workspace members must be a list');
+        }
+        if (workspace.savedFilters !== undefined && !Array.isArray(workspace.savedFilters)) {
+            throw new Error('Workspace saved filters must be a list');
+        }
+        if (workspace.comments !== undefined && !Array.isArray(workspace.comments)) {
+            throw new Error('Workspace comments must be a list');
+        }
+        
+        const upgraded = migrateData({ projects: workspace.projects, tasks: workspace.tasks }, workspace.schemaVersion);
+        
+        return {
+            members: workspace.members || [],
+            projects: upgraded.projects,
+            tasks: upgraded.tasks,
+            comments: workspace.comments || [],
+            savedFilters: workspace.savedFilters || [],
+            settings: workspace.settings && typeof workspace.settings === 'object' ? workspace.settings : {}
+        };
+    }
+
+    // Splits an imported workspace into valid records and per-row errors.
+    // In merge mode tasks may reference members and projects already in the
+    // workspace.
+    validateWorkspace(workspace, mode) {
+        const errors = [];
+        const members = [];
+        const projects = [];
+        const tasks = [];
+        const seenMemberIds = new Set();
+        const seenProjectIds = new Set();
+        const seenTaskIds = new Set();
+        
+        workspace.members.forEach((member, index) => {
+            const problems = this.validateMemberRecord(member);
+            if (problems.length === 0 && seenMemberIds.has(member.id)) {
+                problems.push('duplicate id');
+            }
+            if (problems.length > 0) {
+                errors.push(`Member ${index + 1}${this.describeRecordId(member)}: ${problems.join(', ')}`);
+                return;
+            }
+            seenMemberIds.add(member.id);
+            members.push(member);
+        });
+        
+        workspace.projects.forEach((project, index) => {
+            const problems = this.validateProjectRecord(project);
+            if (problems.length === 0 && seenProjectIds.has(project.id)) {
+                problems.push('duplicate id');
+            }
+            if (problems.length > 0) {
+                errors.push(`Project ${index + 1}${this.describeRecordId(project)}: ${problems.join(', ')}`);
+                return;
+            }
+            seenProjectIds.add(project.id);
+            projects.push(project);
+        });
+        
+        // Imported members and projects replace existing ones with the same id
+        const knownMembers = new Map([...(mode === 'merge' ? this.members : []), ...members].map(member => [member.id, member]));
+        const knownProjects = new Map([...(mode === 'merge' ? this.getStoredRecords('projects') : []), ...projects].map(project => [project.id, project]));
+        
+        workspace.tasks.forEach((task, index) => {
+            const problems = this.validateTaskRecord(task, knownProjects, knownMembers);
+            if (problems.length === 0 && seenTaskIds.has(task.id)) {
+                problems.push('duplicate id');
+            }
+            if (problems.length > 0) {
+                errors.push(`Task ${index + 1}${this.describeRecordId(task)}: ${problems.join(', ')}`);
+                return;
+            }
+            seenTaskIds.add(task.id);
+            tasks.push(task);
+        });
+        
+        // Subtasks need their parent in the same project, and blockers must
+        // exist without forming a cycle. Repeated because dropping a task also
+        // invalidates the tasks that reference it.
+        let validTasks = tasks;
+        for (let dropped = true; dropped;) {
+            const knownTasks = new Map([...(mode === 'merge' ? this.getStoredRecords('tasks') : []), ...validTasks].map(task => [task.id, task]));
+            const blockedByMap = new Map([...knownTasks.values()].map(task => [task.id, task.blockedBy]));
+            const remaining = validTasks.filter(task => {
+                const problem = this.findParentProblem(task, knownTasks) ||
+                    task.blockedBy.filter(id => !knownTasks.has(id)).map(id => `unknown blocking task "${id}"`)[0] ||
+                    (this.findDependencyCycle(task.id, blockedByMap) ? 'blocked-by links form a cycle' : null);
+                if (problem) {
+                    errors.push(`Task ${workspace.tasks.indexOf(task) + 1}${this.describeRecordId(task)}: ${problem}`);
+                }
+                return !problem;
+            });
+            dropped = remaining.length < validTasks.length;
+            validTasks = remaining;
+        }
+        
+        const knownTaskIds = new Set([...(mode === 'merge' ? this.getStoredRecords('tasks') : []), ...validTasks].map(task => task.id));
+        const comments = [];
+        workspace.comments.forEach((comment, index) => {
+            const problems = this.validateCommentRecord(comment, knownTaskIds, knownMembers);
+            if (problems.length === 0 && comments.some(c => c.id === comment.id)) {
+                problems.push('duplicate id');
+            }
+            if (problems.length > 0) {
+                errors.push(`Comment ${index + 1}${this.describeRecordId(comment)}: ${problems.join(', ')}`);
+                return;
+            }
+            comments.push(comment);
+        });
+        
+        const savedFilters = [];
+        workspace.savedFilters.forEach((filter, index) => {
+            const problems = this.validateSavedFilterRecord(filter);
+            if (problems.length === 0 && savedFilters.some(f => f.id === filter.id)) {
+                problems.push('duplicate id');
+            }
+            if (problems.length > 0) {
+                errors.push(`Saved filter ${index + 1}${this.describeRecordId(filter)}: ${problems.join(', ')}`);
+                return;
+            }
+            savedFilters.push(filter);
+        });
+        
+        const settings = {};
+        if (['light', 'dark'].includes(workspace.settings.theme)) {
+            settings.theme = workspace.settings.theme;
+        }
+        
+        return { members, projects, tasks: validTasks, comments, savedFilters, settings, errors };
+    }
+
+    // Checks a record against the shape saveMember() creates
+    validateMemberRecord(member) {
+        if (!member || typeof member !== 'object') return ['not an object'];
+        
+        const problems = [];
+        if (typeof member.id !== 'string' || !member.id) problems.push('missing id');
+        if (typeof member.name !== 'string' || !member.name.trim()) problems.push('missing name');
+        if (member.email !== '' && !(typeof member.email === 'string' && EMAIL_PATTERN.test(member.email))) {
+            problems.push(`invalid email "${member.email}"`);
+        }
+        if (!/^#[0-9a-f]{6}$/i.test(member.color)) problems.push(`invalid color "${member.color}"`);
+        if (!this.isDateString(member.createdDate)) problems.push(`invalid created date "${member.createdDate}"`);
+        return problems;
+    }
+
+    // Checks a record against the shape addComment() creates
+    validateCommentRecord(comment, knownTaskIds, knownMembers) {
+        if (!comment || typeof comment !== 'object') return ['not an object'];
+        
+        const problems = [];
+        if (typeof comment.id !== 'string' || !comment.id) problems.push('missing id');
+        if (!knownTaskIds.has(comment.taskId)) problems.push(`unknown task "${comment.taskId}"`);
+        if (comment.authorId !== '' && !knownMembers.has(comment.authorId)) problems.push(`unknown author "${comment.authorId}"`);
+        if (typeof comment.body !== 'string' || !comment.body.trim()) problems.push('missing text');
+        if (!Array.isArray(comment.mentions)) {
+            problems.push('mentions must be a list');
+        } else {
+            comment.mentions.filter(id => !knownMembers.has(id)).forEach(id => problems.push(`unknown mentioned member "${id}"`));
+        }
+        if (!this.isTimestamp(comment.createdAt)) problems.push(`invalid created time "${comment.createdAt}"`);
+        if (comment.editedAt !== '' && !this.isTimestamp(comment.editedAt)) problems.push(`invalid edited time "${comment.editedAt}"`);
+        return problems;
+    }
+
+    // Checks a record against the shape saveCurrentFilter() creates
+    validateSavedFilterRecord(filter) {
+        if (!filter || typeof filter !== 'object') return ['not an object'];
+        
+        const problems = [];
+        if (typeof filter.id !== 'string' || !filter.id) problems.push('missing id');
+        if (typeof filter.name !== 'string' || !filter.name.trim()) problems.push('missing name');
+        if (typeof filter.route !== 'string' || !filter.route.startsWith('#/')) problems.push(`invalid route "${filter.route}"`);
+        return problems;
+    }
+
+    // Checks a record against the shape saveProject() creates
+    validateProjectRecord(project) {
+        if (!project || typeof project !== 'object') return ['not an object'];
+        
+        const problems = [];
+        if (typeof project.id !== 'string' || !project.id) problems.push('missing id');
+        if (typeof project.name !== 'string' || !project.name.trim()) problems.push('missing name');
+        if (typeof project.description !== 'string') problems.push('description must be text');
+        if (!PROJECT_STATUSES.includes(project.status)) problems.push(`invalid status "${project.status}"`);
+        if (project.startDate !== '' && !this.isDateString(project.startDate)) {
+            problems.push(`invalid start date "${project.startDate}"`);
+        } else if (project.startDate && project.dueDate && project.startDate > project.dueDate) {
+            problems.push('start date is after the due date');
+        }
+        if (project.dueDate !== '' && !this.isDateString(project.dueDate)) problems.push(`invalid due date "${project.dueDate}"`);
+        if (!this.isDateString(project.createdDate)) problems.push(`invalid created date "${project.createdDate}"`);
+        problems.push(...this.validateWorkflow(project.workflow).map(problem => `workflow: ${problem}`));
+        if (typeof project.archived !== 'boolean') problems.push('archived must be true or false');
+        if (!this.isDeletedAt(project.deletedAt)) problems.push(`invalid deletedAt "${project.deletedAt}"`);
+        return problems;
+    }
+
+    // Checks a record against the shape saveTask() creates
+    validateTaskRecord(task, knownProjects, knownMembers) {
+        if (!task || typeof task !== 'object') return ['not an object'];
+        
+        const problems = [];
+        if (typeof task.id !== 'string' || !task.id) problems.push('missing id');
+        if (typeof task.title !== 'string' || !task.title.trim()) problems.push('missing title');
+        if (typeof task.description !== 'string') problems.push('description must be text');
+        const project = knownProjects.get(task.projectId);
+        if (!project) {
+            problems.push(`unknown project "${task.projectId}"`);
+        } else if (!project.workflow.some(status => status.id === task.status)) {
+            problems.push(`status "${task.status}" is not in the project workflow`);
+        } else if (project.deletedAt && !task.deletedAt) {
+            problems.push('project is in the trash');
+        }
+        if (!TASK_PRIORITIES.includes(task.priority)) problems.push(`invalid priority "${task.priority}"`);
+        if (task.startDate !== '' && !this.isDateString(task.startDate)) {
+            problems.push(`invalid start date "${task.startDate}"`);
+        } else if (task.startDate && task.dueDate && task.startDate > task.dueDate) {
+            problems.push('start date is after the due date');
+        }
+        if (task.dueDate !== '' && !this.isDateString(task.dueDate)) problems.push(`invalid due date "${task.dueDate}"`);
+        if (!this.isDateString(task.createdDate)) problems.push(`invalid created date "${task.createdDate}"`);
+        if (!Number.isFinite(task.rank)) problems.push('invalid rank');
+        if (typeof task.parentId !== 'string') problems.push('parentId must be text');
+        if (!Array.isArray(task.checklist) || !task.checklist.every(item => item && typeof item.id === 'string' && item.id &&
+            typeof item.text === 'string' && item.text.trim() && typeof item.done === 'boolean')) {
+            problems.push('invalid checklist');
+        }
+        if (!Array.isArray(task.blockedBy) || !task.blockedBy.every(id => typeof id === 'string' && id && id !== task.id)) {
+            problems.push('invalid blockedBy');
+        }
+        if (task.recurrence !== null) {
+            problems.push(...validateRecurrence(task.recurrence).map(problem => `recurrence: ${problem}`));
+            if (!task.dueDate) problems.push('recurrence needs a due date');
+        }
+        if (!Array.isArray(task.assignees) || !task.assignees.every(id => typeof id === 'string' && id)) {
+            problems.push('invalid assignees');
+        } else {
+            problems.push(...task.assignees.filter(id => !knownMembers.has(id)).map(id => `unknown assignee "${id}"`));
+        }
+        if (!Array.isArray(task.reminders) || !task.reminders.every(reminder => reminder && Number.isInteger(reminder.daysBefore) &&
+            reminder.daysBefore >= 0 && REMINDER_TIME_PATTERN.test(reminder.time))) {
+            problems.push('invalid reminders');
+        } else if (task.reminders.length > 0 && !task.dueDate) {
+            problems.push('reminders need a due date');
+        }
+        if (!this.isDeletedAt(task.deletedAt)) problems.push(`invalid deletedAt "${task.deletedAt}"`);
+        return problems;
+    }
+
+    // '' for live records, otherwise the time they were moved to the trash
+    isDeletedAt(value) {
+        return value === '' || (typeof value === 'string' && !Number.isNaN(Date.parse(value)));
+    }
+
+    findParentProblem(task, knownTasks) {
+        if (!task.parentId) return null;
+        
+        const parent = knownTasks.get(task.parentId);
+        if (!parent) return `unknown parent task "${task.parentId}"`;
+        if (parent.projectId !== task.projectId) return 'parent task is in another project';
+        
+        const seen = new Set([task.id]);
+        for (let ancestor = parent; ancestor; ancestor = knownTasks.get(ancestor.parentId)) {
+            if (seen.has(ancestor.id)) return 'subtasks form a cycle';
+            seen.add(ancestor.id);
+        }
+        return null;
+    }
+
+    describeRecordId(record) {
+        return record && typeof record.id === 'string' && record.id ? ` (${record.id})` : '';
+    }
+
+    renderImportReport(fatalError = null) {
+        const report = document.getElementById('importReport');
+        const confirmImport = document.getElementById('confirmImport');
+        const importMode = document.getElementById('importMode');
+        if (!report || !confirmImport) return;
+        
+        report.replaceChildren();
+        confirmImport.disabled = true;
+        
+        if (fatalError) {
+            report.classList.remove('hidden');
+            report.appendChild(this.createTextElement('p', fatalError, 'import-report-error'));
+            return;
+        }
+        if (!this.pendingImport) {
+            report.classList.add('hidden');
+            return;
+        }
+        
+        const mode = importMode ? importMode.value : 'merge';
+        const result = this.validateWorkspace(this.pendingImport, mode);
+        report.classList.remove('hidden');
+        report.appendChild(this.createTextElement(
+            'p',
+            `${result.members.length} members, ${result.projects.length} projects, ${result.tasks.length} tasks and ${result.comments.length} comments ready to import.` +
+                (result.savedFilters.length > 0 ? ` Includes ${result.savedFilters.length} saved filters.` : ''),
+            'import-report-summary'
+        ));
+        
+        this.appendSkippedRows(report, result.errors);
+        
+        confirmImport.disabled = result.members.length === 0 && result.projects.length === 0 && result.tasks.length === 0 &&
+            result.comments.length === 0 && result.savedFilters.length === 0;
+    }
+
+    appendSkippedRows(report, errors) {
+        if (errors.length === 0) return;
+        
+        report.appendChild(this.createTextElement(
+            'p',
+            `${errors.length} invalid rows will be skipped:`,
+            'import-report-error'
+        ));
+        const list = document.createElement('ul');
+        list.className = 'import-report-errors';
+        errors.forEach(error => list.appendChild(this.createTextElement('li', error)));
+        report.appendChild(list);
+    }
+
+    applyImport() {
+        if (!this.pendingImport) return;
+        
+        const importMode = document.getElementById('importMode');
+        const mode = importMode ? importMode.value : 'merge';
+        const result = this.validateWorkspace(this.pendingImport, mode);
+        
+        if (mode === 'replace') {
+            if (!confirm('Replace the whole workspace? Existing members, projects, tasks and comments not in the file will be deleted.')) return;
+            this.members = result.members;
+            this.setStoredRecords('projects', result.projects);
+            this.setStoredRecords('tasks', result.tasks);
+            this.comments = result.comments;
+            // Workspace files hold no attachments; files of tasks that stay are kept
+            this.attachments = this.attachments.filter(attachment => result.tasks.some(task => task.id === attachment.taskId));
+            this.savedFilters = result.savedFilters;
+        } else {
+            this.members = this.mergeById(this.members, result.members);
+            this.setStoredRecords('projects', this.mergeById(this.getStoredRecords('projects'), result.projects));
+            this.setStoredRecords('tasks', this.mergeById(this.getStoredRecords('tasks'), result.tasks));
+            this.comments = this.mergeById(this.comments, result.comments);
+            this.savedFilters = this.mergeById(this.savedFilters, result.savedFilters);
+        }
+        
+        if (result.settings.theme) {
+            localStorage.setItem('projectflow_theme', result.settings.theme);
+            this.initializeTheme();
+        }
+        
+        this.saveData('Import workspace');
+        this.saveSavedFilters();
+        this.closeImportModal();
+        this.switchView(this.currentView);
+        this.renderSavedFilters();
+        
+        const message = `Imported ${result.members.length} members, ${result.projects.length} projects, ${result.tasks.length} tasks and ${result.comments.length} comments`;
+        if (result.errors.length > 0) {
+            this.showToast(`${message}, skipped ${result.errors.length} invalid rows`, 'warning', this.undoToastAction(this.lastCommand));
+        } else {
+            this.showToast(message, 'success', this.undoToastAction(this.lastCommand));
         }
+    }
+
+    // Records in incoming replace existing ones with the same id; new ids are appended
+    mergeById(existing, incoming) {
+        const incomingById = new Map(incoming.map(record => [record.id, record]));
+        const existingIds = new Set(existing.map(record => record.id));
+        return [
+            ...existing.map(record => incomingById.get(record.id) || record),
+            ...incoming.filter(record => !existingIds.has(record.id))
+        ];
+    }
+
+    // CSV Import / Export
+    exportTasksCsv() {
+        const tasks = this.getFilteredTasks();
+        const rows = [
+            ['Title', 'Description', 'Project', 'Priority', 'Status', 'Start Date', 'Due Date', 'Assignees', 'Created Date'],
+            ...tasks.map(task => {
+                const project = this.projects.find(p => p.id === task.projectId);
+                return [
+                    task.title,
+                    task.description,
+                    project ? project.name : '',
+                    task.priority,
+                    this.getTaskStatus(task).name,
+                    task.startDate,
+                    task.dueDate,
+                    task.assignees.map(id => this.getMember(id)).filter(Boolean).map(member => member.name).join('; '),
+                    task.createdDate
+                ];
+            })
+        ];
+        
+        const date = new Date().toISOString().split('T')[0];
+        this.downloadFile(`projectflow-tasks-${date}.csv`, toCsv(rows), 'text/csv;charset=utf-8');
+        this.showToast(`Exported ${tasks.length} tasks`, 'success');
+    }
+
+    openCsvImportModal() {
+        const modal = document.getElementById('csvImportModal');
+        if (!modal) return;
+        
+        this.pendingCsv = null;
+        const form = document.getElementById('csvImportForm');
+        if (form) form.reset();
+        this.renderCsvMapping();
+        this.renderCsvReport();
         
         modal.classList.add('active');
     }
 
-    closeProjectModal() {
-        const modal = document.getElementById('projectModal');
+    closeCsvImportModal() {
+        const modal = document.getElementById('csvImportModal');
         if (modal) {
             modal.classList.remove('active');
         }
-        this.currentEditingProject = null;
-        const form = document.getElementById('projectForm');
+        this.pendingCsv = null;
+        const form = document.getElementById('csvImportForm');
         if (form) form.reset();
     }
 
-    saveProject() {
-        const nameField = document.getElementById('projectName');
-        const descField = document.getElementById('projectDescription');
-        const statusField = document.getElementById('projectStatus');
-        const dueDateField = document.getElementById('projectDueDate');
+    async handleCsvFile(file) {
+        if (!file) return;
         
-        if (!nameField || !descField || !statusField || !dueDateField) return;
-        
-        const name = nameField.value;
-        const description = descField.value;
-        const status = statusField.value;
-        const dueDate = dueDateField.value;
+        try {
+            const [headers, ...rows] = parseCsv(await file.text());
+            if (!headers || rows.length === 0) {
+                throw new Error('CSV needs a header row and at least one task row');
+            }
+            this.pendingCsv = { headers: headers.map(header => header.trim()), rows };
+            this.renderCsvMapping();
+            this.renderCsvReport();
+        } catch (error) {
+            this.pendingCsv = null;
+            this.renderCsvMapping();
+            this.renderCsvReport(error.message);
+        }
+    }
+
+    renderCsvMapping() {
+        const container = document.getElementById('csvMapping');
+        if (!container) return;
         
-        if (!name.trim()) {
-            this.showToast('Project name is required', 'error');
+        container.replaceChildren();
+        if (!this.pendingCsv) {
+            container.classList.add('hidden');
             return;
         }
+        container.classList.remove('hidden');
         
-        if (this.currentEditingProject) {
-            // Edit existing project
-            const projectIndex = this.projects.findIndex(p => p.id === this.currentEditingProject);
-            if (projectIndex !== -1) {
-                this.projects[projectIndex] = {
-                    ...this.projects[projectIndex],
-                    name,
-                    description,
-                    status,
-                    dueDate
+        const normalizedHeaders = this.pendingCsv.headers.map(header => header.toLowerCase().replace(/[^a-z0-9]/g, ''));
+        
+        CSV_TASK_FIELDS.forEach(field => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            
+            const label = this.createTextElement('label', field.required ? `${field.label} *` : field.label, 'form-label');
+            label.htmlFor = `csvMap-${field.key}`;
+            
+            const select = document.createElement('select');
+            select.className = 'form-control';
+            select.id = `csvMap-${field.key}`;
+            select.appendChild(new Option('Not mapped', ''));
+            this.pendingCsv.headers.forEach((header, index) => {
+                select.appendChild(new Option(header || `Column ${index + 1}`, String(index)));
+            });
+            
+            const guess = normalizedHeaders.findIndex(header => field.aliases.includes(header));
+            select.value = guess === -1 ? '' : String(guess);
+            select.addEventListener('change', () => this.renderCsvReport());
+            
+            group.append(label, select);
+            container.appendChild(group);
+        });
+    }
+
+    getCsvMapping() {
+        const mapping = {};
+        CSV_TASK_FIELDS.forEach(field => {
+            const select = document.getElementById(`csvMap-${field.key}`);
+            mapping[field.key] = select && select.value !== '' ? Number(select.value) : -1;
+        });
+        return mapping;
+    }
+
+    // Turns the pending CSV rows into tasks (plus any projects they name that
+    // do not exist yet) and a list of per-row errors
+    buildCsvImport() {
+        const mapping = this.getCsvMapping();
+        const missing = CSV_TASK_FIELDS.filter(field => field.required && mapping[field.key] === -1);
+        if (missing.length > 0) {
+            return {
+                tasks: [],
+                projects: [],
+                errors: [],
+                mappingError: `Map a column to ${missing.map(field => field.label).join(' and ')}`
+            };
+        }
+        
+        const today = new Date().toISOString().split('T')[0];
+        const stamp = Date.now();
+        const firstRank = this.nextTaskRank();
+        const tasks = [];
+        const projects = [];
+        const errors = [];
+        const projectsByName = new Map(this.projects.map(project => [project.name.trim().toLowerCase(), project]));
+        // Assignees are listed by name or email, separated by semicolons or commas
+        const membersByKey = new Map(this.members.flatMap(member => [
+            [member.name.trim().toLowerCase(), member],
+            ...(member.email ? [[member.email.toLowerCase(), member]] : [])
+        ]));
+        
+        this.pendingCsv.rows.forEach((cells, index) => {
+            const value = key => (mapping[key] === -1 ? '' : unescapeCsvCell((cells[mapping[key]] || '').trim()));
+            const title = value('title');
+            const projectName = value('project');
+            const priority = this.normalizeChoice(value('priority'), TASK_PRIORITIES, 'medium');
+            // Projects this import creates get the default workflow
+            const existingProject = projectsByName.get(projectName.toLowerCase());
+            const status = this.findWorkflowStatus(existingProject ? existingProject.workflow : DEFAULT_WORKFLOW, value('status'));
+            const startDate = this.parseCsvDate(value('startDate'));
+            const dueDate = this.parseCsvDate(value('dueDate'));
+            const assigneeNames = value('assignees').split(/[;,]/).map(name => name.trim()).filter(Boolean);
+            const assignees = assigneeNames.map(name => membersByKey.get(name.toLowerCase()));
+            
+            const problems = [];
+            if (!title) problems.push('missing title');
+            if (!projectName) problems.push('missing project');
+            if (!priority) problems.push(`invalid priority "${value('priority')}"`);
+            if (!status) problems.push(`invalid status "${value('status')}"`);
+            if (startDate === null) problems.push(`invalid start date "${value('startDate')}"`);
+            if (dueDate === null) problems.push(`invalid due date "${value('dueDate')}"`);
+            if (startDate && dueDate && startDate > dueDate) problems.push('start date is after the due date');
+            assigneeNames.forEach((name, i) => {
+                if (!assignees[i]) problems.push(`unknown assignee "${name}"`);
+            });
+            
+            if (problems.length > 0) {
+                // Row 1 is the header
+                errors.push(`Row ${index + 2}: ${problems.join(', ')}`);
+                return;
+            }
+            
+            let project = existingProject;
+            if (!project) {
+                project = {
+                    id: `proj-${stamp}-${projects.length}`,
+                    name: projectName,
+                    description: '',
+                    status: 'active',
+                    startDate: '',
+                    dueDate: '',
+                    createdDate: today,
+                    workflow: DEFAULT_WORKFLOW.map(workflowStatus => ({ ...workflowStatus })),
+                    archived: false,
+                    deletedAt: ''
                 };
-                this.showToast('Project updated successfully', 'success');
+                projects.push(project);
+                projectsByName.set(projectName.toLowerCase(), project);
             }
-        } else {
-            // Create new project
-            const newProject = {
-                id: `proj-${Date.now()}`,
-                name,
-                description,
-                status,
+            
+            tasks.push({
+                id: `task-${stamp}-${tasks.length}`,
+                title,
+                description: value('description'),
+                projectId: project.id,
+                priority,
+                status: status.id,
+                startDate,
                 dueDate,
-                createdDate: new Date().toISOString().split('T')[0]
-            };
-            this.projects.push(newProject);
-            this.showToast('Project created successfully', 'success');
-        }
+                createdDate: today,
+                rank: firstRank + tasks.length * RANK_STEP,
+                parentId: '',
+                checklist: [],
+                blockedBy: [],
+                recurrence: null,
+                assignees: [...new Set(assignees.map(member => member.id))],
+                reminders: [],
+                deletedAt: ''
+            });
+        });
         
-        this.saveData();
-        this.closeProjectModal();
-        this.renderProjects();
-        this.renderDashboard();
-    }
-
-    editProject(projectId) {
-        this.openProjectModal(projectId);
+        return { tasks, projects, errors };
     }
 
-    deleteProject(projectId) {
-        if (confirm('Are you sure you want to delete this project? All associated tasks will also be deleted.')) {
-            this.projects = this.projects.filter(p => p.id !== projectId);
-            this.tasks = this.tasks.filter(t => t.projectId !== projectId);
-            this.saveData();
-            this.renderProjects();
-            this.renderDashboard();
-            this.showToast('Project deleted successfully', 'success');
+    renderCsvReport(fatalError = null) {
+        const report = document.getElementById('csvImportReport');
+        const confirmImport = document.getElementById('confirmCsvImport');
+        if (!report || !confirmImport) return;
+        
+        report.replaceChildren();
+        confirmImport.disabled = true;
+        
+        if (fatalError) {
+            report.classList.remove('hidden');
+            report.appendChild(this.createTextElement('p', fatalError, 'import-report-error'));
+            return;
+        }
+        if (!this.pendingCsv) {
+            report.classList.add('hidden');
+            return;
+        }
+        
+        const result = this.buildCsvImport();
+        report.classList.remove('hidden');
+        if (result.mappingError) {
+            report.appendChild(this.createTextElement('p', result.mappingError, 'import-report-error'));
+            return;
         }
+        report.appendChild(this.createTextElement(
+            'p',
+            `${result.tasks.length} tasks ready to import` +
+                (result.projects.length > 0 ? `, creating ${result.projects.length} new projects.` : '.'),
+            'import-report-summary'
+        ));
+        
+        this.appendSkippedRows(report, result.errors);
+        
+        confirmImport.disabled = result.tasks.length === 0;
     }
 
-    // Task Management
-    openTaskModal(taskId = null) {
-        this.currentEditingTask = taskId;
-        const modal = document.getElementById('taskModal');
-        const title = document.getElementById('taskModalTitle');
+    applyCsvImport() {
+        if (!this.pendingCsv) return;
         
-        if (!modal || !title) return;
+        const result = this.buildCsvImport();
+        if (result.tasks.length === 0) return;
         
-        this.populateProjectFilters();
+        this.projects.push(...result.projects);
+        this.tasks.push(...result.tasks);
         
-        if (taskId) {
-            const task = this.tasks.find(t => t.id === taskId);
-            if (task) {
-                title.textContent = 'Edit Task';
-                const titleField = document.getElementById('taskTitle');
-                const descField = document.getElementById('taskDescription');
-                const projectField = document.getElementById('taskProject');
-                const priorityField = document.getElementById('taskPriority');
-                const statusField = document.getElementById('taskStatus');
-                const dueDateField = document.getElementById('taskDueDate');
-                
-                if (titleField) titleField.value = task.title;
-                if (descField) descField.value = task.description;
-                if (projectField) projectField.value = task.projectId;
-                if (priorityField) priorityField.value = task.priority;
-                if (statusField) statusField.value = task.status;
-                if (dueDateField) dueDateField.value = task.dueDate;
-            }
+        this.saveData('Import CSV');
+        this.closeCsvImportModal();
+        this.switchView(this.currentView);
+        
+        const message = `Imported ${result.tasks.length} tasks`;
+        if (result.errors.length > 0) {
+            this.showToast(`${message}, skipped ${result.errors.length} rows`, 'warning', this.undoToastAction(this.lastCommand));
         } else {
-            title.textContent = 'Add Task';
-            const form = document.getElementById('taskForm');
-            if (form) form.reset();
+            this.showToast(message, 'success', this.undoToastAction(this.lastCommand));
+        }
+    }
+
+    // Matches free-form spreadsheet values such as "In Progress" or "HIGH"
+    // against allowed values. Empty values get the fallback; unknown ones null.
+    normalizeChoice(value, allowed, fallback) {
+        if (!value) return fallback;
+        const compact = value.toLowerCase().replace(/[\s_-]/g, '');
+        return allowed.find(option => option.replace(/-/g, '') === compact) || null;
+    }
+
+    // Matches a spreadsheet status against a workflow by column id or name.
+    // Empty values get the first column; unknown ones null.
+    findWorkflowStatus(workflow, value) {
+        if (!value) return workflow[0];
+        const compact = text => text.toLowerCase().replace(/[\s_-]/g, '');
+        return workflow.find(status => compact(status.id) === compact(value) || compact(status.name) === compact(value)) || null;
+    }
+
+    // Accepts YYYY-MM-DD or M/D/YYYY; returns '' for empty and null for invalid
+    parseCsvDate(value) {
+        if (!value) return '';
+        if (this.isDateString(value)) return value;
+        
+        const match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value);
+        if (!match) return null;
+        const date = `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+        return this.isDateString(date) ? date : null;
+    }
+
+    // iCalendar Import / Export
+    exportICalendar() {
+        const calendar = buildICalendar(this.projects, this.tasks);
+        this.downloadFile('projectflow.ics', calendar, 'text/calendar;charset=utf-8');
+        this.showToast('Calendar exported', 'success');
+    }
+
+    openIcsImportModal() {
+        const modal = document.getElementById('icsImportModal');
+        const projectField = document.getElementById('icsImportProject');
+        if (!modal) return;
+        
+        this.pendingIcs = null;
+        const form = document.getElementById('icsImportForm');
+        if (form) form.reset();
+        if (projectField) {
+            projectField.replaceChildren(new Option('Select Project', ''), ...this.projects.map(project => new Option(project.name, project.id)));
         }
+        this.renderIcsReport();
         
         modal.classList.add('active');
     }
 
-    closeTaskModal() {
-        const modal = document.getElementById('taskModal');
+    closeIcsImportModal() {
+        const modal = document.getElementById('icsImportModal');
         if (modal) {
             modal.classList.remove('active');
         }
-        this.currentEditingTask = null;
-        const form = document.getElementById('taskForm');
+        this.pendingIcs = null;
+        const form = document.getElementById('icsImportForm');
         if (form) form.reset();
     }
 
-    saveTask() {
-        const titleField = document.getElementById('taskTitle');
-        const descField = document.getElementById('taskDescription');
-        const projectField = document.getElementById('taskProject');
-        const priorityField = document.getElementById('taskPriority');
-        const statusField = document.getElementById('taskStatus');
-        const dueDateField = document.getElementById('taskDueDate');
+    async handleIcsFile(file) {
+        if (!file) return;
         
-        if (!titleField || !descField || !projectField || !priorityField || !statusField || !dueDateField) return;
+        try {
+            const components = parseICalendar(await file.text());
+            if (components.length === 0) {
+                throw new Error('Calendar contains no events or to-dos');
+            }
+            this.pendingIcs = components;
+            this.renderIcsReport();
+        } catch (error) {
+            this.pendingIcs = null;
+            this.renderIcsReport(error.message);
+        }
+    }
+
+    // Turns VEVENT/VTODO components into tasks. A component's CATEGORIES
+    // picks the project when it names one; otherwise the chosen project is used.
+    buildIcsImport() {
+        const projectField = document.getElementById('icsImportProject');
+        const fallbackProjectId = projectField ? projectField.value : '';
+        const projectsByName = new Map(this.projects.map(project => [project.name.trim().toLowerCase(), project]));
+        const existingTaskIds = new Set(this.getStoredRecords('tasks').map(task => task.id));
+        const today = new Date().toISOString().split('T')[0];
+        const stamp = Date.now();
+        const firstRank = this.nextTaskRank();
+        const tasks = [];
+        const errors = [];
+        let alreadyPresent = 0;
         
-        const title = titleField.value;
-        const description = descField.value;
-        const projectId = projectField.value;
-        const priority = priorityField.value;
-        const status = statusField.value;
-        const dueDate = dueDateField.value;
+        this.pendingIcs.forEach((component, index) => {
+            const property = name => (component.properties[name] ? component.properties[name].value : '');
+            const uid = property('UID');
+            const ownId = uid.endsWith(`@${ICAL_UID_DOMAIN}`) ? uid.slice(0, -ICAL_UID_DOMAIN.length - 1) : '';
+            
+            // Entries exported from this workspace are not imported twice,
+            // and project due dates are not tasks
+            if (existingTaskIds.has(ownId)) {
+                alreadyPresent++;
+                return;
+            }
+            if (ownId.startsWith('proj-')) return;
+            
+            const title = unescapeICalText(property('SUMMARY')).trim();
+            const categories = unescapeICalText(property('CATEGORIES')).split(',').map(name => name.trim().toLowerCase());
+            const category = categories.map(name => projectsByName.get(name)).find(Boolean);
+            const projectId = category ? category.id : fallbackProjectId;
+            
+            const problems = [];
+            if (!title) problems.push('missing summary');
+            if (!projectId) problems.push('no matching project; choose one above');
+            if (problems.length > 0) {
+                errors.push(`${component.type === 'VTODO' ? 'To-do' : 'Event'} ${index + 1}${title ? ` ("${title}")` : ''}: ${problems.join(', ')}`);
+                return;
+            }
+            
+            const priority = Number(property('PRIORITY')) || 0;
+            const icalStatus = property('STATUS').toUpperCase();
+            // RELATED-TO links a to-do to its parent; kept when that task exists in the same project
+            const relatedTo = property('RELATED-TO');
+            const parent = this.tasks.find(task => `${task.id}@${ICAL_UID_DOMAIN}` === relatedTo && task.projectId === projectId);
+            // In-process to-dos go to the second open column, if there is one
+            const openStatuses = this.getWorkflow(projectId).filter(s => !s.done);
+            const status = icalStatus === 'COMPLETED' ? this.getFirstStatus(projectId, true)
+                : icalStatus === 'IN-PROCESS' ? openStatuses[1] || this.getFirstStatus(projectId, false)
+                : this.getFirstStatus(projectId, false);
+            // DTSTART is the start of a to-do that also has a DUE date
+            const dueDate = fromICalDate(property('DUE') || property('DTSTART'));
+            const startDate = property('DUE') ? fromICalDate(property('DTSTART')) : '';
+            
+            tasks.push({
+                id: ownId.startsWith('task-') ? ownId : `task-${stamp}-${tasks.length}`,
+                title,
+                description: unescapeICalText(property('DESCRIPTION')),
+                projectId,
+                priority: priority === 0 ? 'medium' : priority < 5 ? 'high' : priority === 5 ? 'medium' : 'low',
+                status: status.id,
+                startDate: startDate <= dueDate ? startDate : '',
+                dueDate,
+                createdDate: today,
+                rank: firstRank + tasks.length * RANK_STEP,
+                parentId: parent ? parent.id : '',
+                checklist: [],
+                blockedBy: [],
+                recurrence: null,
+                assignees: [],
+                reminders: [],
+                deletedAt: ''
+            });
+        });
         
-        if (!title.trim()) {
-            this.showToast('Task title is required', 'error');
+        return { tasks, errors, alreadyPresent };
+    }
+
+    renderIcsReport(fatalError = null) {
+        const report = document.getElementById('icsImportReport');
+        const confirmImport = document.getElementById('confirmIcsImport');
+        if (!report || !confirmImport) return;
+        
+        report.replaceChildren();
+        confirmImport.disabled = true;
+        
+        if (fatalError) {
+            report.classList.remove('hidden');
+            report.appendChild(this.createTextElement('p', fatalError, 'import-report-error'));
             return;
         }
-        
-        if (!projectId) {
-            this.showToast('Please select a project', 'error');
+        if (!this.pendingIcs) {
+            report.classList.add('hidden');
             return;
         }
         
-        if (this.currentEditingTask) {
-            // Edit existing task
-            const taskIndex = this.tasks.findIndex(t => t.id === this.currentEditingTask);
-            if (taskIndex !== -1) {
-                this.tasks[taskIndex] = {
-                    ...this.tasks[taskIndex],
-                    title,
-                    description,
-                    projectId,
-                    priority,
-                    status,
-                    dueDate
-                };
-                this.showToast('Task updated successfully', 'success');
-            }
+        const result = this.buildIcsImport();
+        report.classList.remove('hidden');
+        report.appendChild(this.createTextElement(
+            'p',
+            `${result.tasks.length} tasks ready to import` +
+                (result.alreadyPresent > 0 ? `, ${result.alreadyPresent} already in this workspace.` : '.'),
+            'import-report-summary'
+        ));
+        this.appendSkippedRows(report, result.errors);
+        
+        confirmImport.disabled = result.tasks.length === 0;
+    }
+
+    applyIcsImport() {
+        if (!this.pendingIcs) return;
+        
+        const result = this.buildIcsImport();
+        if (result.tasks.length === 0) return;
+        
+        this.tasks.push(...result.tasks);
+        
+        this.saveData('Import calendar');
+        this.closeIcsImportModal();
+        this.switchView(this.currentView);
+        
+        const message = `Imported ${result.tasks.length} tasks`;
+        if (result.errors.length > 0) {
+            this.showToast(`${message}, skipped ${result.errors.length} entries`, 'warning', this.undoToastAction(this.lastCommand));
         } else {
-            // Create new task
-            const newTask = {
-                id: `task-${Date.now()}`,
-                title,
-                description,
-                projectId,
-                priority,
-                status,
-                dueDate,
-                createdDate: new Date().toISOString().split('T')[0]
-            };
-            this.tasks.push(newTask);
-            this.showToast('Task created successfully', 'success');
+            this.showToast(message, 'success', this.undoToastAction(this.lastCommand));
         }
-        
-        this.saveData();
-        this.closeTaskModal();
-        this.renderTasks();
-        this.renderDashboard();
     }
 
-    editTask(taskId) {
-        this.openTaskModal(taskId);
+    // Utility functions
+    // True for real calendar dates in the YYYY-MM-DD form used by date inputs
+    isDateString(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+        const date = new Date(`${value}T00:00:00Z`);
+        return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
     }
 
-    deleteTask(taskId) {
-        if (confirm('Are you sure you want to delete this task?')) {
-            this.tasks = this.tasks.filter(t => t.id !== taskId);
-            this.saveData();
-            this.renderTasks();
-            this.renderDashboard();
-            this.showToast('Task deleted successfully', 'success');
-        }
+    // True for ISO times such as comment createdAt values
+    isTimestamp(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value));
     }
 
-    toggleTaskStatus(taskId) {
-        const task = this.tasks.find(t => t.id === taskId);
-        if (task) {
-            if (task.status === 'completed') {
-                task.status = 'todo';
-            } else {
-                task.status = 'completed';
-            }
-            
-            this.saveData();
-            this.renderTasks();
-            this.renderDashboard();
-            this.showToast(`Task marked as ${task.status}`, 'success');
-        }
+    // Whole days since the epoch for a YYYY-MM-DD date, and back
+    toDayNumber(date) {
+        return Math.round(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+    }
+
+    fromDayNumber(day) {
+        return new Date(day * DAY_MS).toISOString().split('T')[0];
+    }
+
+    // YYYY-MM-DD of a date in the browser's time zone
+    toLocalDateString(date) {
+        return [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(part => String(part).padStart(2, '0')).join('-');
+    }
+
+    // Like createTextElement(), with the search terms in text wrapped in <mark>
+    createHighlightedElement(tagName, text, terms, className = '') {
+        const element = this.createTextElement(tagName, '', className);
+        highlightSearchText(text, terms).forEach(segment => {
+            element.append(segment.match ? this.createTextElement('mark', segment.text) : segment.text);
+        });
+        return element;
+    }
+
+    createTextElement(tagName, text, className = '') {
+        const element = document.createElement(tagName);
+        if (className) element.className = className;
+        element.textContent = text;
+        return element;
+    }
+
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
     }
 
-    // Utility functions
     formatDate(dateString) {
         if (!dateString) return 'Not set';
         const date = new Date(dateString);
@@ -1079,7 +6614,8 @@ class ProjectManager {
         });
     }
 
-    showToast(message, type = 'info') {
+    // action is an optional { label, handler } button, e.g. from undoToastAction()
+    showToast(message, type = 'info', action = null) {
         const toastContainer = document.getElementById('toastContainer');
         if (!toastContainer) return;
         
@@ -1087,18 +6623,31 @@ class ProjectManager {
         toast.className = `toast ${type}`;
         toast.textContent = message;
         
+        const dismiss = () => {
+            toast.classList.remove('show');
+            setTimeout(() => {
+                toast.remove();
+            }, 300);
+        };
+        
+        if (action) {
+            const button = this.createTextElement('button', action.label, 'toast-action');
+            button.type = 'button';
+            button.addEventListener('click', () => {
+                dismiss();
+                action.handler();
+            });
+            toast.appendChild(button);
+        }
+        
         toastContainer.appendChild(toast);
         
         setTimeout(() => {
             toast.classList.add('show');
         }, 100);
         
-        setTimeout(() => {
-            toast.classList.remove('show');
-            setTimeout(() => {
-                toast.remove();
-            }, 300);
-        }, 3000);
+        // Toasts with an action stay longer so there is time to use it
+        setTimeout(dismiss, action ? 6000 : 3000);
     }
 }
 
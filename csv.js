@@ -0,0 +1,76 @@
+// CSV helpers (RFC 4180: quoted fields, doubled quotes, CRLF or LF line breaks)
+
+// Returns an array of rows, each an array of cell strings. Blank lines are skipped.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    // Strip a UTF-8 byte order mark left by spreadsheet exports
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('CSV has an unterminated quoted field');
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// Cells starting with these characters are run as formulas by spreadsheets.
+// Text that already starts with quotes before one gets another quote too, so
+// unescapeCsvCell() gives back exactly what was exported.
+const CSV_FORMULA_PREFIX = /^'*[=+\-@\t\r]/;
+
+function escapeCsvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (CSV_FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+    return rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Reverses the formula guard added by escapeCsvCell()
+function unescapeCsvCell(value) {
+    return /^'+[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseCsv, toCsv, escapeCsvCell, unescapeCsvCell };
+}
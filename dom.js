@@ -0,0 +1,45 @@
+// DOM building for the app's views
+// Views are built as nodes rather than HTML strings, so names, titles and
+// descriptions are always shown as typed and never parsed as markup. Styles
+// go through the CSSOM and actions through data-action attributes, which
+// keeps the page working under a Content-Security-Policy without
+// 'unsafe-inline'.
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// Attributes: className, style (an object of CSS properties, custom
+// properties included) and dataset are set as properties; any other
+// attribute is set as given, or left out when false, null or undefined, and
+// true sets an empty (boolean) attribute. Children may be nodes, strings,
+// numbers or nested arrays; null, undefined, false and '' are skipped.
+function setElementAttributes(element, attributes) {
+    Object.entries(attributes).forEach(([name, value]) => {
+        if (value === false || value === null || value === undefined) return;
+        if (name === 'className') {
+            element.setAttribute('class', value);
+        } else if (name === 'style') {
+            Object.entries(value).forEach(([property, propertyValue]) => element.style.setProperty(property, propertyValue));
+        } else if (name === 'dataset') {
+            Object.entries(value).forEach(([key, dataValue]) => {
+                if (dataValue !== null && dataValue !== undefined) element.dataset[key] = dataValue;
+            });
+        } else {
+            element.setAttribute(name, value === true ? '' : value);
+        }
+    });
+    return element;
+}
+
+function appendChildren(element, children) {
+    element.append(...children.flat(Infinity).filter(child => child !== null && child !== undefined && child !== false && child !== '')
+        .map(child => (typeof child === 'object' ? child : String(child))));
+    return element;
+}
+
+function h(tagName, attributes = {}, ...children) {
+    return appendChildren(setElementAttributes(document.createElement(tagName), attributes), children);
+}
+
+function svg(tagName, attributes = {}, ...children) {
+    return appendChildren(setElementAttributes(document.createElementNS(SVG_NAMESPACE, tagName), attributes), children);
+}
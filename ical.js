@@ -0,0 +1,212 @@
+// iCalendar (RFC 5545) helpers
+// Tasks become all-day VTODOs and projects all-day VEVENTs. UIDs are derived
+// from record ids, so re-exporting updates entries instead of duplicating them.
+// Loaded by index.html and required by server/index.js for the calendar feed.
+
+const ICAL_UID_DOMAIN = 'projectflow';
+const ICAL_PRIORITIES = { high: 1, medium: 5, low: 9 };
+
+function escapeICalText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeICalText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldICalLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (encoder.encode(current + char).length > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function toICalDate(dateString) {
+    return dateString.replace(/-/g, '');
+}
+
+function nextICalDate(dateString) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + 1);
+    return toICalDate(date.toISOString().split('T')[0]);
+}
+
+// Done columns of the project workflow are COMPLETED, its first column
+// NEEDS-ACTION and every column in between IN-PROCESS
+function toICalTodoStatus(status, workflow) {
+    const index = workflow.findIndex(column => column.id === status);
+    if (index === -1) return 'NEEDS-ACTION';
+    if (workflow[index].done) return 'COMPLETED';
+    return index === 0 ? 'NEEDS-ACTION' : 'IN-PROCESS';
+}
+
+function toICalTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Builds a VCALENDAR for every project and task that has a due date
+function buildICalendar(projects, tasks, now = new Date()) {
+    const stamp = toICalTimestamp(now);
+    const projectNames = new Map(projects.map(project => [project.id, project.name]));
+    const workflows = new Map(projects.map(project => [project.id, project.workflow || []]));
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//ProjectFlow//ProjectFlow//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:ProjectFlow'
+    ];
+
+    projects.filter(project => project.dueDate).forEach(project => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${project.id}@${ICAL_UID_DOMAIN}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${toICalDate(project.dueDate)}`,
+            `DTEND;VALUE=DATE:${nextICalDate(project.dueDate)}`,
+            `SUMMARY:${escapeICalText(`${project.name} (project due)`)}`,
+            `DESCRIPTION:${escapeICalText(project.description)}`,
+            `STATUS:${project.status === 'on-hold' ? 'TENTATIVE' : 'CONFIRMED'}`,
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT'
+        );
+    });
+
+    tasks.filter(task => task.dueDate).forEach(task => {
+        const status = toICalTodoStatus(task.status, workflows.get(task.projectId) || []);
+        lines.push(
+            'BEGIN:VTODO',
+            `UID:${task.id}@${ICAL_UID_DOMAIN}`,
+            `DTSTAMP:${stamp}`
+        );
+        // DUE has to be later than DTSTART, so a task starting on its due
+        // date is exported with the due date alone
+        if (task.startDate && task.startDate < task.dueDate) {
+            lines.push(`DTSTART;VALUE=DATE:${toICalDate(task.startDate)}`);
+        }
+        lines.push(
+            `DUE;VALUE=DATE:${toICalDate(task.dueDate)}`,
+            `SUMMARY:${escapeICalText(task.title)}`,
+            `DESCRIPTION:${escapeICalText(task.description)}`,
+            `PRIORITY:${ICAL_PRIORITIES[task.priority] || 0}`,
+            `STATUS:${status}`
+        );
+        if (status === 'COMPLETED') {
+            lines.push('PERCENT-COMPLETE:100');
+        }
+        if (projectNames.has(task.projectId)) {
+            lines.push(`CATEGORIES:${escapeICalText(projectNames.get(task.projectId))}`);
+        }
+        if (task.parentId) {
+            lines.push(`RELATED-TO:${task.parentId}@${ICAL_UID_DOMAIN}`);
+        }
+        lines.push('END:VTODO');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICalLine).join('\r\n') + '\r\n';
+}
+
+// Splits a content line into its name, parameters and value with one pass:
+// the value starts at the first colon outside a quoted parameter value. A
+// line with an unbalanced quote falls back to its first colon.
+function splitICalLine(line) {
+    const parts = [];
+    let start = 0;
+    let quoted = false;
+    let separator = -1;
+    for (let i = 0; i < line.length && separator === -1; i++) {
+        const char = line[i];
+        if (char === '"') {
+            quoted = !quoted;
+        } else if (!quoted && char === ';') {
+            parts.push(line.slice(start, i));
+            start = i + 1;
+        } else if (!quoted && char === ':') {
+            parts.push(line.slice(start, i));
+            separator = i;
+        }
+    }
+    if (separator === -1) {
+        separator = line.indexOf(':');
+        if (separator === -1) return null;
+        return { name: line.slice(0, separator).split(';')[0], paramParts: [], value: line.slice(separator + 1) };
+    }
+
+    const [name, ...paramParts] = parts;
+    return { name, paramParts, value: line.slice(separator + 1) };
+}
+
+// Returns the VEVENT and VTODO components of a calendar as
+// { type, properties: { NAME: { value, params } } }
+function parseICalendar(text) {
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+        throw new Error('File is not an iCalendar file');
+    }
+
+    const components = [];
+    let current = null;
+    // Nested components such as VALARM are skipped
+    let depth = 0;
+
+    lines.forEach(line => {
+        const contentLine = splitICalLine(line);
+        if (!contentLine) return;
+
+        const { name, paramParts, value } = contentLine;
+        const upperName = name.toUpperCase();
+
+        if (upperName === 'BEGIN') {
+            const type = value.trim().toUpperCase();
+            if (!current && (type === 'VEVENT' || type === 'VTODO')) {
+                current = { type, properties: {} };
+            } else if (current) {
+                depth++;
+            }
+        } else if (upperName === 'END' && current) {
+            if (depth > 0) {
+                depth--;
+            } else {
+                components.push(current);
+                current = null;
+            }
+        } else if (current && depth === 0 && !current.properties[upperName]) {
+            const params = {};
+            paramParts.forEach(part => {
+                const equals = part.indexOf('=');
+                const key = equals === -1 ? part : part.slice(0, equals);
+                const paramValue = equals === -1 ? '' : part.slice(equals + 1);
+                params[key.toUpperCase()] = paramValue.replace(/^"|"$/g, '');
+            });
+            current.properties[upperName] = { value, params };
+        }
+    });
+
+    return components;
+}
+
+// Reads the calendar date (YYYY-MM-DD) from DATE or DATE-TIME values
+function fromICalDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : '';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { buildICalendar, parseICalendar, fromICalDate, unescapeICalText, foldICalLine };
+}
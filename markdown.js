@@ -0,0 +1,141 @@
+// Markdown subset for comments and descriptions
+// Supports paragraphs, # headings (levels 1-3), > quotes, - and 1. lists,
+// - [ ] / - [x] checkboxes, ``` code blocks, **bold**, *italic*, `code`,
+// [links](https://...) and bare URLs. Output is built as DOM nodes, never as
+// HTML, so the text cannot inject markup. Links only keep http(s) and mailto
+// addresses.
+
+const MARKDOWN_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function safeMarkdownUrl(url) {
+    const protocol = (url.match(/^([a-z][a-z0-9+.-]*:)/i) || [])[1];
+    return protocol && MARKDOWN_LINK_PROTOCOLS.includes(protocol.toLowerCase()) ? url : null;
+}
+
+// Appends inline markup to parent. Names in options.mentions are marked
+// where they follow an @. With options.references, each #id is passed to it
+// and replaced by the node it returns, or kept as text when it returns null.
+function appendMarkdownInline(parent, text, options = {}) {
+    const mentions = (options.mentions || []).filter(Boolean).sort((a, b) => b.length - a.length);
+    const mentionPattern = mentions.length > 0 ? `|(?<mentionBefore>^|[^\\w@])@(?<mention>${mentions.map(escapeRegExp).join('|')})(?!\\w)` : '';
+    const referencePattern = options.references ? '|(?<referenceBefore>^|[^\\w&/#])#(?<reference>[\\w-]*\\w)' : '';
+    const tokens = new RegExp(`\`([^\`]+)\`|\\*\\*(.+?)\\*\\*|\\*([^*\\s][^*]*?)\\*|_([^_\\s][^_]*?)_(?!\\w)|\\[([^\\]]+)\\]\\(([^)\\s]+)\\)|(https?:\\/\\/[^\\s<]+[^\\s<.,;:!?)])${mentionPattern}${referencePattern}`, 'gi');
+    const doc = parent.ownerDocument;
+    let position = 0;
+
+    for (const match of text.matchAll(tokens)) {
+        const [whole, code, bold, italic, underscored, label, url, bareUrl] = match;
+        const { mentionBefore, mention, referenceBefore, reference } = match.groups || {};
+        const start = match.index + (mentionBefore || referenceBefore || '').length;
+        if (start > position) parent.appendChild(doc.createTextNode(text.slice(position, start)));
+        position = match.index + whole.length;
+
+        if (code !== undefined) {
+            const element = doc.createElement('code');
+            element.textContent = code;
+            parent.appendChild(element);
+        } else if (bold !== undefined || italic !== undefined || underscored !== undefined) {
+            const element = doc.createElement(bold !== undefined ? 'strong' : 'em');
+            appendMarkdownInline(element, bold !== undefined ? bold : italic !== undefined ? italic : underscored, options);
+            parent.appendChild(element);
+        } else if (label !== undefined || bareUrl !== undefined) {
+            const href = safeMarkdownUrl(label !== undefined ? url : bareUrl);
+            if (!href) {
+                parent.appendChild(doc.createTextNode(whole));
+                continue;
+            }
+            const element = doc.createElement('a');
+            element.href = href;
+            element.target = '_blank';
+            element.rel = 'noopener noreferrer';
+            element.textContent = label !== undefined ? label : bareUrl;
+            parent.appendChild(element);
+        } else if (reference !== undefined) {
+            parent.appendChild(options.references(reference) || doc.createTextNode(`#${reference}`));
+        } else {
+            const element = doc.createElement('span');
+            element.className = 'mention';
+            element.textContent = `@${mention}`;
+            parent.appendChild(element);
+        }
+    }
+
+    if (position < text.length) parent.appendChild(doc.createTextNode(text.slice(position)));
+}
+
+// Returns a DocumentFragment with the rendered text
+function renderMarkdown(text, options = {}, doc = document) {
+    const fragment = doc.createDocumentFragment();
+    const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+
+    for (let index = 0; index < lines.length;) {
+        const line = lines[index];
+
+        if (!line.trim()) {
+            index++;
+        } else if (/^\s*```/.test(line)) {
+            const code = [];
+            for (index++; index < lines.length && !/^\s*```/.test(lines[index]); index++) code.push(lines[index]);
+            index++;
+            const pre = doc.createElement('pre');
+            const element = doc.createElement('code');
+            element.textContent = code.join('\n');
+            pre.appendChild(element);
+            fragment.appendChild(pre);
+        } else if (/^\s*#{1,3}\s/.test(line)) {
+            const [, hashes, heading] = line.match(/^\s*(#{1,3})\s+(.*)$/);
+            // Levels start at h4 so comments stay below the headings around them
+            const element = doc.createElement(`h${hashes.length + 3}`);
+            appendMarkdownInline(element, heading, options);
+            fragment.appendChild(element);
+            index++;
+        } else if (/^\s*>/.test(line)) {
+            const quoted = [];
+            for (; index < lines.length && /^\s*>/.test(lines[index]); index++) quoted.push(lines[index].replace(/^\s*>\s?/, ''));
+            const element = doc.createElement('blockquote');
+            element.appendChild(renderMarkdown(quoted.join('\n'), options, doc));
+            fragment.appendChild(element);
+        } else if (/^\s*([-*+]|\d+[.)])\s/.test(line)) {
+            const ordered = /^\s*\d/.test(line);
+            const itemPattern = ordered ? /^\s*\d+[.)]\s+/ : /^\s*[-*+]\s+/;
+            const list = doc.createElement(ordered ? 'ol' : 'ul');
+            for (; index < lines.length && itemPattern.test(lines[index]); index++) {
+                const item = doc.createElement('li');
+                const content = lines[index].replace(itemPattern, '');
+                const checkbox = ordered ? null : content.match(/^\[([ xX])\]\s+(.*)$/);
+                if (checkbox) {
+                    // Checkboxes show progress; they are ticked by editing the text
+                    const input = doc.createElement('input');
+                    input.type = 'checkbox';
+                    input.checked = checkbox[1] !== ' ';
+                    input.disabled = true;
+                    item.className = 'task-list-item';
+                    item.appendChild(input);
+                    appendMarkdownInline(item, checkbox[2], options);
+                } else {
+                    appendMarkdownInline(item, content, options);
+                }
+                list.appendChild(item);
+            }
+            fragment.appendChild(list);
+        } else {
+            const paragraph = [];
+            for (; index < lines.length && lines[index].trim() && !/^\s*(```|#{1,3}\s|>|([-*+]|\d+[.)])\s)/.test(lines[index]); index++) {
+                paragraph.push(lines[index]);
+            }
+            // Single line breaks are kept, as comments are usually typed that way
+            const element = doc.createElement('p');
+            paragraph.forEach((paragraphLine, lineIndex) => {
+                if (lineIndex > 0) element.appendChild(doc.createElement('br'));
+                appendMarkdownInline(element, paragraphLine, options);
+            });
+            fragment.appendChild(element);
+        }
+    }
+
+    return fragment;
+}
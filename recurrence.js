@@ -0,0 +1,157 @@
+// Recurrence rules for repeating tasks
+// A rule is stored on the task as
+//   { frequency, interval, weekdays, monthlyBy, anchorDate, until, count, occurrence, nextTaskId }
+// where weekdays (0 = Sunday) apply to weekly rules, monthlyBy ('day' or
+// 'weekday') to monthly ones, and anchorDate is the due date the pattern was
+// set from. Occurrences are created one at a time when the previous one is
+// completed; occurrence counts them and nextTaskId points at the successor.
+// Loaded by index.html and required by server/repository.js for validation.
+
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const RECURRENCE_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const RECURRENCE_ORDINALS = ['1st', '2nd', '3rd', '4th', 'last'];
+
+function toRecurrenceDate(date) {
+    return new Date(`${date}T00:00:00Z`);
+}
+
+function fromRecurrenceDate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+function daysInRecurrenceMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// Which of the month's Mondays (or whichever weekday it is) a date falls on:
+// 0 for the first, up to 3 for the fourth, and 4 for a fifth, which repeats
+// as the last as not every month has one. A fourth stays the fourth even
+// when it is the month's last, so the 4th Thursday of November keeps
+// falling on the 4th.
+function weekdayOrdinal(date) {
+    return Math.min(Math.floor((date.getUTCDate() - 1) / 7), 4);
+}
+
+// Sunday of the week a date falls in
+function startOfRecurrenceWeek(date) {
+    const start = new Date(date);
+    start.setUTCDate(start.getUTCDate() - start.getUTCDay());
+    return start;
+}
+
+// Returns the first occurrence after date, ignoring the end of the series
+function stepRecurrence(rule, date) {
+    const current = toRecurrenceDate(date);
+    const anchor = toRecurrenceDate(rule.anchorDate || date);
+
+    if (rule.frequency === 'daily') {
+        current.setUTCDate(current.getUTCDate() + rule.interval);
+        return fromRecurrenceDate(current);
+    }
+
+    // Weekly: the chosen weekdays of every interval-th week, counted from
+    // the week of the first chosen weekday on or after the anchor. A due date
+    // on a day that is not chosen moves to the next chosen one.
+    if (rule.frequency === 'weekly') {
+        const first = new Date(anchor);
+        while (!rule.weekdays.includes(first.getUTCDay())) first.setUTCDate(first.getUTCDate() + 1);
+        const firstWeek = startOfRecurrenceWeek(first);
+        const inCycle = value => {
+            const weeks = Math.round((startOfRecurrenceWeek(value) - firstWeek) / (7 * 24 * 60 * 60 * 1000));
+            return (weeks % rule.interval + rule.interval) % rule.interval === 0;
+        };
+        do {
+            current.setUTCDate(current.getUTCDate() + 1);
+        } while (!rule.weekdays.includes(current.getUTCDay()) || !inCycle(current));
+        return fromRecurrenceDate(current);
+    }
+
+    // Monthly: the anchor's day of month (clamped to shorter months), or the
+    // same ordinal weekday as the anchor, e.g. the 2nd Tuesday
+    const year = current.getUTCFullYear();
+    const month = current.getUTCMonth() + rule.interval;
+    const length = daysInRecurrenceMonth(year, month);
+    if (rule.monthlyBy === 'weekday') {
+        const first = new Date(Date.UTC(year, month, 1));
+        const firstMatch = 1 + (anchor.getUTCDay() - first.getUTCDay() + 7) % 7;
+        const ordinal = weekdayOrdinal(anchor);
+        const day = ordinal === 4 ? firstMatch + 7 * Math.floor((length - firstMatch) / 7) : firstMatch + 7 * ordinal;
+        return fromRecurrenceDate(new Date(Date.UTC(year, month, day)));
+    }
+    return fromRecurrenceDate(new Date(Date.UTC(year, month, Math.min(anchor.getUTCDate(), length))));
+}
+
+// Returns the date of the occurrence after the given one, or null once the
+// series has ended
+function nextRecurrenceDate(rule, date, occurrence = rule.occurrence) {
+    if (rule.count && occurrence >= rule.count) return null;
+    const next = stepRecurrence(rule, date);
+    return rule.until && next > rule.until ? null : next;
+}
+
+// Lists the dates of the occurrences after the given one up to endDate,
+// leaving out those before startDate. A long-overdue task would otherwise
+// use up the limit on dates nobody asked for, so daily rules jump straight
+// to the window and the others step through it without collecting.
+function listRecurrenceDates(rule, date, endDate, limit = 1000, startDate = '') {
+    const dates = [];
+    let occurrence = rule.occurrence;
+    if (rule.frequency === 'daily' && startDate > date) {
+        const days = Math.round((toRecurrenceDate(startDate) - toRecurrenceDate(date)) / (24 * 60 * 60 * 1000));
+        const skipped = Math.max(Math.ceil(days / rule.interval) - 1, 0);
+        const current = toRecurrenceDate(date);
+        current.setUTCDate(current.getUTCDate() + skipped * rule.interval);
+        date = fromRecurrenceDate(current);
+        occurrence += skipped;
+    }
+    for (let next = nextRecurrenceDate(rule, date, occurrence); next && next <= endDate && dates.length < limit;) {
+        if (next >= startDate) dates.push(next);
+        occurrence += 1;
+        next = nextRecurrenceDate(rule, next, occurrence);
+    }
+    return dates;
+}
+
+function describeRecurrence(rule) {
+    const units = { daily: 'day', weekly: 'week', monthly: 'month' };
+    const parts = [rule.interval === 1 ? `Every ${units[rule.frequency]}` : `Every ${rule.interval} ${units[rule.frequency]}s`];
+    const anchor = toRecurrenceDate(rule.anchorDate);
+
+    if (rule.frequency === 'weekly') {
+        parts.push(`on ${[...rule.weekdays].sort((a, b) => a - b).map(day => RECURRENCE_WEEKDAYS[day]).join(', ')}`);
+    } else if (rule.frequency === 'monthly' && rule.monthlyBy === 'weekday') {
+        parts.push(`on the ${RECURRENCE_ORDINALS[weekdayOrdinal(anchor)]} ${RECURRENCE_WEEKDAYS[anchor.getUTCDay()]}`);
+    } else if (rule.frequency === 'monthly') {
+        parts.push(`on day ${anchor.getUTCDate()}`);
+    }
+
+    const ends = [rule.until ? `until ${rule.until}` : '', rule.count ? `${rule.count} times` : ''].filter(Boolean);
+    return [parts.join(' '), ...ends].join(', ');
+}
+
+// Returns a list of problems with a rule; empty when it is valid
+function validateRecurrence(rule) {
+    if (!rule || typeof rule !== 'object') return ['not an object'];
+
+    const isDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(toRecurrenceDate(value).getTime());
+    const problems = [];
+    if (!RECURRENCE_FREQUENCIES.includes(rule.frequency)) problems.push(`invalid frequency "${rule.frequency}"`);
+    if (!Number.isInteger(rule.interval) || rule.interval < 1) problems.push('interval must be a positive whole number');
+    if (rule.frequency === 'weekly' && !(Array.isArray(rule.weekdays) && rule.weekdays.length > 0 &&
+        rule.weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+        problems.push('weekly rules need at least one weekday');
+    }
+    if (rule.frequency === 'monthly' && !['day', 'weekday'].includes(rule.monthlyBy)) {
+        problems.push(`invalid monthly option "${rule.monthlyBy}"`);
+    }
+    if (!isDate(rule.anchorDate)) problems.push('invalid anchor date');
+    if (rule.until !== '' && !isDate(rule.until)) problems.push(`invalid end date "${rule.until}"`);
+    if (rule.count !== null && !(Number.isInteger(rule.count) && rule.count > 0)) problems.push('count must be a positive whole number or null');
+    if (!Number.isInteger(rule.occurrence) || rule.occurrence < 1) problems.push('occurrence must be a positive whole number');
+    if (typeof rule.nextTaskId !== 'string') problems.push('nextTaskId must be text');
+    return problems;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { nextRecurrenceDate, listRecurrenceDates, describeRecurrence, validateRecurrence };
+}
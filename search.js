@@ -0,0 +1,133 @@
+// Search query language for the global search box
+// A query is free text plus field qualifiers, for example
+//   wireframes project:"Website Redesign" priority:high status:todo due:<2025-07-01
+// Every free-text term (quote it to search for a phrase) must appear in the
+// title or description. Text qualifiers match without case: project and
+// assignee match part of a name, the others the whole value. Date qualifiers
+// take YYYY-MM-DD or "today", optionally after <, <=, > or >=, and "none"
+// matches records without that date.
+
+const SEARCH_TEXT_FIELDS = ['type', 'project', 'priority', 'status', 'assignee'];
+const SEARCH_PARTIAL_FIELDS = ['project', 'assignee'];
+const SEARCH_DATE_FIELDS = ['due', 'start'];
+const SEARCH_TYPES = ['project', 'task'];
+
+// Returns { terms, qualifiers, problems }. Terms are lowercase; qualifiers are
+// { field, op, value } with op '' for text fields.
+function parseSearchQuery(query) {
+    const terms = [];
+    const qualifiers = [];
+    const problems = [];
+    const tokens = /(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+    for (const [, name, quoted, bare] of query.matchAll(tokens)) {
+        const value = (quoted !== undefined ? quoted : bare).trim().toLowerCase();
+        const field = name ? name.toLowerCase() : '';
+
+        if (!field) {
+            if (value) terms.push(value);
+        } else if (SEARCH_TEXT_FIELDS.includes(field)) {
+            if (field === 'type' && !SEARCH_TYPES.includes(value.replace(/s$/, ''))) {
+                problems.push(`type: expected "project" or "task", not "${value}"`);
+            } else if (value) {
+                qualifiers.push({ field, op: '', value: field === 'type' ? value.replace(/s$/, '') : value });
+            }
+        } else if (SEARCH_DATE_FIELDS.includes(field)) {
+            const [, op, date] = value.match(/^(<=|>=|<|>|=)?(.*)$/);
+            const resolved = date === 'today' ? new Date().toISOString().split('T')[0] : date;
+            if (resolved === 'none' && !op) {
+                qualifiers.push({ field, op: '=', value: '' });
+            } else if (/^\d{4}-\d{2}-\d{2}$/.test(resolved) && !Number.isNaN(Date.parse(resolved))) {
+                qualifiers.push({ field, op: op || '=', value: resolved });
+            } else {
+                problems.push(`${field}: expected a date such as 2025-07-01, "today" or "none", not "${value}"`);
+            }
+        } else {
+            problems.push(`unknown field "${field}"; use ${[...SEARCH_TEXT_FIELDS, ...SEARCH_DATE_FIELDS].join(', ')}`);
+        }
+    }
+
+    return { terms, qualifiers, problems };
+}
+
+function matchesSearchQualifier(record, { field, op, value }) {
+    if (SEARCH_DATE_FIELDS.includes(field)) {
+        const date = record.fields[field];
+        if (value === '') return date === '';
+        if (!date) return false;
+        return op === '<' ? date < value
+            : op === '<=' ? date <= value
+            : op === '>' ? date > value
+            : op === '>=' ? date >= value
+            : date === value;
+    }
+
+    const candidates = field === 'type' ? [record.type] : record.fields[field];
+    if (!candidates) return false;
+    return candidates.some(candidate => (SEARCH_PARTIAL_FIELDS.includes(field) ? candidate.includes(value) : candidate === value));
+}
+
+// Scores a record of the form
+//   { type, title, description, fields: { project: [...], due: '2025-07-01', ... } }
+// where text fields list lowercase values. Returns null when it does not
+// match. Title matches count for more than description matches, and more
+// again at the start of the title or of a word.
+function scoreSearchRecord(record, query) {
+    if (!query.qualifiers.every(qualifier => matchesSearchQualifier(record, qualifier))) return null;
+
+    const title = record.title.toLowerCase();
+    const description = record.description.toLowerCase();
+    let score = 0;
+    for (const term of query.terms) {
+        const index = title.indexOf(term);
+        if (index === 0) {
+            score += title === term ? 30 : 16;
+        } else if (index > 0) {
+            score += /\W/.test(title[index - 1]) ? 13 : 10;
+        } else if (description.includes(term)) {
+            score += 2;
+        } else {
+            return null;
+        }
+    }
+    return score;
+}
+
+// Splits text into [{ text, match }] segments so matched terms can be marked
+function highlightSearchText(text, terms) {
+    const lower = text.toLowerCase();
+    const ranges = [];
+    terms.filter(Boolean).forEach(term => {
+        for (let index = lower.indexOf(term); index !== -1; index = lower.indexOf(term, index + term.length)) {
+            ranges.push([index, index + term.length]);
+        }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    const segments = [];
+    let position = 0;
+    ranges.forEach(([start, end]) => {
+        if (end <= position) return;
+        // Overlapping or touching matches are marked as one
+        const last = segments[segments.length - 1];
+        if (start <= position && last && last.match) {
+            last.text += text.slice(position, end);
+        } else {
+            if (start > position) segments.push({ text: text.slice(position, start), match: false });
+            segments.push({ text: text.slice(start, end), match: true });
+        }
+        position = end;
+    });
+    if (position < text.length) segments.push({ text: text.slice(position), match: false });
+    return segments;
+}
+
+// Shortens text to about length characters around its first matched term
+function searchSnippet(text, terms, length = 120) {
+    if (text.length <= length) return text;
+
+    const lower = text.toLowerCase();
+    const first = Math.min(...terms.map(term => lower.indexOf(term)).filter(index => index !== -1), text.length);
+    const start = first === text.length ? 0 : Math.max(0, Math.min(first - 30, text.length - length));
+    return `${start > 0 ? '…' : ''}${text.slice(start, start + length).trim()}${start + length < text.length ? '…' : ''}`;
+}
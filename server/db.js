@@ -0,0 +1,87 @@
+// SQLite access for the ProjectFlow API server
+const { AsyncLocalStorage } = require('async_hooks');
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'supabase', 'migrations');
+// The Database whose transaction the current call runs in, if any
+const transactionScope = new AsyncLocalStorage();
+
+class Database {
+    constructor(filename) {
+        this.filename = filename;
+        this.db = null;
+        this.queue = Promise.resolve();
+    }
+
+    open() {
+        if (this.filename !== ':memory:') {
+            fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+        }
+
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.filename, (error) => {
+                if (error) return reject(error);
+                resolve(this);
+            });
+        }).then(() => this.exec('PRAGMA foreign_keys = ON;'))
+          .then(() => this);
+    }
+
+    close() {
+        return new Promise((resolve, reject) => {
+            this.db.close((error) => (error ? reject(error) : resolve()));
+        });
+    }
+
+    exec(sql) {
+        return new Promise((resolve, reject) => {
+            this.db.exec(sql, (error) => (error ? reject(error) : resolve()));
+        });
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function (error) {
+                if (error) return reject(error);
+                resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (error, row) => (error ? reject(error) : resolve(row)));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (error, rows) => (error ? reject(error) : resolve(rows)));
+        });
+    }
+
+    // Runs fn inside BEGIN ... COMMIT, or rolls back everything it wrote when
+    // it throws. The connection has one transaction at a time, so the next
+    // waits for this one to finish; calls made from within fn join it.
+    transaction(fn) {
+        if (transactionScope.getStore() === this) return fn();
+
+        const result = this.queue.then(() => transactionScope.run(this, async () => {
+            await this.exec('BEGIN;');
+            try {
+                const value = await fn();
+                await this.exec('COMMIT;');
+                return value;
+            } catch (error) {
+                await this.exec('ROLLBACK;').catch(() => {});
+                throw error;
+            }
+        }));
+        this.queue = result.catch(() => {});
+        return result;
+    }
+}
+
+module.exports = { Database, MIGRATIONS_DIR };
@@ -0,0 +1,400 @@
+// ProjectFlow API server
+// Serves CRUD routes for members, projects, tasks, comments and attachments
+// from SQLite, the attachments' file contents, an append-only activity log,
+// and the static app shell so a team can point their browsers at one shared
+// instance.
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { Database } = require('./db');
+const { migrate } = require('./migrate');
+const { Repository, ValidationError, ATTACHMENT_MAX_BYTES, BATCH_COLLECTIONS } = require('./repository');
+const { buildICalendar } = require('../ical');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const PORT = Number(process.env.PORT) || 3001;
+// Only this machine can connect unless HOST says otherwise, which needs a
+// PROJECTFLOW_TOKEN (see start())
+const HOST = process.env.HOST || '127.0.0.1';
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+// An app served from another origin (e.g. `npm start`); by default only pages
+// served by this server can use the API
+const ALLOWED_ORIGIN = process.env.PROJECTFLOW_ALLOWED_ORIGIN || '';
+// Shared secret that writes must send in the X-ProjectFlow-Token header
+const API_TOKEN = process.env.PROJECTFLOW_TOKEN || '';
+const DB_FILE = process.env.PROJECTFLOW_DB || path.join(ROOT_DIR, 'data', 'projectflow.sqlite');
+const MAX_BODY_BYTES = 1024 * 1024;
+// Batches carry whole imports, so they may be larger
+const MAX_BATCH_BODY_BYTES = 32 * 1024 * 1024;
+
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.svg': 'image/svg+xml'
+};
+// The only files served outside /api: the app shell, matching SHELL_FILES in
+// sw.js, and the service worker itself. Anything else in the project
+// directory (package files, the server, migrations, data) is never served.
+const STATIC_FILES = [
+    'index.html',
+    'style.css',
+    'storage.js',
+    'csv.js',
+    'ical.js',
+    'recurrence.js',
+    'search.js',
+    'markdown.js',
+    'dom.js',
+    'app.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-maskable.svg',
+    'sw.js'
+];
+
+// Whether a request's Origin header names this server itself
+function isSameOrigin(req, origin) {
+    try {
+        return new URL(origin).host === req.headers.host;
+    } catch (error) {
+        return false;
+    }
+}
+
+function tokenMatches(sent, token) {
+    const expected = Buffer.from(token);
+    const actual = Buffer.from(String(sent || ''));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function sendError(res, error) {
+    if (error.status) {
+        // A conflict sends the stored record along (see ConflictError)
+        sendJson(res, error.status, error.current ? { error: error.message, current: error.current } : { error: error.message });
+    } else {
+        console.error(error);
+        sendJson(res, 500, { error: 'Internal server error' });
+    }
+}
+
+// Percent-decodes part of a URL path; null when the encoding is malformed,
+// which decodeURIComponent() reports by throwing
+function decodePath(encoded) {
+    try {
+        return decodeURIComponent(encoded);
+    } catch (error) {
+        return null;
+    }
+}
+
+// A body over maxBytes is read to the end and dropped rather than cut off,
+// so the client still gets the 400 instead of a reset connection
+function readBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                chunks.length = 0;
+                reject(new ValidationError('Request body too large'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// Every JSON route takes one object (batches wrap their lists in one), so
+// anything else is refused here rather than failing later as a 500
+async function readJsonBody(req, maxBytes = MAX_BODY_BYTES) {
+    const body = await readBody(req, maxBytes);
+    if (body.length === 0) return {};
+    let value;
+    try {
+        value = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+        throw new ValidationError('Request body is not valid JSON');
+    }
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        throw new ValidationError('Request body must be a JSON object');
+    }
+    return value;
+}
+
+const batchCollections = Object.keys(BATCH_COLLECTIONS);
+const batchPattern = new RegExp(`^/api/(${batchCollections.join('|')})$`);
+const batchDeletePattern = new RegExp(`^/api/(${batchCollections.filter(name => BATCH_COLLECTIONS[name][1]).join('|')})$`);
+
+// Route table: [method, pattern, handler(repo, params, req, query)]
+const routes = [
+    ['GET', /^\/api\/health$/, async () => ({ status: 'ok' })],
+
+    ['GET', /^\/api\/members$/, (repo) => repo.listMembers()],
+    ['POST', /^\/api\/members$/, async (repo, params, req) => {
+        const { id, ...member } = await readJsonBody(req);
+        return [201, await repo.saveMember(member)];
+    }],
+    ['GET', /^\/api\/members\/([^/]+)$/, (repo, [id]) => repo.getMember(id)],
+    ['PUT', /^\/api\/members\/([^/]+)$/, async (repo, [id], req) => repo.saveMember({ ...(await readJsonBody(req)), id })],
+    ['DELETE', /^\/api\/members\/([^/]+)$/, async (repo, [id]) => [204, await repo.deleteMember(id)]],
+
+    ['GET', /^\/api\/projects$/, (repo) => repo.listProjects()],
+    ['POST', /^\/api\/projects$/, async (repo, params, req) => {
+        const { id, ...project } = await readJsonBody(req);
+        return [201, await repo.saveProject(project)];
+    }],
+    ['GET', /^\/api\/projects\/([^/]+)$/, (repo, [id]) => repo.getProject(id)],
+    ['PUT', /^\/api\/projects\/([^/]+)$/, async (repo, [id], req) => repo.saveProject({ ...(await readJsonBody(req)), id })],
+    ['DELETE', /^\/api\/projects\/([^/]+)$/, async (repo, [id]) => [204, await repo.deleteProject(id)]],
+
+    ['GET', /^\/api\/tasks$/, (repo, params, req, query) => repo.listTasks({
+        projectId: query.get('projectId'),
+        status: query.get('status'),
+        priority: query.get('priority')
+    })],
+    ['POST', /^\/api\/tasks$/, async (repo, params, req) => {
+        const { id, ...task } = await readJsonBody(req);
+        return [201, await repo.saveTask(task)];
+    }],
+    ['GET', /^\/api\/tasks\/([^/]+)$/, (repo, [id]) => repo.getTask(id)],
+    ['PUT', /^\/api\/tasks\/([^/]+)$/, async (repo, [id], req) => repo.saveTask({ ...(await readJsonBody(req)), id })],
+    ['DELETE', /^\/api\/tasks\/([^/]+)$/, async (repo, [id]) => [204, await repo.deleteTask(id)]],
+
+    ['GET', /^\/api\/comments$/, (repo, params, req, query) => repo.listComments({ taskId: query.get('taskId') })],
+    ['POST', /^\/api\/comments$/, async (repo, params, req) => {
+        const { id, ...comment } = await readJsonBody(req);
+        return [201, await repo.saveComment(comment)];
+    }],
+    ['GET', /^\/api\/comments\/([^/]+)$/, (repo, [id]) => repo.getComment(id)],
+    ['PUT', /^\/api\/comments\/([^/]+)$/, async (repo, [id], req) => repo.saveComment({ ...(await readJsonBody(req)), id })],
+    ['DELETE', /^\/api\/comments\/([^/]+)$/, async (repo, [id]) => [204, await repo.deleteComment(id)]],
+
+    ['GET', /^\/api\/attachments$/, (repo, params, req, query) => repo.listAttachments({ taskId: query.get('taskId') })],
+    ['POST', /^\/api\/attachments$/, async (repo, params, req) => {
+        const { id, ...attachment } = await readJsonBody(req);
+        return [201, await repo.saveAttachment(attachment)];
+    }],
+    ['GET', /^\/api\/attachments\/([^/]+)$/, (repo, [id]) => repo.getAttachment(id)],
+    ['PUT', /^\/api\/attachments\/([^/]+)$/, async (repo, [id], req) => repo.saveAttachment({ ...(await readJsonBody(req)), id })],
+    ['DELETE', /^\/api\/attachments\/([^/]+)$/, async (repo, [id]) => [204, await repo.deleteAttachment(id)]],
+
+    // File contents are sent as they are rather than as JSON (see serveBlob)
+    ['GET', /^\/api\/blobs$/, (repo) => repo.listBlobIds()],
+
+    // Events can be added but never changed or deleted
+    ['GET', /^\/api\/events$/, (repo) => repo.listEvents()],
+    ['PUT', /^\/api\/events\/([^/]+)$/, async (repo, [id], req) => repo.saveEvent({ ...(await readJsonBody(req)), id })],
+
+    ['GET', /^\/api\/meta\/([^/]+)$/, async (repo, [key]) => ({ key, value: await repo.getMeta(key) })],
+    ['PUT', /^\/api\/meta\/([^/]+)$/, async (repo, [key], req) => {
+        const { value } = await readJsonBody(req);
+        await repo.setMeta(key, value);
+        return { key, value };
+    }],
+
+    // Batches of one collection, applied all together or not at all:
+    // PUT { records: [...] } saves, DELETE { ids: [...] } deletes
+    ['PUT', batchPattern, async (repo, [collection], req) => {
+        const { records } = await readJsonBody(req, MAX_BATCH_BODY_BYTES);
+        return repo.saveAll(collection, records);
+    }],
+    ['DELETE', batchDeletePattern, async (repo, [collection], req) => {
+        const { ids } = await readJsonBody(req, MAX_BATCH_BODY_BYTES);
+        return [204, await repo.deleteAll(collection, ids)];
+    }]
+];
+
+async function handleApi(repo, req, res, url) {
+    const pathMatches = routes.filter(([, pattern]) => pattern.test(url.pathname));
+    if (pathMatches.length === 0) {
+        return sendJson(res, 404, { error: 'Not found' });
+    }
+
+    const route = pathMatches.find(([method]) => method === req.method);
+    if (!route) {
+        res.setHeader('Allow', pathMatches.map(([method]) => method).join(', '));
+        return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+
+    const [, pattern, handler] = route;
+    const params = pattern.exec(url.pathname).slice(1).map(decodePath);
+    if (params.includes(null)) {
+        return sendJson(res, 400, { error: 'Malformed URL' });
+    }
+
+    try {
+        const result = await handler(repo, params, req, url.searchParams);
+        const [status, body] = Array.isArray(result) && typeof result[0] === 'number' ? result : [200, result];
+        sendJson(res, status, status === 204 ? undefined : body);
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function serveBlob(repo, req, res, id) {
+    try {
+        if (req.method === 'GET') {
+            const blob = await repo.getBlob(id);
+            // Uploaded files share the app's origin, so they are never run as pages
+            res.writeHead(200, {
+                'Content-Type': blob.type,
+                'Content-Length': blob.data.length,
+                'Content-Security-Policy': 'sandbox',
+                'X-Content-Type-Options': 'nosniff'
+            });
+            return res.end(blob.data);
+        }
+        if (req.method === 'PUT') {
+            await repo.saveBlob(id, req.headers['content-type'], await readBody(req, ATTACHMENT_MAX_BYTES));
+            res.writeHead(204);
+            return res.end();
+        }
+        if (req.method === 'DELETE') {
+            await repo.deleteBlob(id);
+            res.writeHead(204);
+            return res.end();
+        }
+        res.setHeader('Allow', 'GET, PUT, DELETE');
+        sendJson(res, 405, { error: 'Method not allowed' });
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+async function serveCalendar(repo, res) {
+    try {
+        const [projects, tasks] = await Promise.all([repo.listProjects(), repo.listTasks()]);
+        res.writeHead(200, {
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'inline; filename="projectflow.ics"'
+        });
+        // Projects and tasks in the trash are left out of the feed
+        res.end(buildICalendar(projects.filter(project => !project.deletedAt), tasks.filter(task => !task.deletedAt)));
+    } catch (error) {
+        console.error(error);
+        sendJson(res, 500, { error: 'Internal server error' });
+    }
+}
+
+function serveStatic(req, res, url) {
+    const pathname = decodePath(url.pathname);
+    if (pathname === null) {
+        res.writeHead(404);
+        return res.end();
+    }
+
+    const file = pathname === '/' ? 'index.html' : pathname.slice(1);
+    if (!STATIC_FILES.includes(file)) {
+        res.writeHead(404);
+        return res.end();
+    }
+
+    const type = STATIC_TYPES[path.extname(file)];
+    fs.readFile(path.join(ROOT_DIR, file), (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(req.method === 'HEAD' ? undefined : content);
+    });
+}
+
+function createServer(repo, { allowedOrigin = ALLOWED_ORIGIN, token = API_TOKEN } = {}) {
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        const origin = req.headers.origin;
+
+        // Browsers let other origins read responses, or send anything but
+        // simple requests, only when allowed here
+        if (allowedOrigin) {
+            res.setHeader('Vary', 'Origin');
+            if (origin === allowedOrigin) {
+                res.setHeader('Access-Control-Allow-Origin', origin);
+                res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+                res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-ProjectFlow-Token');
+            }
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            return res.end();
+        }
+
+        // Browsers send Origin with every write, so a page elsewhere cannot
+        // post a simple form-like request either
+        if (url.pathname.startsWith('/api/') && !['GET', 'HEAD'].includes(req.method)) {
+            if (origin && origin !== allowedOrigin && !isSameOrigin(req, origin)) {
+                return sendJson(res, 403, { error: `Origin ${origin} is not allowed` });
+            }
+            if (token && !tokenMatches(req.headers['x-projectflow-token'], token)) {
+                return sendJson(res, 401, { error: 'Missing or wrong X-ProjectFlow-Token header' });
+            }
+        }
+
+        // Subscribable feed of every project and task due date
+        if (url.pathname === '/api/calendar.ics' && req.method === 'GET') {
+            return serveCalendar(repo, res);
+        }
+
+        const blobPath = url.pathname.match(/^\/api\/blobs\/([^/]+)$/);
+        if (blobPath) {
+            const id = decodePath(blobPath[1]);
+            return id === null ? sendJson(res, 400, { error: 'Malformed URL' }) : serveBlob(repo, req, res, id);
+        }
+
+        if (url.pathname.startsWith('/api/')) {
+            return handleApi(repo, req, res, url);
+        }
+
+        if (req.method === 'GET' || req.method === 'HEAD') {
+            return serveStatic(req, res, url);
+        }
+
+        res.writeHead(405);
+        res.end();
+    });
+}
+
+async function start() {
+    if (!API_TOKEN && !LOOPBACK_HOSTS.includes(HOST)) {
+        throw new Error(`Set PROJECTFLOW_TOKEN to accept connections from other machines (HOST=${HOST})`);
+    }
+
+    const db = await new Database(DB_FILE).open();
+    const applied = await migrate(db);
+    if (applied.length > 0) {
+        console.log(`Applied ${applied.length} migration(s) to ${DB_FILE}`);
+    }
+
+    const server = createServer(new Repository(db));
+    server.listen(PORT, HOST, () => {
+        console.log(`ProjectFlow server running at http://${HOST.includes(':') ? `[${HOST}]` : HOST}:${PORT}`);
+    });
+
+    const shutdown = () => {
+        server.close(() => db.close().finally(() => process.exit(0)));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    start().catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
+}
+
+module.exports = { createServer, start };
@@ -0,0 +1,111 @@
+// Versioned schema migrations
+// Every `<version>_<name>.sql` file in supabase/migrations is one migration.
+// Applied versions are recorded in schema_migrations, so each file runs
+// exactly once and in version order, each inside its own transaction.
+//
+// Usage: node server/migrate.js [up|status]
+const fs = require('fs');
+const path = require('path');
+const { Database, MIGRATIONS_DIR } = require('./db');
+
+const MIGRATION_FILE = /^(\d+)_(.+)\.sql$/;
+
+function listMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .map(file => MIGRATION_FILE.exec(file))
+        .filter(Boolean)
+        .map(([file, version, name]) => ({ version, name, file: path.join(dir, file) }))
+        .sort((a, b) => (BigInt(a.version) < BigInt(b.version) ? -1 : 1));
+
+    migrations.forEach((migration, i) => {
+        if (i > 0 && BigInt(migrations[i - 1].version) === BigInt(migration.version)) {
+            throw new Error(`Duplicate migration version ${migration.version}`);
+        }
+    });
+
+    return migrations;
+}
+
+async function appliedVersions(db, migrations) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+
+    let rows = await db.all('SELECT version FROM schema_migrations');
+
+    // Databases created by the first release of the API server (f3dc953),
+    // before this runner, have no schema_migrations; its runner counted the
+    // files it had applied, in file name order, in PRAGMA user_version.
+    // Those were the first files here, so record that many as applied.
+    // Every other database has a user_version of 0.
+    if (rows.length === 0) {
+        const { user_version: legacyCount } = await db.get('PRAGMA user_version');
+        for (const migration of migrations.slice(0, legacyCount)) {
+            await db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        }
+        rows = await db.all('SELECT version FROM schema_migrations');
+    }
+
+    return new Set(rows.map(row => row.version));
+}
+
+async function migrate(db, dir = MIGRATIONS_DIR) {
+    const migrations = listMigrations(dir);
+    const applied = await appliedVersions(db, migrations);
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+
+    for (const migration of pending) {
+        const sql = fs.readFileSync(migration.file, 'utf8');
+        try {
+            await db.exec(`BEGIN;\n${sql}\n;`);
+            await db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+            await db.exec('COMMIT;');
+        } catch (error) {
+            await db.exec('ROLLBACK;').catch(() => {});
+            throw new Error(`Migration ${path.basename(migration.file)} failed: ${error.message}`);
+        }
+    }
+
+    return pending;
+}
+
+async function status(db, dir = MIGRATIONS_DIR) {
+    const migrations = listMigrations(dir);
+    const applied = await appliedVersions(db, migrations);
+    return migrations.map(migration => ({ ...migration, applied: applied.has(migration.version) }));
+}
+
+async function main() {
+    const command = process.argv[2] || 'up';
+    const dbFile = process.env.PROJECTFLOW_DB || path.join(__dirname, '..', 'data', 'projectflow.sqlite');
+    const db = await new Database(dbFile).open();
+
+    try {
+        if (command === 'up') {
+            const applied = await migrate(db);
+            applied.forEach(migration => console.log(`Applied ${migration.version}_${migration.name}`));
+            console.log(applied.length ? `${applied.length} migration(s) applied` : 'Schema is up to date');
+        } else if (command === 'status') {
+            (await status(db)).forEach(migration => {
+                console.log(`${migration.applied ? '[x]' : '[ ]'} ${migration.version}_${migration.name}`);
+            });
+        } else {
+            throw new Error(`Unknown command "${command}". Use "up" or "status".`);
+        }
+    } finally {
+        await db.close();
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { listMigrations, migrate, status };
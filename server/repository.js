@@ -0,0 +1,886 @@
+// Maps between SQLite rows and the member/project/task objects used by app.js
+const { randomUUID } = require('crypto');
+const { validateRecurrence } = require('../recurrence');
+
+const PROJECT_STATUSES = ['active', 'completed', 'on-hold'];
+const TASK_PRIORITIES = ['high', 'medium', 'low'];
+// Workflow of projects saved without one, matching DEFAULT_WORKFLOW in app.js
+const DEFAULT_WORKFLOW = [
+    { id: 'todo', name: 'To Do', color: '#64748b', done: false, wipLimit: null },
+    { id: 'in-progress', name: 'In Progress', color: '#f59e0b', done: false, wipLimit: null },
+    { id: 'completed', name: 'Completed', color: '#22c55e', done: true, wipLimit: null }
+];
+// Gap between consecutive task ranks, matching RANK_STEP in app.js
+const RANK_STEP = 1024;
+// Loose check for member email addresses, matching EMAIL_PATTERN in app.js
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EVENT_RECORD_TYPES = ['member', 'project', 'task', 'comment', 'attachment'];
+const EVENT_ACTIONS = ['create', 'update', 'status', 'delete', 'restore', 'purge'];
+// Reminder times of day, matching REMINDER_TIME_PATTERN in app.js
+const REMINDER_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// Save and delete methods of each collection that can be written in batches
+// (see saveAll() and deleteAll()); events are never deleted
+const BATCH_COLLECTIONS = {
+    members: ['saveMember', 'deleteMember'],
+    projects: ['saveProject', 'deleteProject'],
+    tasks: ['saveTask', 'deleteTask'],
+    comments: ['saveComment', 'deleteComment'],
+    attachments: ['saveAttachment', 'deleteAttachment'],
+    events: ['saveEvent', null]
+};
+// Attachment limits, matching ATTACHMENT_MAX_BYTES and ATTACHMENT_QUOTA_BYTES in app.js
+const ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+const ATTACHMENT_QUOTA_BYTES = 100 * 1024 * 1024;
+
+class ValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ValidationError';
+        this.status = 400;
+    }
+}
+
+class NotFoundError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NotFoundError';
+        this.status = 404;
+    }
+}
+
+// A save carrying a revision must raise the stored one. A copy at or below
+// it was made before the record last changed (or alongside another save of
+// the same revision), and saving it would undo that change. current is the
+// stored record, so the client can take it in.
+class ConflictError extends Error {
+    constructor(message, current) {
+        super(message);
+        this.name = 'ConflictError';
+        this.status = 409;
+        this.current = current;
+    }
+}
+
+const today = () => new Date().toISOString().split('T')[0];
+// Ids for records created without one; random, as several clients may
+// create records in the same millisecond
+const newId = prefix => `${prefix}-${randomUUID()}`;
+
+function memberFromRow(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        email: row.email || '',
+        color: row.color,
+        createdDate: row.created_date,
+        revision: row.revision
+    };
+}
+
+function projectFromRow(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        description: row.description || '',
+        status: row.status,
+        startDate: row.start_date || '',
+        dueDate: row.due_date || '',
+        createdDate: row.created_date,
+        workflow: row.workflow ? JSON.parse(row.workflow) : DEFAULT_WORKFLOW,
+        archived: Boolean(row.archived),
+        deletedAt: row.deleted_at || '',
+        revision: row.revision
+    };
+}
+
+function taskFromRow(row, blockedBy = [], assignees = []) {
+    return {
+        id: row.id,
+        title: row.title,
+        description: row.description || '',
+        projectId: row.project_id,
+        priority: row.priority,
+        status: row.status,
+        startDate: row.start_date || '',
+        dueDate: row.due_date || '',
+        createdDate: row.created_date,
+        rank: row.rank,
+        parentId: row.parent_id || '',
+        checklist: JSON.parse(row.checklist || '[]'),
+        blockedBy,
+        recurrence: row.recurrence ? JSON.parse(row.recurrence) : null,
+        assignees,
+        reminders: JSON.parse(row.reminders || '[]'),
+        deletedAt: row.deleted_at || '',
+        revision: row.revision
+    };
+}
+
+function commentFromRow(row, mentions = []) {
+    return {
+        id: row.id,
+        taskId: row.task_id,
+        authorId: row.author_id || '',
+        body: row.body,
+        mentions,
+        createdAt: row.created_at,
+        editedAt: row.edited_at || '',
+        revision: row.revision
+    };
+}
+
+function attachmentFromRow(row) {
+    return {
+        id: row.id,
+        taskId: row.task_id,
+        name: row.name,
+        type: row.type,
+        size: row.size,
+        createdAt: row.created_at,
+        revision: row.revision
+    };
+}
+
+function eventFromRow(row) {
+    return {
+        id: row.id,
+        at: row.at,
+        recordType: row.record_type,
+        recordId: row.record_id,
+        name: row.name || '',
+        action: row.action,
+        changes: JSON.parse(row.changes || '[]')
+    };
+}
+
+function validateWorkflow(workflow) {
+    if (!Array.isArray(workflow) || workflow.length === 0) {
+        throw new ValidationError('Project workflow must have at least one status');
+    }
+
+    const ids = new Set();
+    const names = new Set();
+    workflow.forEach((status, index) => {
+        if (!status || typeof status.id !== 'string' || !status.id || ids.has(status.id)) {
+            throw new ValidationError(`Workflow status ${index + 1} needs a unique id`);
+        }
+        if (typeof status.name !== 'string' || !status.name.trim() || names.has(status.name.trim().toLowerCase())) {
+            throw new ValidationError(`Workflow status "${status.id}" needs a unique name`);
+        }
+        if (!/^#[0-9a-f]{6}$/i.test(status.color)) {
+            throw new ValidationError(`Workflow status "${status.id}" has an invalid color`);
+        }
+        if (typeof status.done !== 'boolean') {
+            throw new ValidationError(`Workflow status "${status.id}" done flag must be a boolean`);
+        }
+        if (status.wipLimit !== null && !(Number.isInteger(status.wipLimit) && status.wipLimit > 0)) {
+            throw new ValidationError(`Workflow status "${status.id}" WIP limit must be a positive integer or null`);
+        }
+        ids.add(status.id);
+        names.add(status.name.trim().toLowerCase());
+    });
+
+    if (!workflow.some(status => status.done)) {
+        throw new ValidationError('Project workflow needs at least one done status');
+    }
+}
+
+function validateMember(member) {
+    if (!member || typeof member.name !== 'string' || !member.name.trim()) {
+        throw new ValidationError('Member name is required');
+    }
+    if (member.email && !EMAIL_PATTERN.test(member.email)) {
+        throw new ValidationError(`Invalid member email "${member.email}"`);
+    }
+    if (!/^#[0-9a-f]{6}$/i.test(member.color)) {
+        throw new ValidationError('Member color must be a hex color such as #2563eb');
+    }
+    validateRevision(member.revision);
+}
+
+function validateProject(project) {
+    if (!project || typeof project.name !== 'string' || !project.name.trim()) {
+        throw new ValidationError('Project name is required');
+    }
+    if (project.status !== undefined && !PROJECT_STATUSES.includes(project.status)) {
+        throw new ValidationError(`Invalid project status "${project.status}"`);
+    }
+    if (project.workflow !== undefined) {
+        validateWorkflow(project.workflow);
+    }
+    if (project.startDate && project.dueDate && project.startDate > project.dueDate) {
+        throw new ValidationError('Project start date must be on or before its due date');
+    }
+    if (project.archived !== undefined && typeof project.archived !== 'boolean') {
+        throw new ValidationError('Project archived must be true or false');
+    }
+    validateDeletedAt(project.deletedAt);
+    validateRevision(project.revision);
+}
+
+// Revisions are counted by the app; records saved without one keep theirs
+function validateRevision(revision) {
+    if (revision !== undefined && !(Number.isInteger(revision) && revision >= 0)) {
+        throw new ValidationError(`Invalid revision "${revision}"`);
+    }
+}
+
+function validateDeletedAt(deletedAt) {
+    if (deletedAt && Number.isNaN(Date.parse(deletedAt))) {
+        throw new ValidationError(`Invalid deletedAt "${deletedAt}"`);
+    }
+}
+
+function validateComment(comment) {
+    if (!comment || typeof comment.body !== 'string' || !comment.body.trim()) {
+        throw new ValidationError('Comment text is required');
+    }
+    if (typeof comment.taskId !== 'string' || !comment.taskId) {
+        throw new ValidationError('Comment task id is required');
+    }
+    if (comment.mentions !== undefined && !(Array.isArray(comment.mentions) && comment.mentions.every(id => typeof id === 'string'))) {
+        throw new ValidationError('Comment mentions must be a list of member ids');
+    }
+    [['createdAt', comment.createdAt], ['editedAt', comment.editedAt]].forEach(([field, value]) => {
+        if (value && Number.isNaN(Date.parse(value))) {
+            throw new ValidationError(`Invalid comment ${field} "${value}"`);
+        }
+    });
+    validateRevision(comment.revision);
+}
+
+function validateAttachment(attachment) {
+    if (!attachment || typeof attachment.name !== 'string' || !attachment.name.trim()) {
+        throw new ValidationError('Attachment name is required');
+    }
+    if (typeof attachment.taskId !== 'string' || !attachment.taskId) {
+        throw new ValidationError('Attachment task id is required');
+    }
+    if (!Number.isInteger(attachment.size) || attachment.size < 0) {
+        throw new ValidationError(`Invalid attachment size "${attachment.size}"`);
+    }
+    if (attachment.createdAt && Number.isNaN(Date.parse(attachment.createdAt))) {
+        throw new ValidationError(`Invalid attachment createdAt "${attachment.createdAt}"`);
+    }
+    validateRevision(attachment.revision);
+}
+
+function validateEvent(event) {
+    if (!event || Number.isNaN(Date.parse(event.at))) {
+        throw new ValidationError('Event time must be an ISO date');
+    }
+    if (!EVENT_RECORD_TYPES.includes(event.recordType)) {
+        throw new ValidationError(`Invalid event record type "${event.recordType}"`);
+    }
+    if (typeof event.recordId !== 'string' || !event.recordId) {
+        throw new ValidationError('Event record id is required');
+    }
+    if (!EVENT_ACTIONS.includes(event.action)) {
+        throw new ValidationError(`Invalid event action "${event.action}"`);
+    }
+    if (event.changes !== undefined && (!Array.isArray(event.changes) || !event.changes.every(change => change && typeof change.field === 'string'))) {
+        throw new ValidationError('Event changes must be a list of { field, before, after }');
+    }
+}
+
+function validateTask(task) {
+    if (!task || typeof task.title !== 'string' || !task.title.trim()) {
+        throw new ValidationError('Task title is required');
+    }
+    if (!task.projectId) {
+        throw new ValidationError('Task projectId is required');
+    }
+    if (task.priority !== undefined && !TASK_PRIORITIES.includes(task.priority)) {
+        throw new ValidationError(`Invalid task priority "${task.priority}"`);
+    }
+    if (task.startDate && task.dueDate && task.startDate > task.dueDate) {
+        throw new ValidationError('Task start date must be on or before its due date');
+    }
+    if (task.rank !== undefined && !Number.isFinite(task.rank)) {
+        throw new ValidationError('Task rank must be a number');
+    }
+    if (task.checklist !== undefined && !(Array.isArray(task.checklist) && task.checklist.every(item =>
+        item && typeof item.id === 'string' && item.id && typeof item.text === 'string' && item.text.trim() && typeof item.done === 'boolean'))) {
+        throw new ValidationError('Task checklist must be a list of { id, text, done } items');
+    }
+    if (task.blockedBy !== undefined && !(Array.isArray(task.blockedBy) && task.blockedBy.every(id => typeof id === 'string' && id))) {
+        throw new ValidationError('Task blockedBy must be a list of task ids');
+    }
+    if (task.assignees !== undefined && !(Array.isArray(task.assignees) && task.assignees.every(id => typeof id === 'string' && id))) {
+        throw new ValidationError('Task assignees must be a list of member ids');
+    }
+    if (task.recurrence !== undefined && task.recurrence !== null) {
+        const problems = validateRecurrence(task.recurrence);
+        if (problems.length > 0) {
+            throw new ValidationError(`Task recurrence: ${problems[0]}`);
+        }
+        if (!task.dueDate) {
+            throw new ValidationError('Repeating tasks need a due date');
+        }
+    }
+    if (task.reminders !== undefined && !(Array.isArray(task.reminders) && task.reminders.every(reminder =>
+        reminder && Number.isInteger(reminder.daysBefore) && reminder.daysBefore >= 0 && REMINDER_TIME_PATTERN.test(reminder.time)))) {
+        throw new ValidationError('Task reminders must be a list of { daysBefore, time } items');
+    }
+    if (task.reminders && task.reminders.length > 0 && !task.dueDate) {
+        throw new ValidationError('Task reminders need a due date');
+    }
+    validateDeletedAt(task.deletedAt);
+    validateRevision(task.revision);
+}
+
+class Repository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Members
+    async listMembers() {
+        const rows = await this.db.all('SELECT * FROM members ORDER BY created_at, rowid');
+        return rows.map(memberFromRow);
+    }
+
+    async getMember(id) {
+        const row = await this.db.get('SELECT * FROM members WHERE id = ?', [id]);
+        if (!row) throw new NotFoundError(`Member "${id}" not found`);
+        return memberFromRow(row);
+    }
+
+    // Names must be unique as CSV imports pick assignees by name
+    async saveMember(member) {
+        validateMember(member);
+        return this.db.transaction(async () => {
+            const id = member.id || newId('member');
+            const namesake = await this.db.get('SELECT id FROM members WHERE LOWER(name) = LOWER(?) AND id <> ?', [member.name.trim(), id]);
+            if (namesake) throw new ValidationError(`A member named "${member.name.trim()}" already exists`);
+
+            const { changes } = await this.db.run(`
+                INSERT INTO members (id, name, email, color, created_date, revision)
+                VALUES (?, ?, ?, ?, ?, COALESCE(?6, 0))
+                ON CONFLICT(id) DO UPDATE SET
+                    name = excluded.name,
+                    email = excluded.email,
+                    color = excluded.color,
+                    revision = COALESCE(?6, revision)
+                WHERE ?6 IS NULL OR ?6 > revision
+            `, [
+                id,
+                member.name.trim(),
+                member.email || null,
+                member.color,
+                member.createdDate || today(),
+                member.revision === undefined ? null : member.revision
+            ]);
+            if (changes === 0) {
+                const current = await this.getMember(id);
+                throw new ConflictError(`Member "${id}" is already at revision ${current.revision}`, current);
+            }
+
+            return this.getMember(id);
+        });
+    }
+
+    async deleteMember(id) {
+        return this.db.transaction(async () => {
+            // Their assignments go with them through ON DELETE CASCADE
+            const { changes } = await this.db.run('DELETE FROM members WHERE id = ?', [id]);
+            if (!changes) throw new NotFoundError(`Member "${id}" not found`);
+        });
+    }
+
+    // Projects
+    async listProjects() {
+        const rows = await this.db.all('SELECT * FROM projects ORDER BY created_at, rowid');
+        return rows.map(projectFromRow);
+    }
+
+    async getProject(id) {
+        const row = await this.db.get('SELECT * FROM projects WHERE id = ?', [id]);
+        if (!row) throw new NotFoundError(`Project "${id}" not found`);
+        return projectFromRow(row);
+    }
+
+    async saveProject(project) {
+        validateProject(project);
+        return this.db.transaction(async () => {
+            const id = project.id || newId('proj');
+
+            // Projects saved without a workflow keep theirs, or get the default
+            const { changes } = await this.db.run(`
+                INSERT INTO projects (id, name, description, status, due_date, created_date, workflow, start_date, archived, deleted_at, revision)
+                VALUES (?, ?, ?, ?, ?, ?, COALESCE(?7, ?8), ?9, ?10, ?11, COALESCE(?12, 0))
+                ON CONFLICT(id) DO UPDATE SET
+                    name = excluded.name,
+                    description = excluded.description,
+                    status = excluded.status,
+                    due_date = excluded.due_date,
+                    start_date = excluded.start_date,
+                    workflow = COALESCE(?7, workflow),
+                    archived = excluded.archived,
+                    deleted_at = excluded.deleted_at,
+                    revision = COALESCE(?12, revision)
+                WHERE ?12 IS NULL OR ?12 > revision
+            `, [
+                id,
+                project.name,
+                project.description || '',
+                project.status || 'active',
+                project.dueDate || null,
+                project.createdDate || today(),
+                project.workflow === undefined ? null : JSON.stringify(project.workflow),
+                JSON.stringify(DEFAULT_WORKFLOW),
+                project.startDate || null,
+                project.archived ? 1 : 0,
+                project.deletedAt || null,
+                project.revision === undefined ? null : project.revision
+            ]);
+            if (changes === 0) {
+                const current = await this.getProject(id);
+                throw new ConflictError(`Project "${id}" is already at revision ${current.revision}`, current);
+            }
+
+            return this.getProject(id);
+        });
+    }
+
+    async deleteProject(id) {
+        return this.db.transaction(async () => {
+            // Tasks go with it through ON DELETE CASCADE
+            const { changes } = await this.db.run('DELETE FROM projects WHERE id = ?', [id]);
+            if (!changes) throw new NotFoundError(`Project "${id}" not found`);
+        });
+    }
+
+    // Tasks
+    async listTasks(filters = {}) {
+        const where = [];
+        const params = [];
+        if (filters.projectId) {
+            where.push('project_id = ?');
+            params.push(filters.projectId);
+        }
+        if (filters.status) {
+            where.push('status = ?');
+            params.push(filters.status);
+        }
+        if (filters.priority) {
+            where.push('priority = ?');
+            params.push(filters.priority);
+        }
+
+        const rows = await this.db.all(
+            `SELECT * FROM tasks ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY created_at, rowid`,
+            params
+        );
+        const dependencies = await this.db.all('SELECT task_id, blocked_by_id FROM task_dependencies ORDER BY rowid');
+        const blockedBy = new Map();
+        dependencies.forEach(({ task_id: taskId, blocked_by_id: blockedById }) => {
+            blockedBy.set(taskId, [...(blockedBy.get(taskId) || []), blockedById]);
+        });
+        const assignments = await this.db.all('SELECT task_id, member_id FROM task_assignees ORDER BY rowid');
+        const assignees = new Map();
+        assignments.forEach(({ task_id: taskId, member_id: memberId }) => {
+            assignees.set(taskId, [...(assignees.get(taskId) || []), memberId]);
+        });
+        return rows.map(row => taskFromRow(row, blockedBy.get(row.id), assignees.get(row.id)));
+    }
+
+    async getTask(id) {
+        const row = await this.db.get('SELECT * FROM tasks WHERE id = ?', [id]);
+        if (!row) throw new NotFoundError(`Task "${id}" not found`);
+        const dependencies = await this.db.all('SELECT blocked_by_id FROM task_dependencies WHERE task_id = ? ORDER BY rowid', [id]);
+        const assignments = await this.db.all('SELECT member_id FROM task_assignees WHERE task_id = ? ORDER BY rowid', [id]);
+        return taskFromRow(
+            row,
+            dependencies.map(dependency => dependency.blocked_by_id),
+            assignments.map(assignment => assignment.member_id)
+        );
+    }
+
+    async saveTask(task) {
+        validateTask(task);
+        return this.db.transaction(async () => {
+            const project = await this.getProject(task.projectId);
+            if (task.status !== undefined && !project.workflow.some(status => status.id === task.status)) {
+                throw new ValidationError(`Status "${task.status}" is not in the workflow of project "${project.id}"`);
+            }
+            if (task.parentId) {
+                await this.checkParent(task);
+            }
+
+            const id = task.id || newId('task');
+            if (task.blockedBy !== undefined) {
+                await this.checkBlockers(id, task.blockedBy);
+            }
+            for (const memberId of task.assignees || []) {
+                const member = await this.db.get('SELECT id FROM members WHERE id = ?', [memberId]);
+                if (!member) throw new ValidationError(`Assignee "${memberId}" not found`);
+            }
+
+            // Tasks saved without a rank go to the bottom of their column
+            const { changes } = await this.db.run(`
+                INSERT INTO tasks (id, project_id, title, description, priority, status, due_date, created_date, rank, parent_id, checklist, start_date, recurrence, deleted_at, reminders, revision)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, (SELECT COALESCE(MAX(rank), 0) + ${RANK_STEP} FROM tasks)), ?, ?, ?, ?, ?, ?, COALESCE(?16, 0))
+                ON CONFLICT(id) DO UPDATE SET
+                    project_id = excluded.project_id,
+                    title = excluded.title,
+                    description = excluded.description,
+                    priority = excluded.priority,
+                    status = excluded.status,
+                    due_date = excluded.due_date,
+                    rank = COALESCE(?9, rank),
+                    parent_id = excluded.parent_id,
+                    checklist = excluded.checklist,
+                    start_date = excluded.start_date,
+                    recurrence = excluded.recurrence,
+                    deleted_at = excluded.deleted_at,
+                    reminders = excluded.reminders,
+                    revision = COALESCE(?16, revision)
+                WHERE ?16 IS NULL OR ?16 > revision
+            `, [
+                id,
+                task.projectId,
+                task.title,
+                task.description || '',
+                task.priority || 'medium',
+                task.status || project.workflow[0].id,
+                task.dueDate || null,
+                task.createdDate || today(),
+                task.rank === undefined ? null : task.rank,
+                task.parentId || null,
+                JSON.stringify(task.checklist || []),
+                task.startDate || null,
+                task.recurrence ? JSON.stringify(task.recurrence) : null,
+                task.deletedAt || null,
+                JSON.stringify(task.reminders || []),
+                task.revision === undefined ? null : task.revision
+            ]);
+            if (changes === 0) {
+                const current = await this.getTask(id);
+                throw new ConflictError(`Task "${id}" is already at revision ${current.revision}`, current);
+            }
+
+            // Tasks saved without blockedBy keep their existing links
+            if (task.blockedBy !== undefined) {
+                await this.db.run('DELETE FROM task_dependencies WHERE task_id = ?', [id]);
+                for (const blockedById of new Set(task.blockedBy)) {
+                    await this.db.run('INSERT INTO task_dependencies (task_id, blocked_by_id) VALUES (?, ?)', [id, blockedById]);
+                }
+            }
+
+            // Likewise for assignees
+            if (task.assignees !== undefined) {
+                await this.db.run('DELETE FROM task_assignees WHERE task_id = ?', [id]);
+                for (const memberId of new Set(task.assignees)) {
+                    await this.db.run('INSERT INTO task_assignees (task_id, member_id) VALUES (?, ?)', [id, memberId]);
+                }
+            }
+
+            return this.getTask(id);
+        });
+    }
+
+    // A parent must be another task of the same project, and not one of the
+    // task's own subtasks
+    async checkParent(task) {
+        let ancestor = await this.db.get('SELECT id, project_id, parent_id FROM tasks WHERE id = ?', [task.parentId]);
+        if (!ancestor) throw new ValidationError(`Parent task "${task.parentId}" not found`);
+        if (ancestor.project_id !== task.projectId) {
+            throw new ValidationError('Parent task must belong to the same project');
+        }
+
+        while (ancestor) {
+            if (ancestor.id === task.id) throw new ValidationError('A task cannot be nested under itself');
+            ancestor = ancestor.parent_id
+                ? await this.db.get('SELECT id, parent_id FROM tasks WHERE id = ?', [ancestor.parent_id])
+                : null;
+        }
+    }
+
+    // Blockers must be other existing tasks, and no blocker may itself be
+    // waiting on the task, directly or through other links
+    async checkBlockers(id, blockedBy) {
+        for (const blockedById of blockedBy) {
+            if (blockedById === id) throw new ValidationError('A task cannot block itself');
+            const blocker = await this.db.get('SELECT id FROM tasks WHERE id = ?', [blockedById]);
+            if (!blocker) throw new ValidationError(`Blocking task "${blockedById}" not found`);
+        }
+
+        const visited = new Set();
+        const pending = [...blockedBy];
+        while (pending.length > 0) {
+            const current = pending.pop();
+            if (current === id) throw new ValidationError('Task dependencies cannot form a cycle');
+            if (visited.has(current)) continue;
+            visited.add(current);
+            const dependencies = await this.db.all('SELECT blocked_by_id FROM task_dependencies WHERE task_id = ?', [current]);
+            pending.push(...dependencies.map(dependency => dependency.blocked_by_id));
+        }
+    }
+
+    async deleteTask(id) {
+        return this.db.transaction(async () => {
+            const { changes } = await this.db.run('DELETE FROM tasks WHERE id = ?', [id]);
+            if (!changes) throw new NotFoundError(`Task "${id}" not found`);
+        });
+    }
+
+    // Comments
+    async listComments(filters = {}) {
+        const rows = filters.taskId
+            ? await this.db.all('SELECT * FROM comments WHERE task_id = ? ORDER BY created_at, rowid', [filters.taskId])
+            : await this.db.all('SELECT * FROM comments ORDER BY created_at, rowid');
+        const mentionRows = await this.db.all('SELECT comment_id, member_id FROM comment_mentions ORDER BY rowid');
+        const mentions = new Map();
+        mentionRows.forEach(({ comment_id: commentId, member_id: memberId }) => {
+            mentions.set(commentId, [...(mentions.get(commentId) || []), memberId]);
+        });
+        return rows.map(row => commentFromRow(row, mentions.get(row.id)));
+    }
+
+    async getComment(id) {
+        const row = await this.db.get('SELECT * FROM comments WHERE id = ?', [id]);
+        if (!row) throw new NotFoundError(`Comment "${id}" not found`);
+        const mentions = await this.db.all('SELECT member_id FROM comment_mentions WHERE comment_id = ? ORDER BY rowid', [id]);
+        return commentFromRow(row, mentions.map(mention => mention.member_id));
+    }
+
+    // A comment stays on the task it was written on
+    async saveComment(comment) {
+        validateComment(comment);
+        return this.db.transaction(async () => {
+            const id = comment.id || newId('comment');
+            const existing = await this.db.get('SELECT task_id FROM comments WHERE id = ?', [id]);
+            if (existing && existing.task_id !== comment.taskId) {
+                throw new ValidationError('A comment cannot be moved to another task');
+            }
+            if (!(await this.db.get('SELECT id FROM tasks WHERE id = ?', [comment.taskId]))) {
+                throw new ValidationError(`Task "${comment.taskId}" not found`);
+            }
+            for (const memberId of [comment.authorId, ...(comment.mentions || [])].filter(Boolean)) {
+                const member = await this.db.get('SELECT id FROM members WHERE id = ?', [memberId]);
+                if (!member) throw new ValidationError(`Member "${memberId}" not found`);
+            }
+
+            const { changes } = await this.db.run(`
+                INSERT INTO comments (id, task_id, author_id, body, created_at, edited_at, revision)
+                VALUES (?, ?, ?, ?, ?, ?, COALESCE(?7, 0))
+                ON CONFLICT(id) DO UPDATE SET
+                    author_id = excluded.author_id,
+                    body = excluded.body,
+                    edited_at = excluded.edited_at,
+                    revision = COALESCE(?7, revision)
+                WHERE ?7 IS NULL OR ?7 > revision
+            `, [
+                id,
+                comment.taskId,
+                comment.authorId || null,
+                comment.body.trim(),
+                comment.createdAt || new Date().toISOString(),
+                comment.editedAt || null,
+                comment.revision === undefined ? null : comment.revision
+            ]);
+            if (changes === 0) {
+                const current = await this.getComment(id);
+                throw new ConflictError(`Comment "${id}" is already at revision ${current.revision}`, current);
+            }
+
+            // Comments saved without mentions keep their existing ones
+            if (comment.mentions !== undefined) {
+                await this.db.run('DELETE FROM comment_mentions WHERE comment_id = ?', [id]);
+                for (const memberId of new Set(comment.mentions)) {
+                    await this.db.run('INSERT INTO comment_mentions (comment_id, member_id) VALUES (?, ?)', [id, memberId]);
+                }
+            }
+
+            return this.getComment(id);
+        });
+    }
+
+    async deleteComment(id) {
+        return this.db.transaction(async () => {
+            const { changes } = await this.db.run('DELETE FROM comments WHERE id = ?', [id]);
+            if (!changes) throw new NotFoundError(`Comment "${id}" not found`);
+        });
+    }
+
+    // Attachments
+    async listAttachments(filters = {}) {
+        const rows = filters.taskId
+            ? await this.db.all('SELECT * FROM attachments WHERE task_id = ? ORDER BY created_at, rowid', [filters.taskId])
+            : await this.db.all('SELECT * FROM attachments ORDER BY created_at, rowid');
+        return rows.map(attachmentFromRow);
+    }
+
+    async getAttachment(id) {
+        const row = await this.db.get('SELECT * FROM attachments WHERE id = ?', [id]);
+        if (!row) throw new NotFoundError(`Attachment "${id}" not found`);
+        return attachmentFromRow(row);
+    }
+
+    // An attachment's file is uploaded as a blob first and never changes
+    // afterwards, so only its name can be updated
+    async saveAttachment(attachment) {
+        validateAttachment(attachment);
+        return this.db.transaction(async () => {
+            const id = attachment.id || newId('attachment');
+            const existing = await this.db.get('SELECT task_id FROM attachments WHERE id = ?', [id]);
+            if (existing && existing.task_id !== attachment.taskId) {
+                throw new ValidationError('An attachment cannot be moved to another task');
+            }
+            if (!(await this.db.get('SELECT id FROM tasks WHERE id = ?', [attachment.taskId]))) {
+                throw new ValidationError(`Task "${attachment.taskId}" not found`);
+            }
+
+            const { changes } = await this.db.run(`
+                INSERT INTO attachments (id, task_id, name, type, size, created_at, revision)
+                VALUES (?, ?, ?, ?, ?, ?, COALESCE(?7, 0))
+                ON CONFLICT(id) DO UPDATE SET name = excluded.name, revision = COALESCE(?7, revision)
+                WHERE ?7 IS NULL OR ?7 > revision
+            `, [
+                id,
+                attachment.taskId,
+                attachment.name.trim(),
+                attachment.type || 'application/octet-stream',
+                attachment.size,
+                attachment.createdAt || new Date().toISOString(),
+                attachment.revision === undefined ? null : attachment.revision
+            ]);
+            if (changes === 0) {
+                const current = await this.getAttachment(id);
+                throw new ConflictError(`Attachment "${id}" is already at revision ${current.revision}`, current);
+            }
+
+            return this.getAttachment(id);
+        });
+    }
+
+    async deleteAttachment(id) {
+        return this.db.transaction(async () => {
+            const { changes } = await this.db.run('DELETE FROM attachments WHERE id = ?', [id]);
+            if (!changes) throw new NotFoundError(`Attachment "${id}" not found`);
+        });
+    }
+
+    // Batches: all records are saved in one transaction, so when one is
+    // refused none of them is
+    async saveAll(collection, records) {
+        if (!Array.isArray(records)) {
+            throw new ValidationError('Batch records must be a list');
+        }
+        return this.db.transaction(async () => {
+            const saved = [];
+            for (const record of records) {
+                saved.push(await this[BATCH_COLLECTIONS[collection][0]](record));
+            }
+            return saved;
+        });
+    }
+
+    // Records that are already gone are skipped, as deleting a project or
+    // task also deletes its tasks, comments and attachments
+    async deleteAll(collection, ids) {
+        if (!Array.isArray(ids) || !ids.every(id => typeof id === 'string' && id)) {
+            throw new ValidationError('Batch ids must be a list of ids');
+        }
+        return this.db.transaction(async () => {
+            for (const id of ids) {
+                await this[BATCH_COLLECTIONS[collection][1]](id).catch((error) => {
+                    if (!(error instanceof NotFoundError)) throw error;
+                });
+            }
+        });
+    }
+
+    // Blobs
+    async listBlobIds() {
+        const rows = await this.db.all('SELECT id FROM blobs ORDER BY rowid');
+        return rows.map(row => row.id);
+    }
+
+    async getBlob(id) {
+        const row = await this.db.get('SELECT type, data FROM blobs WHERE id = ?', [id]);
+        if (!row) throw new NotFoundError(`Blob "${id}" not found`);
+        return row;
+    }
+
+    async saveBlob(id, type, data) {
+        return this.db.transaction(async () => {
+            if (data.length > ATTACHMENT_MAX_BYTES) {
+                throw new ValidationError(`Files can be at most ${ATTACHMENT_MAX_BYTES / (1024 * 1024)} MB`);
+            }
+            const { used } = await this.db.get('SELECT COALESCE(SUM(LENGTH(data)), 0) AS used FROM blobs WHERE id != ?', [id]);
+            if (used + data.length > ATTACHMENT_QUOTA_BYTES) {
+                throw new ValidationError(`Storage quota of ${ATTACHMENT_QUOTA_BYTES / (1024 * 1024)} MB exceeded`);
+            }
+
+            await this.db.run(`
+                INSERT INTO blobs (id, type, data) VALUES (?, ?, ?)
+                ON CONFLICT(id) DO UPDATE SET type = excluded.type, data = excluded.data
+            `, [id, type || 'application/octet-stream', data]);
+        });
+    }
+
+    async deleteBlob(id) {
+        return this.db.transaction(async () => {
+            const { changes } = await this.db.run('DELETE FROM blobs WHERE id = ?', [id]);
+            if (!changes) throw new NotFoundError(`Blob "${id}" not found`);
+        });
+    }
+
+    // Events
+    async listEvents() {
+        const rows = await this.db.all('SELECT * FROM events ORDER BY at, rowid');
+        return rows.map(eventFromRow);
+    }
+
+    // The log is append-only: saving an event that already exists keeps the
+    // original rather than rewriting history
+    async saveEvent(event) {
+        validateEvent(event);
+        return this.db.transaction(async () => {
+            await this.db.run(`
+                INSERT INTO events (id, at, record_type, record_id, name, action, changes)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT(id) DO NOTHING
+            `, [
+                event.id,
+                event.at,
+                event.recordType,
+                event.recordId,
+                event.name || null,
+                event.action,
+                JSON.stringify(event.changes || [])
+            ]);
+
+            return eventFromRow(await this.db.get('SELECT * FROM events WHERE id = ?', [event.id]));
+        });
+    }
+
+    // Meta
+    async getMeta(key) {
+        const row = await this.db.get('SELECT value FROM meta WHERE key = ?', [key]);
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    async setMeta(key, value) {
+        return this.db.transaction(async () => {
+            await this.db.run(`
+                INSERT INTO meta (key, value) VALUES (?, ?)
+                ON CONFLICT(key) DO UPDATE SET value = excluded.value
+            `, [key, JSON.stringify(value === undefined ? null : value)]);
+        });
+    }
+}
+
+module.exports = {
+    Repository,
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+    PROJECT_STATUSES,
+    TASK_PRIORITIES,
+    DEFAULT_WORKFLOW,
+    ATTACHMENT_MAX_BYTES,
+    BATCH_COLLECTIONS
+};
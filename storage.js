@@ -0,0 +1,426 @@
+// Storage Adapters
+// ProjectManager never talks to a storage backend directly. Every adapter
+// exposes the same async interface:
+//   load(store)             -> every record in the store, in insertion order
+//   upsert(store, records)  -> insert or replace records by id
+//   delete(store, ids)      -> remove records by id
+// plus isInitialized()/markInitialized() so sample data is only seeded once,
+// getMeta(key)/setMeta(key, value) for small values like the schema version,
+// and putBlob(id, blob)/getBlob(id)/deleteBlobs(ids)/listBlobIds() for the
+// contents of attached files.
+
+// Members come first so the people tasks are assigned to are saved before
+// them, and comments and attachments last, after the tasks they are on
+const STORAGE_STORES = ['members', 'projects', 'tasks', 'comments', 'attachments'];
+// Append-only log of changes to the stores above. Events are only ever
+// added with upsert(), and saveData() does not diff this store.
+const EVENT_STORE = 'events';
+const LEGACY_STORAGE_PREFIX = 'projectflow_';
+
+class LocalStorageAdapter {
+    constructor(prefix = LEGACY_STORAGE_PREFIX) {
+        this.prefix = prefix;
+    }
+
+    key(store) {
+        return `${this.prefix}${store}`;
+    }
+
+    async open() {
+        return this;
+    }
+
+    // Stores added in later versions are missing from data saved before them
+    async isInitialized() {
+        return STORAGE_STORES.some(store => localStorage.getItem(this.key(store)) !== null);
+    }
+
+    async markInitialized() {
+        STORAGE_STORES.forEach(store => {
+            if (localStorage.getItem(this.key(store)) === null) {
+                localStorage.setItem(this.key(store), '[]');
+            }
+        });
+    }
+
+    async getMeta(key) {
+        const saved = localStorage.getItem(`${this.prefix}meta_${key}`);
+        return saved === null ? null : JSON.parse(saved);
+    }
+
+    async setMeta(key, value) {
+        localStorage.setItem(`${this.prefix}meta_${key}`, JSON.stringify(value));
+    }
+
+    // Synchronous read so each read-modify-write below cannot interleave
+    read(store) {
+        const saved = localStorage.getItem(this.key(store));
+        return saved ? JSON.parse(saved) : [];
+    }
+
+    async load(store) {
+        return this.read(store);
+    }
+
+    async upsert(store, records) {
+        const byId = new Map(this.read(store).map(record => [record.id, record]));
+        records.forEach(record => byId.set(record.id, record));
+        localStorage.setItem(this.key(store), JSON.stringify([...byId.values()]));
+    }
+
+    async delete(store, ids) {
+        const removed = new Set(ids);
+        const remaining = this.read(store).filter(record => !removed.has(record.id));
+        localStorage.setItem(this.key(store), JSON.stringify(remaining));
+    }
+
+    // Blobs are kept as data URLs, so Local Storage's few megabytes fill up
+    // quickly; setItem() then throws a QuotaExceededError
+    blobKey(id) {
+        return `${this.prefix}blob_${id}`;
+    }
+
+    async putBlob(id, blob) {
+        const dataUrl = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+        localStorage.setItem(this.blobKey(id), dataUrl);
+    }
+
+    async getBlob(id) {
+        const dataUrl = localStorage.getItem(this.blobKey(id));
+        if (dataUrl === null) return null;
+
+        const [header, data] = dataUrl.split(',');
+        const type = header.replace(/^data:/, '').replace(/;base64$/, '');
+        const binary = atob(data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return new Blob([bytes], { type });
+    }
+
+    async deleteBlobs(ids) {
+        ids.forEach(id => localStorage.removeItem(this.blobKey(id)));
+    }
+
+    async listBlobIds() {
+        const prefix = this.blobKey('');
+        return Object.keys(localStorage).filter(key => key.startsWith(prefix)).map(key => key.slice(prefix.length));
+    }
+}
+
+class IndexedDBAdapter {
+    // Raise the version when a store is added so open() creates it
+    constructor(name = 'projectflow', version = 5) {
+        this.name = name;
+        this.version = version;
+        this.db = null;
+        this.nextSeq = 1;
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.name, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                [...STORAGE_STORES, EVENT_STORE].forEach(store => {
+                    if (!db.objectStoreNames.contains(store)) {
+                        // Records are wrapped as { id, seq, record } so load()
+                        // can return them in the order they were first saved
+                        db.createObjectStore(store, { keyPath: 'id' }).createIndex('seq', 'seq');
+                    }
+                });
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta');
+                }
+                // File contents, keyed by attachment id
+                if (!db.objectStoreNames.contains('blobs')) {
+                    db.createObjectStore('blobs');
+                }
+            };
+
+            request.onsuccess = async () => {
+                this.db = request.result;
+                try {
+                    this.nextSeq = await this.readNextSeq();
+                    resolve(this);
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        });
+    }
+
+    transaction(stores, mode = 'readonly') {
+        const tx = this.db.transaction(stores, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+        return { tx, done };
+    }
+
+    request(idbRequest) {
+        return new Promise((resolve, reject) => {
+            idbRequest.onsuccess = () => resolve(idbRequest.result);
+            idbRequest.onerror = () => reject(idbRequest.error);
+        });
+    }
+
+    async readNextSeq() {
+        const stores = [...STORAGE_STORES, EVENT_STORE];
+        const { tx } = this.transaction(stores);
+        const highest = await Promise.all(stores.map(store => new Promise((resolve, reject) => {
+            const cursor = tx.objectStore(store).index('seq').openCursor(null, 'prev');
+            cursor.onsuccess = () => resolve(cursor.result ? cursor.result.value.seq : 0);
+            cursor.onerror = () => reject(cursor.error);
+        })));
+        return Math.max(0, ...highest) + 1;
+    }
+
+    async isInitialized() {
+        return Boolean(await this.getMeta('initialized'));
+    }
+
+    async markInitialized() {
+        await this.setMeta('initialized', true);
+    }
+
+    async getMeta(key) {
+        const { tx } = this.transaction(['meta']);
+        const value = await this.request(tx.objectStore('meta').get(key));
+        return value === undefined ? null : value;
+    }
+
+    async setMeta(key, value) {
+        const { tx, done } = this.transaction(['meta'], 'readwrite');
+        tx.objectStore('meta').put(value, key);
+        await done;
+    }
+
+    async load(store) {
+        const { tx } = this.transaction([store]);
+        const entries = await this.request(tx.objectStore(store).index('seq').getAll());
+        return entries.map(entry => entry.record);
+    }
+
+    async upsert(store, records) {
+        if (records.length === 0) return;
+
+        const { tx, done } = this.transaction([store], 'readwrite');
+        const objectStore = tx.objectStore(store);
+        records.forEach(record => {
+            const existing = objectStore.get(record.id);
+            existing.onsuccess = () => {
+                const seq = existing.result ? existing.result.seq : this.nextSeq++;
+                objectStore.put({ id: record.id, seq, record });
+            };
+        });
+        await done;
+    }
+
+    async delete(store, ids) {
+        if (ids.length === 0) return;
+
+        const { tx, done } = this.transaction([store], 'readwrite');
+        const objectStore = tx.objectStore(store);
+        ids.forEach(id => objectStore.delete(id));
+        await done;
+    }
+
+    async putBlob(id, blob) {
+        const { tx, done } = this.transaction(['blobs'], 'readwrite');
+        tx.objectStore('blobs').put(blob, id);
+        await done;
+    }
+
+    async getBlob(id) {
+        const { tx } = this.transaction(['blobs']);
+        const blob = await this.request(tx.objectStore('blobs').get(id));
+        return blob === undefined ? null : blob;
+    }
+
+    async deleteBlobs(ids) {
+        if (ids.length === 0) return;
+
+        const { tx, done } = this.transaction(['blobs'], 'readwrite');
+        const objectStore = tx.objectStore('blobs');
+        ids.forEach(id => objectStore.delete(id));
+        await done;
+    }
+
+    async listBlobIds() {
+        const { tx } = this.transaction(['blobs']);
+        return this.request(tx.objectStore('blobs').getAllKeys());
+    }
+
+    // One-time import of the whole-array payloads written by earlier versions
+    async migrateFromLocalStorage() {
+        if (await this.isInitialized()) return false;
+
+        const legacy = new LocalStorageAdapter(LEGACY_STORAGE_PREFIX);
+        if (!(await legacy.isInitialized())) return false;
+
+        for (const store of STORAGE_STORES) {
+            await this.upsert(store, await legacy.load(store));
+        }
+        // Payloads from before schema versioning have no version; loadData()
+        // treats a missing version as 0 and upgrades them
+        const legacyVersion = await legacy.getMeta('schemaVersion');
+        if (legacyVersion !== null) {
+            await this.setMeta('schemaVersion', legacyVersion);
+        }
+        await this.markInitialized();
+
+        STORAGE_STORES.forEach(store => localStorage.removeItem(legacy.key(store)));
+        localStorage.removeItem(`${legacy.prefix}meta_schemaVersion`);
+        return true;
+    }
+}
+
+// Talks to the API server in server/index.js so a team shares one data set
+class RestAdapter {
+    // token is the server's PROJECTFLOW_TOKEN, when it has one
+    constructor(baseUrl, token = '') {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.token = token;
+    }
+
+    // Bodies are sent as JSON, except blobs, which are sent as they are
+    async request(method, path, body) {
+        const isBlob = body instanceof Blob;
+        const headers = {};
+        if (body) headers['Content-Type'] = isBlob ? body.type || 'application/octet-stream' : 'application/json';
+        if (this.token) headers['X-ProjectFlow-Token'] = this.token;
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            method,
+            headers,
+            body: body && !isBlob ? JSON.stringify(body) : body
+        });
+
+        // A file that is already gone needs no deleting, so it is not an error
+        if (method === 'DELETE' && response.status === 404) return null;
+
+        // A 409 carries the stored record that the save would have overwritten
+        if (!response.ok) {
+            const { error, current } = await response.json().catch(() => ({}));
+            const failure = new Error(error || `${method} ${path} failed with status ${response.status}`);
+            failure.status = response.status;
+            failure.current = current;
+            throw failure;
+        }
+        return response.status === 204 ? null : response.json();
+    }
+
+    async open() {
+        const health = await this.request('GET', '/api/health');
+        if (!health || health.status !== 'ok') {
+            throw new Error(`No ProjectFlow server at ${this.baseUrl}`);
+        }
+        return this;
+    }
+
+    // The shared data set is never seeded with sample data
+    async isInitialized() {
+        return true;
+    }
+
+    async markInitialized() {}
+
+    async getMeta(key) {
+        const { value } = await this.request('GET', `/api/meta/${encodeURIComponent(key)}`);
+        return value;
+    }
+
+    async setMeta(key, value) {
+        await this.request('PUT', `/api/meta/${encodeURIComponent(key)}`, { value });
+    }
+
+    load(store) {
+        return this.request('GET', `/api/${store}`);
+    }
+
+    // Each call is one batch request, which the server applies as a whole
+    // or not at all, so a failure never leaves part of an import behind
+    async upsert(store, records) {
+        if (records.length === 0) return;
+        await this.request('PUT', `/api/${store}`, { records });
+    }
+
+    // Records already deleted along with their project or parent task (ON
+    // DELETE CASCADE) are skipped by the server
+    async delete(store, ids) {
+        if (ids.length === 0) return;
+        await this.request('DELETE', `/api/${store}`, { ids });
+    }
+
+    async putBlob(id, blob) {
+        await this.request('PUT', `/api/blobs/${encodeURIComponent(id)}`, blob);
+    }
+
+    async getBlob(id) {
+        const response = await fetch(`${this.baseUrl}/api/blobs/${encodeURIComponent(id)}`);
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`GET /api/blobs/${id} failed with status ${response.status}`);
+        }
+        return response.blob();
+    }
+
+    // Deleting a file that is already gone is not an error (see request())
+    async deleteBlobs(ids) {
+        for (const id of ids) {
+            await this.request('DELETE', `/api/blobs/${encodeURIComponent(id)}`);
+        }
+    }
+
+    listBlobIds() {
+        return this.request('GET', '/api/blobs');
+    }
+}
+
+// Uses the API server when one is configured under `projectflow_api_url` or
+// is serving this page, otherwise IndexedDB, otherwise localStorage. A
+// server that requires a token reads it from `projectflow_api_token`.
+// Once a server has been used, its data lives there: when it cannot be
+// reached (e.g. the installed app opened offline) loading fails rather than
+// opening a local data set that would show other data and never reach it.
+async function createStorageAdapter() {
+    const configuredUrl = localStorage.getItem('projectflow_api_url');
+    const apiUrl = configuredUrl || (location.protocol.startsWith('http') ? location.origin : null);
+    if (apiUrl) {
+        try {
+            const adapter = await new RestAdapter(apiUrl, localStorage.getItem('projectflow_api_token') || '').open();
+            localStorage.setItem('projectflow_api_origin', apiUrl);
+            return adapter;
+        } catch (error) {
+            if (configuredUrl || localStorage.getItem('projectflow_api_origin') === apiUrl) {
+                const offline = new Error(`The ProjectFlow server at ${apiUrl} cannot be reached`);
+                offline.offline = true;
+                offline.cause = error;
+                throw offline;
+            }
+        }
+    }
+
+    if (window.indexedDB) {
+        try {
+            const adapter = await new IndexedDBAdapter().open();
+            if (await adapter.migrateFromLocalStorage()) {
+                console.info('ProjectFlow: migrated localStorage data to IndexedDB');
+            }
+            return adapter;
+        } catch (error) {
+            console.warn('ProjectFlow: IndexedDB unavailable, falling back to localStorage', error);
+        }
+    }
+
+    return new LocalStorageAdapter().open();
+}
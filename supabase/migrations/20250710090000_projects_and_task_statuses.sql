@@ -0,0 +1,60 @@
+-- Projects table and the task statuses used by the app
+-- Tasks gain a project_id and the todo/in-progress/completed workflow.
+-- SQLite cannot alter a CHECK constraint, so the tasks table is rebuilt.
+
+-- Create projects table
+CREATE TABLE IF NOT EXISTS projects (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    status TEXT CHECK(status IN ('active', 'completed', 'on-hold')) DEFAULT 'active',
+    due_date DATE,
+    created_date DATE DEFAULT CURRENT_DATE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_projects_status ON projects(status);
+
+CREATE TRIGGER IF NOT EXISTS update_projects_updated_at
+    AFTER UPDATE ON projects
+    FOR EACH ROW
+BEGIN
+    UPDATE projects SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+-- Rebuild tasks with project_id and the new status values
+CREATE TABLE tasks_new (
+    task_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    project_id TEXT REFERENCES projects(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    description TEXT,
+    due_date DATE,
+    priority TEXT CHECK(priority IN ('high', 'medium', 'low')) DEFAULT 'medium',
+    status TEXT CHECK(status IN ('todo', 'in-progress', 'completed')) DEFAULT 'todo',
+    created_date DATE DEFAULT CURRENT_DATE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO tasks_new (task_id, title, description, due_date, priority, status, created_date, created_at, updated_at)
+SELECT task_id, title, description, due_date, priority,
+       CASE status WHEN 'pending' THEN 'todo' ELSE status END,
+       DATE(created_at), created_at, updated_at
+FROM tasks;
+
+DROP TABLE tasks;
+ALTER TABLE tasks_new RENAME TO tasks;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_project_id ON tasks(project_id);
+CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
+CREATE INDEX IF NOT EXISTS idx_tasks_priority ON tasks(priority);
+CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date);
+CREATE INDEX IF NOT EXISTS idx_tasks_created_at ON tasks(created_at);
+
+CREATE TRIGGER IF NOT EXISTS update_tasks_updated_at
+    AFTER UPDATE ON tasks
+    FOR EACH ROW
+BEGIN
+    UPDATE tasks SET updated_at = CURRENT_TIMESTAMP WHERE task_id = NEW.task_id;
+END;
@@ -0,0 +1,42 @@
+-- Align the tasks table with the objects saveTask() produces
+-- Task ids become the client's string ids (`task-<n>`), so records
+-- round-trip between app.js and the server unchanged.
+
+CREATE TABLE tasks_new (
+    id TEXT PRIMARY KEY,
+    project_id TEXT REFERENCES projects(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    description TEXT,
+    priority TEXT CHECK(priority IN ('high', 'medium', 'low')) DEFAULT 'medium',
+    status TEXT CHECK(status IN ('todo', 'in-progress', 'completed')) DEFAULT 'todo',
+    due_date DATE,
+    created_date DATE DEFAULT CURRENT_DATE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO tasks_new (id, project_id, title, description, priority, status, due_date, created_date, created_at, updated_at)
+SELECT 'task-' || task_id, project_id, title, description, priority, status, due_date, created_date, created_at, updated_at
+FROM tasks;
+
+DROP TABLE tasks;
+ALTER TABLE tasks_new RENAME TO tasks;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_project_id ON tasks(project_id);
+CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
+CREATE INDEX IF NOT EXISTS idx_tasks_priority ON tasks(priority);
+CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date);
+CREATE INDEX IF NOT EXISTS idx_tasks_created_at ON tasks(created_at);
+
+CREATE TRIGGER IF NOT EXISTS update_tasks_updated_at
+    AFTER UPDATE ON tasks
+    FOR EACH ROW
+BEGIN
+    UPDATE tasks SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
+-- Key/value settings shared with the client, such as its data schema version
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+);
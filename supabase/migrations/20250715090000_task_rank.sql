@@ -0,0 +1,9 @@
+-- Manual Kanban ordering: tasks sort by rank within their status column.
+-- Ranks are spaced 1024 apart so a card can be dropped between two others
+-- by taking the midpoint, without renumbering the column.
+
+ALTER TABLE tasks ADD COLUMN rank REAL;
+
+UPDATE tasks SET rank = 1024 * (SELECT COUNT(*) FROM tasks AS earlier WHERE earlier.rowid <= tasks.rowid);
+
+CREATE INDEX IF NOT EXISTS idx_tasks_status_rank ON tasks(status, rank);
@@ -0,0 +1,43 @@
+-- Per-project workflows: each project stores its ordered task statuses as a
+-- JSON array of { id, name, color, done, wipLimit }, and tasks.status holds
+-- one of those ids instead of a fixed value.
+
+ALTER TABLE projects ADD COLUMN workflow TEXT;
+
+UPDATE projects SET workflow = '[{"id":"todo","name":"To Do","color":"#64748b","done":false,"wipLimit":null},{"id":"in-progress","name":"In Progress","color":"#f59e0b","done":false,"wipLimit":null},{"id":"completed","name":"Completed","color":"#22c55e","done":true,"wipLimit":null}]';
+
+-- SQLite cannot drop the CHECK constraint on tasks.status, so the table is rebuilt
+CREATE TABLE tasks_new (
+    id TEXT PRIMARY KEY,
+    project_id TEXT REFERENCES projects(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    description TEXT,
+    priority TEXT CHECK(priority IN ('high', 'medium', 'low')) DEFAULT 'medium',
+    status TEXT NOT NULL DEFAULT 'todo',
+    due_date DATE,
+    created_date DATE DEFAULT CURRENT_DATE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    rank REAL
+);
+
+INSERT INTO tasks_new (id, project_id, title, description, priority, status, due_date, created_date, created_at, updated_at, rank)
+SELECT id, project_id, title, description, priority, status, due_date, created_date, created_at, updated_at, rank
+FROM tasks;
+
+DROP TABLE tasks;
+ALTER TABLE tasks_new RENAME TO tasks;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_project_id ON tasks(project_id);
+CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
+CREATE INDEX IF NOT EXISTS idx_tasks_priority ON tasks(priority);
+CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date);
+CREATE INDEX IF NOT EXISTS idx_tasks_created_at ON tasks(created_at);
+CREATE INDEX IF NOT EXISTS idx_tasks_status_rank ON tasks(status, rank);
+
+CREATE TRIGGER IF NOT EXISTS update_tasks_updated_at
+    AFTER UPDATE ON tasks
+    FOR EACH ROW
+BEGIN
+    UPDATE tasks SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
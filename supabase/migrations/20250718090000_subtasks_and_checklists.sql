@@ -0,0 +1,8 @@
+-- Subtasks and checklists: a task may belong to a parent task (deleting the
+-- parent deletes its subtasks), and carries its checklist items as a JSON
+-- array of { id, text, done }.
+
+ALTER TABLE tasks ADD COLUMN parent_id TEXT REFERENCES tasks(id) ON DELETE CASCADE;
+ALTER TABLE tasks ADD COLUMN checklist TEXT NOT NULL DEFAULT '[]';
+
+CREATE INDEX IF NOT EXISTS idx_tasks_parent_id ON tasks(parent_id);
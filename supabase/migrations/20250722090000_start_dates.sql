@@ -0,0 +1,5 @@
+-- Start dates for the timeline view. Empty means the project spans its tasks
+-- and a task occupies only its due date.
+
+ALTER TABLE projects ADD COLUMN start_date TEXT;
+ALTER TABLE tasks ADD COLUMN start_date TEXT;
@@ -0,0 +1,4 @@
+-- Recurrence rules for repeating tasks, stored as JSON (see recurrence.js).
+-- NULL for tasks that do not repeat.
+
+ALTER TABLE tasks ADD COLUMN recurrence TEXT;
@@ -0,0 +1,19 @@
+-- Team members, and the members each task is assigned to. Deleting a member
+-- or a task removes its assignments.
+
+CREATE TABLE IF NOT EXISTS members (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    email TEXT,
+    color TEXT NOT NULL,
+    created_date DATE DEFAULT CURRENT_DATE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS task_assignees (
+    task_id TEXT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    member_id TEXT NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+    PRIMARY KEY (task_id, member_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_assignees_member_id ON task_assignees(member_id);
@@ -0,0 +1,6 @@
+-- Archived projects, and soft deletes: deleted_at is when a project or task
+-- was moved to the trash, NULL while it is live.
+
+ALTER TABLE projects ADD COLUMN archived INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE projects ADD COLUMN deleted_at TEXT;
+ALTER TABLE tasks ADD COLUMN deleted_at TEXT;
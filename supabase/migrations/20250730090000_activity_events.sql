@@ -0,0 +1,15 @@
+-- Activity log: one row per change to a member, project or task. Rows are
+-- only ever inserted, and outlive the records they describe.
+
+CREATE TABLE IF NOT EXISTS events (
+    id TEXT PRIMARY KEY,
+    at TEXT NOT NULL,
+    record_type TEXT NOT NULL,
+    record_id TEXT NOT NULL,
+    name TEXT,
+    action TEXT NOT NULL,
+    changes TEXT NOT NULL DEFAULT '[]',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_events_record_id ON events(record_id);
@@ -0,0 +1,21 @@
+-- Comments on tasks, and the members each comment mentions. Comments go with
+-- their task; a removed member's comments stay without an author.
+
+CREATE TABLE IF NOT EXISTS comments (
+    id TEXT PRIMARY KEY,
+    task_id TEXT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    author_id TEXT REFERENCES members(id) ON DELETE SET NULL,
+    body TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    edited_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_comments_task_id ON comments(task_id);
+
+CREATE TABLE IF NOT EXISTS comment_mentions (
+    comment_id TEXT NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+    member_id TEXT NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+    PRIMARY KEY (comment_id, member_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_comment_mentions_member_id ON comment_mentions(member_id);
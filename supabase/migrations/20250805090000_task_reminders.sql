@@ -0,0 +1,4 @@
+-- Task reminders, stored as a JSON list of { daysBefore, time } where time
+-- is HH:MM on the day that many days before the due date.
+
+ALTER TABLE tasks ADD COLUMN reminders TEXT;
@@ -0,0 +1,8 @@
+-- Revision of each record, raised by the app every time it saves one. Open
+-- tabs compare revisions to tell a newer copy of a record from a stale one.
+
+ALTER TABLE members ADD COLUMN revision INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE projects ADD COLUMN revision INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE tasks ADD COLUMN revision INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE comments ADD COLUMN revision INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE attachments ADD COLUMN revision INTEGER NOT NULL DEFAULT 0;
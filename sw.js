@@ -0,0 +1,92 @@
+// Service worker: keeps the app shell available offline
+// The shell is served from the cache first, so the app starts without a
+// network. Releases need no version bump: open pages ask the worker to check
+// the shell against the server (see refreshShell()), and when any file has
+// changed the whole shell is cached again and the pages offer to reload.
+// A change to this file makes browsers install the worker again, which the
+// pages offer to reload for in the same way.
+// Data requests (/api/...) and other origins always go to the network.
+
+const CACHE_NAME = 'projectflow-shell';
+
+// Every file the page loads; keep in step with the tags in index.html and
+// STATIC_FILES in server/index.js, which serves only these
+const SHELL_FILES = [
+    'index.html',
+    'style.css',
+    'storage.js',
+    'csv.js',
+    'ical.js',
+    'recurrence.js',
+    'search.js',
+    'markdown.js',
+    'dom.js',
+    'app.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-maskable.svg'
+];
+
+self.addEventListener('install', (event) => {
+    // cache: 'reload' skips the HTTP cache, so a release never caches stale files
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(SHELL_FILES.map(file => new Request(file, { cache: 'reload' })))));
+});
+
+// Caches named after a release (projectflow-shell-1.0.0) came before
+// releases were detected by content
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names
+            .filter(name => name.startsWith(`${CACHE_NAME}-`))
+            .map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+// Fetches the whole shell past the HTTP cache. When any file differs from
+// the cached copy, every file is replaced at once, so a reload never mixes
+// two releases, and open pages are told a new release is ready. Runs when a
+// page has finished loading rather than on navigation, so a page never
+// loads half of its files from the old release and half from the new one.
+let shellRefresh = null;
+
+async function refreshShell() {
+    const cache = await caches.open(CACHE_NAME);
+    const responses = await Promise.all(SHELL_FILES.map(file => fetch(new Request(file, { cache: 'no-cache' }))));
+    if (responses.some(response => !response.ok)) return;
+
+    const changed = await Promise.all(responses.map(async (response, index) => {
+        const cached = await cache.match(SHELL_FILES[index]);
+        return !cached || (await cached.text()) !== (await response.clone().text());
+    }));
+    if (!changed.includes(true)) return;
+
+    await Promise.all(responses.map((response, index) => cache.put(SHELL_FILES[index], response)));
+    const pages = await self.clients.matchAll({ type: 'window' });
+    pages.forEach(page => page.postMessage({ type: 'update-ready' }));
+}
+
+// skip-waiting is sent by the page when the user accepts an update,
+// check-update after it has loaded and then every hour
+self.addEventListener('message', (event) => {
+    if (!event.data) return;
+    if (event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    } else if (event.data.type === 'check-update') {
+        // Offline checks simply fail; the cached shell stays
+        shellRefresh = shellRefresh || refreshShell().catch(() => {}).finally(() => {
+            shellRefresh = null;
+        });
+        event.waitUntil(shellRefresh);
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+    // Pages are all the same shell; views live in the hash
+    const request = event.request.mode === 'navigate' ? 'index.html' : event.request;
+    event.respondWith(caches.open(CACHE_NAME)
+        .then(cache => cache.match(request, { ignoreSearch: true }))
+        .then(cached => cached || fetch(event.request)));
+});
@@ -0,0 +1,50 @@
+// Tests for the CSV helpers in csv.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, toCsv, escapeCsvCell, unescapeCsvCell } = require('../csv');
+
+test('quoted fields keep commas, doubled quotes and line breaks', () => {
+    const text = 'title,description\n"Launch, part 1","Say ""hi""\nthen leave"\n';
+    assert.deepEqual(parseCsv(text), [
+        ['title', 'description'],
+        ['Launch, part 1', 'Say "hi"\nthen leave']
+    ]);
+});
+
+test('CRLF and LF line breaks both end rows, and blank lines are skipped', () => {
+    assert.deepEqual(parseCsv('a,b\r\n1,2\r\n\r\n3,4\n\n5,6'), [['a', 'b'], ['1', '2'], ['3', '4'], ['5', '6']]);
+    assert.deepEqual(parseCsv('a,"line\r\nbreak"\r\n'), [['a', 'line\r\nbreak']]);
+});
+
+test('a byte order mark is dropped', () => {
+    assert.deepEqual(parseCsv('\uFEFFtitle,status\nWrite copy,todo\n'), [['title', 'status'], ['Write copy', 'todo']]);
+});
+
+test('empty cells are kept', () => {
+    assert.deepEqual(parseCsv('a,,c\n,,\n'), [['a', '', 'c']]);
+    assert.deepEqual(parseCsv('a,b,\n'), [['a', 'b', '']]);
+});
+
+test('an unterminated quote is an error', () => {
+    assert.throws(() => parseCsv('title\n"Launch\n'), /unterminated quoted field/);
+});
+
+test('cells that spreadsheets would run as formulas are exported with a quote', () => {
+    assert.equal(escapeCsvCell('=SUM(A1:A3)'), "'=SUM(A1:A3)");
+    assert.equal(escapeCsvCell('-5'), "'-5");
+    assert.equal(escapeCsvCell('@x'), "'@x");
+    assert.equal(escapeCsvCell('+1'), "'+1");
+    assert.equal(escapeCsvCell('=HYPERLINK("x", "y")'), '"\'=HYPERLINK(""x"", ""y"")"');
+    assert.equal(escapeCsvCell('Plain'), 'Plain');
+    assert.equal(escapeCsvCell(null), '');
+});
+
+test('exported cells import as they were', () => {
+    const cells = ['=SUM(A1:A3)', '-5', '@x', '+1', '\tindented', "'=already quoted", "''-twice", "it's", 'a, "b"\nc', ''];
+    const [row] = parseCsv(toCsv([cells]));
+    assert.deepEqual(row.map(unescapeCsvCell), cells);
+});
+
+test('rows are joined with CRLF', () => {
+    assert.equal(toCsv([['a', 'b'], ['1', '2']]), 'a,b\r\n1,2\r\n');
+});
@@ -0,0 +1,124 @@
+// Tests for the iCalendar helpers in ical.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildICalendar, parseICalendar, fromICalDate, unescapeICalText, foldICalLine } = require('../ical');
+
+const octets = line => Buffer.byteLength(line, 'utf8');
+const unfold = text => text.replace(/\r\n[ \t]/g, '');
+
+test('long lines are folded at 75 octets', () => {
+    const line = `DESCRIPTION:${'a'.repeat(200)}`;
+    const folded = foldICalLine(line).split('\r\n');
+    assert.ok(folded.length > 1);
+    folded.forEach((part, i) => {
+        assert.ok(octets(part) <= 75, `line ${i} has ${octets(part)} octets`);
+        if (i > 0) assert.equal(part[0], ' ');
+    });
+    assert.equal(octets(folded[0]), 75);
+    assert.equal(unfold(folded.join('\r\n')), line);
+
+    const exact = `SUMMARY:${'b'.repeat(75 - 'SUMMARY:'.length)}`;
+    assert.equal(foldICalLine(exact), exact);
+});
+
+test('folding never splits a multi-byte character', () => {
+    const line = `SUMMARY:${'é日😀'.repeat(30)}`;
+    const folded = foldICalLine(line).split('\r\n');
+    folded.forEach(part => {
+        assert.ok(octets(part) <= 75);
+        // A split character would not survive the round trip through UTF-8
+        assert.equal(Buffer.from(part, 'utf8').toString('utf8'), part);
+        assert.ok(!/[\uD800-\uDBFF]$/.test(part), 'ends inside a surrogate pair');
+    });
+    assert.equal(unfold(folded.join('\r\n')), line);
+});
+
+test('parameters may quote colons and semicolons', () => {
+    const [todo] = parseICalendar([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VTODO',
+        'UID:task-1@example.com',
+        'ATTENDEE;CN="Doe: Jane; PhD";ROLE=CHAIR:mailto:jane@example.com',
+        'SUMMARY;LANGUAGE=en:Write copy',
+        'END:VTODO',
+        'END:VCALENDAR'
+    ].join('\r\n'));
+    assert.equal(todo.properties.ATTENDEE.value, 'mailto:jane@example.com');
+    assert.deepEqual(todo.properties.ATTENDEE.params, { CN: 'Doe: Jane; PhD', ROLE: 'CHAIR' });
+    assert.equal(todo.properties.SUMMARY.value, 'Write copy');
+});
+
+test('nested components such as VALARM are skipped', () => {
+    const components = parseICalendar([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VTODO',
+        'UID:task-1@example.com',
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        'DESCRIPTION:Reminder',
+        'TRIGGER:-PT15M',
+        'END:VALARM',
+        'SUMMARY:Write copy',
+        'DESCRIPTION:The real one',
+        'END:VTODO',
+        'BEGIN:VTIMEZONE',
+        'TZID:Europe/Berlin',
+        'END:VTIMEZONE',
+        'END:VCALENDAR'
+    ].join('\n'));
+    assert.equal(components.length, 1);
+    const [todo] = components;
+    assert.equal(todo.properties.SUMMARY.value, 'Write copy');
+    assert.equal(todo.properties.DESCRIPTION.value, 'The real one');
+    assert.equal(todo.properties.ACTION, undefined);
+});
+
+test('files without a calendar are refused', () => {
+    assert.throws(() => parseICalendar('title,due\nWrite copy,2025-07-01\n'), /not an iCalendar file/);
+});
+
+test('exported calendars read back in', () => {
+    const workflow = [
+        { id: 'todo', name: 'To Do', done: false },
+        { id: 'doing', name: 'Doing', done: false },
+        { id: 'done', name: 'Done', done: true }
+    ];
+    const projects = [
+        { id: 'proj-1', name: 'Launch; phase 1', description: 'Go live', status: 'active', dueDate: '2025-07-31', workflow },
+        { id: 'proj-2', name: 'Someday', description: '', status: 'on-hold', dueDate: '', workflow }
+    ];
+    const tasks = [
+        { id: 'task-1', title: 'Write copy, then edit', description: 'Line one\nLine two', projectId: 'proj-1', priority: 'high', status: 'doing', startDate: '2025-07-01', dueDate: '2025-07-04' },
+        { id: 'task-2', title: 'Sign off', description: '', projectId: 'proj-1', priority: 'low', status: 'done', startDate: '2025-07-10', dueDate: '2025-07-10', parentId: 'task-1' },
+        { id: 'task-3', title: 'No date', description: '', projectId: 'proj-1', priority: 'medium', status: 'todo', startDate: '', dueDate: '' }
+    ];
+
+    const text = buildICalendar(projects, tasks, new Date('2025-06-30T12:00:00Z'));
+    assert.ok(text.split('\r\n').every(line => octets(line) <= 75));
+    const components = parseICalendar(text);
+    assert.deepEqual(components.map(component => component.type), ['VEVENT', 'VTODO', 'VTODO']);
+
+    const [event, first, second] = components.map(component => component.properties);
+    assert.equal(event.UID.value, 'proj-1@projectflow');
+    assert.equal(fromICalDate(event.DTSTART.value), '2025-07-31');
+    assert.equal(fromICalDate(event.DTEND.value), '2025-08-01');
+    assert.equal(unescapeICalText(event.SUMMARY.value), 'Launch; phase 1 (project due)');
+
+    assert.equal(first.UID.value, 'task-1@projectflow');
+    assert.equal(first.DUE.params.VALUE, 'DATE');
+    assert.equal(fromICalDate(first.DUE.value), '2025-07-04');
+    assert.equal(fromICalDate(first.DTSTART.value), '2025-07-01');
+    assert.equal(unescapeICalText(first.SUMMARY.value), 'Write copy, then edit');
+    assert.equal(unescapeICalText(first.DESCRIPTION.value), 'Line one\nLine two');
+    assert.equal(unescapeICalText(first.CATEGORIES.value), 'Launch; phase 1');
+    assert.equal(first.PRIORITY.value, '1');
+    assert.equal(first.STATUS.value, 'IN-PROCESS');
+
+    // DUE must come after DTSTART, so a task that starts on its due date has no DTSTART
+    assert.equal(second.UID.value, 'task-2@projectflow');
+    assert.equal(second.DTSTART, undefined);
+    assert.equal(fromICalDate(second.DUE.value), '2025-07-10');
+    assert.equal(second.STATUS.value, 'COMPLETED');
+    assert.equal(second['PERCENT-COMPLETE'].value, '100');
+    assert.equal(second['RELATED-TO'].value, 'task-1@projectflow');
+});
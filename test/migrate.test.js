@@ -0,0 +1,93 @@
+// Tests for the migration runner in server/migrate.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Database } = require('../server/db');
+const { listMigrations, migrate, status } = require('../server/migrate');
+
+// Runs fn with a fresh in-memory database and a directory holding the given
+// migration files ({ file name: SQL })
+async function withMigrations(files, fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'projectflow-migrations-'));
+    Object.entries(files).forEach(([file, sql]) => fs.writeFileSync(path.join(dir, file), sql));
+    const db = await new Database(':memory:').open();
+    try {
+        await fn(db, dir);
+    } finally {
+        await db.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+const versions = migrations => migrations.map(migration => migration.version);
+
+test('migrations run in numeric version order', async () => {
+    await withMigrations({
+        '100_add_rank.sql': 'ALTER TABLE items ADD COLUMN rank INTEGER;',
+        '9_create_items.sql': 'CREATE TABLE items (id TEXT PRIMARY KEY);',
+        '10_add_name.sql': 'ALTER TABLE items ADD COLUMN name TEXT;',
+        'README.md': 'Not a migration'
+    }, async (db, dir) => {
+        assert.deepEqual(versions(listMigrations(dir)), ['9', '10', '100']);
+        assert.deepEqual(versions(await migrate(db, dir)), ['9', '10', '100']);
+        const columns = await db.all('PRAGMA table_info(items)');
+        assert.deepEqual(columns.map(column => column.name), ['id', 'name', 'rank']);
+
+        // Applied versions are not run again
+        assert.deepEqual(await migrate(db, dir), []);
+        assert.deepEqual((await status(db, dir)).map(migration => migration.applied), [true, true, true]);
+    });
+});
+
+test('two files with the same version are refused', async () => {
+    await withMigrations({
+        '1_create_items.sql': 'CREATE TABLE items (id TEXT PRIMARY KEY);',
+        '01_create_others.sql': 'CREATE TABLE others (id TEXT PRIMARY KEY);'
+    }, async (db, dir) => {
+        assert.throws(() => listMigrations(dir), /Duplicate migration version 1/);
+        await assert.rejects(migrate(db, dir), /Duplicate migration version/);
+        assert.deepEqual(await db.all("SELECT name FROM sqlite_master WHERE name IN ('items', 'others')"), []);
+    });
+});
+
+test('a failing migration is rolled back and stops the run', async () => {
+    await withMigrations({
+        '1_create_items.sql': 'CREATE TABLE items (id TEXT PRIMARY KEY);',
+        '2_broken.sql': 'CREATE TABLE others (id TEXT PRIMARY KEY);\nINSERT INTO missing VALUES (1);',
+        '3_create_more.sql': 'CREATE TABLE more (id TEXT PRIMARY KEY);'
+    }, async (db, dir) => {
+        await assert.rejects(migrate(db, dir), /Migration 2_broken\.sql failed: SQLITE_ERROR: no such table: missing/);
+        const tables = await db.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name IN ('items', 'others', 'more')");
+        assert.deepEqual(tables.map(table => table.name), ['items']);
+        assert.deepEqual((await status(db, dir)).map(migration => migration.applied), [true, false, false]);
+
+        // Once the file is fixed, the run picks up where it stopped
+        fs.writeFileSync(path.join(dir, '2_broken.sql'), 'CREATE TABLE others (id TEXT PRIMARY KEY);');
+        assert.deepEqual(versions(await migrate(db, dir)), ['2', '3']);
+    });
+});
+
+test('databases from the user_version runner keep the files it applied', async () => {
+    await withMigrations({
+        '1_create_items.sql': 'CREATE TABLE items (id TEXT PRIMARY KEY);',
+        '2_create_others.sql': 'CREATE TABLE others (id TEXT PRIMARY KEY);',
+        '3_create_more.sql': 'CREATE TABLE more (id TEXT PRIMARY KEY);'
+    }, async (db, dir) => {
+        // As left by that runner after applying the first two files
+        await db.exec('CREATE TABLE items (id TEXT PRIMARY KEY); CREATE TABLE others (id TEXT PRIMARY KEY); PRAGMA user_version = 2;');
+
+        assert.deepEqual(versions(await migrate(db, dir)), ['3']);
+        const recorded = await db.all('SELECT version FROM schema_migrations ORDER BY version');
+        assert.deepEqual(recorded.map(row => row.version), ['1', '2', '3']);
+    });
+});
+
+test('the migrations in supabase/migrations apply to an empty database', async () => {
+    const db = await new Database(':memory:').open();
+    const applied = await migrate(db);
+    assert.deepEqual(versions(applied), versions(listMigrations()));
+    assert.ok(await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'tasks'"));
+    await db.close();
+});
@@ -0,0 +1,107 @@
+// Tests for the recurrence rules in recurrence.js
+// Run with `npm test` (Node's built-in test runner).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { nextRecurrenceDate, listRecurrenceDates, describeRecurrence, validateRecurrence } = require('../recurrence');
+
+function rule(overrides) {
+    return {
+        frequency: 'weekly',
+        interval: 1,
+        weekdays: [],
+        monthlyBy: 'day',
+        anchorDate: '2025-06-16',
+        until: '',
+        count: null,
+        occurrence: 1,
+        nextTaskId: '',
+        ...overrides
+    };
+}
+
+test('daily repeats step by their interval', () => {
+    const everyThirdDay = rule({ frequency: 'daily', interval: 3 });
+    assert.deepEqual(listRecurrenceDates(everyThirdDay, '2025-06-16', '2025-06-25'), ['2025-06-19', '2025-06-22', '2025-06-25']);
+});
+
+test('weekly repeats move a due date on an unchosen day to the next chosen one', () => {
+    // Wednesday 2025-06-11, repeating every 2 weeks on Monday
+    const biweekly = rule({ interval: 2, weekdays: [1], anchorDate: '2025-06-11' });
+    assert.equal(nextRecurrenceDate(biweekly, '2025-06-11'), '2025-06-16');
+    assert.deepEqual(listRecurrenceDates(biweekly, '2025-06-11', '2025-07-31'), ['2025-06-16', '2025-06-30', '2025-07-14', '2025-07-28']);
+});
+
+test('weekly repeats visit every chosen day before skipping weeks', () => {
+    const biweekly = rule({ interval: 2, weekdays: [1, 3], anchorDate: '2025-06-16' });
+    assert.deepEqual(listRecurrenceDates(biweekly, '2025-06-16', '2025-07-02'), ['2025-06-18', '2025-06-30', '2025-07-02']);
+});
+
+test('weekly repeats keep their weeks when an occurrence was moved', () => {
+    // Every 2 weeks on Monday from 2025-06-16; this occurrence was moved to Thursday 2025-06-26
+    const biweekly = rule({ interval: 2, weekdays: [1], anchorDate: '2025-06-16' });
+    assert.equal(nextRecurrenceDate(biweekly, '2025-06-26'), '2025-06-30');
+});
+
+test('monthly repeats on a day go back to it after shorter months', () => {
+    const monthly = rule({ frequency: 'monthly', anchorDate: '2025-01-31' });
+    assert.equal(nextRecurrenceDate(monthly, '2025-01-31'), '2025-02-28');
+    assert.equal(nextRecurrenceDate(monthly, '2025-02-28'), '2025-03-31');
+});
+
+test('monthly repeats on a weekday keep its ordinal', () => {
+    // Tuesday 2025-06-10 is the 2nd Tuesday of June
+    const secondTuesday = rule({ frequency: 'monthly', monthlyBy: 'weekday', anchorDate: '2025-06-10' });
+    assert.equal(nextRecurrenceDate(secondTuesday, '2025-06-10'), '2025-07-08');
+    assert.equal(nextRecurrenceDate(secondTuesday, '2025-07-08'), '2025-08-12');
+});
+
+test('a 4th weekday that ends its month stays the 4th in months with a 5th', () => {
+    // Thursday 2025-12-25 is both the 4th and the last Thursday of December;
+    // January 2026 has five Thursdays
+    const fourthThursday = rule({ frequency: 'monthly', monthlyBy: 'weekday', anchorDate: '2025-12-25' });
+    assert.equal(nextRecurrenceDate(fourthThursday, '2025-12-25'), '2026-01-22');
+    assert.equal(describeRecurrence(fourthThursday), 'Every month on the 4th Thu');
+});
+
+test('a 5th weekday repeats on the last one', () => {
+    const lastThursday = rule({ frequency: 'monthly', monthlyBy: 'weekday', anchorDate: '2026-01-29' });
+    assert.equal(nextRecurrenceDate(lastThursday, '2026-01-29'), '2026-02-26');
+    assert.equal(describeRecurrence(lastThursday), 'Every month on the last Thu');
+});
+
+test('the series ends at its end date or count', () => {
+    assert.equal(nextRecurrenceDate(rule({ weekdays: [1], until: '2025-06-20' }), '2025-06-16'), null);
+    assert.equal(nextRecurrenceDate(rule({ weekdays: [1], count: 3, occurrence: 3 }), '2025-06-16'), null);
+    assert.deepEqual(listRecurrenceDates(rule({ frequency: 'daily', count: 3 }), '2025-06-16', '2025-12-31'), ['2025-06-17', '2025-06-18']);
+});
+
+test('long-overdue series still list the dates in the window', () => {
+    // Due every day since 2020; the 1000-date limit ran out long before 2025
+    const daily = rule({ frequency: 'daily', anchorDate: '2020-01-01' });
+    assert.deepEqual(listRecurrenceDates(daily, '2020-01-01', '2025-06-18', 1000, '2025-06-16'), ['2025-06-16', '2025-06-17', '2025-06-18']);
+    const everyThirdDay = rule({ frequency: 'daily', interval: 3, anchorDate: '2020-01-01' });
+    assert.deepEqual(listRecurrenceDates(everyThirdDay, '2020-01-01', '2025-06-24', 1000, '2025-06-17'), ['2025-06-18', '2025-06-21', '2025-06-24']);
+    const weekly = rule({ weekdays: [1], anchorDate: '2000-01-03' });
+    assert.deepEqual(listRecurrenceDates(weekly, '2000-01-03', '2025-06-30', 1000, '2025-06-16'), ['2025-06-16', '2025-06-23', '2025-06-30']);
+
+    // Skipped occurrences still count towards the end of the series
+    const twentyTimes = rule({ frequency: 'daily', anchorDate: '2025-06-01', count: 20 });
+    assert.deepEqual(listRecurrenceDates(twentyTimes, '2025-06-01', '2025-06-30', 1000, '2025-06-18'), ['2025-06-18', '2025-06-19', '2025-06-20']);
+    assert.deepEqual(listRecurrenceDates(rule({ frequency: 'daily', until: '2025-06-10' }), '2025-06-01', '2025-06-30', 1000, '2025-06-16'), []);
+});
+
+test('rules are described in words', () => {
+    assert.equal(describeRecurrence(rule({ interval: 2, weekdays: [3, 1], until: '2025-12-31' })), 'Every 2 weeks on Mon, Wed, until 2025-12-31');
+    assert.equal(describeRecurrence(rule({ frequency: 'monthly', anchorDate: '2025-01-31', count: 5 })), 'Every month on day 31, 5 times');
+    assert.equal(describeRecurrence(rule({ frequency: 'daily' })), 'Every day');
+});
+
+test('invalid rules are reported', () => {
+    assert.deepEqual(validateRecurrence(rule({ weekdays: [1] })), []);
+    assert.deepEqual(validateRecurrence(rule()), ['weekly rules need at least one weekday']);
+    assert.deepEqual(validateRecurrence(rule({ frequency: 'daily', interval: 0, until: 'soon' })), [
+        'interval must be a positive whole number',
+        'invalid end date "soon"'
+    ]);
+    assert.deepEqual(validateRecurrence(null), ['not an object']);
+});
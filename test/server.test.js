@@ -0,0 +1,387 @@
+// Tests for the API server: the Repository against an in-memory database,
+// and the routes through createServer()
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { Database } = require('../server/db');
+const { migrate } = require('../server/migrate');
+const { Repository, ValidationError, NotFoundError, ATTACHMENT_MAX_BYTES } = require('../server/repository');
+const { createServer } = require('../server/index');
+
+async function openRepository() {
+    const db = await new Database(':memory:').open();
+    await migrate(db);
+    return new Repository(db);
+}
+
+// Runs fn with a fresh server on a free port and a request(method, url, body)
+// helper that resolves to { status, headers, body }
+async function withServer(fn, options = {}) {
+    const repo = await openRepository();
+    const server = createServer(repo, options);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (method, url, body, headers = {}) => {
+        const response = await fetch(base + url, {
+            method,
+            headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+            body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+        });
+        const text = await response.text();
+        const json = (response.headers.get('content-type') || '').startsWith('application/json') && text ? JSON.parse(text) : text;
+        return { status: response.status, headers: response.headers, body: json };
+    };
+
+    try {
+        await fn(request, repo, base);
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        await repo.db.close();
+    }
+}
+
+const project = { name: 'Launch', status: 'active' };
+
+test('the repository rejects invalid records', async () => {
+    const repo = await openRepository();
+    await assert.rejects(repo.saveProject({ name: ' ' }), ValidationError);
+    await assert.rejects(repo.saveProject({ name: 'Launch', status: 'paused' }), /Invalid project status "paused"/);
+    await assert.rejects(repo.saveMember({ name: 'Ana', color: 'blue' }), /hex color/);
+    await assert.rejects(repo.saveTask({ title: 'Write copy', projectId: 'missing' }), NotFoundError);
+
+    const { id: projectId } = await repo.saveProject(project);
+    await assert.rejects(repo.saveTask({ title: 'Write copy', projectId, status: 'shipped' }), /not in the workflow/);
+    await assert.rejects(repo.saveTask({ title: 'Write copy', projectId, startDate: '2025-07-02', dueDate: '2025-07-01' }), /start date/);
+    await repo.db.close();
+});
+
+test('records created at the same moment get their own ids', async () => {
+    const repo = await openRepository();
+    const { id: projectId } = await repo.saveProject(project);
+    const tasks = await Promise.all(['A', 'B', 'C'].map(title => repo.saveTask({ title, projectId })));
+    assert.equal(new Set(tasks.map(task => task.id)).size, 3);
+    assert.deepEqual((await repo.listTasks()).map(task => task.title).sort(), ['A', 'B', 'C']);
+    await repo.db.close();
+});
+
+test('a failed transaction leaves nothing behind', async () => {
+    const repo = await openRepository();
+    await assert.rejects(repo.db.transaction(async () => {
+        await repo.db.run("INSERT INTO meta (key, value) VALUES ('first', '1')");
+        // Joins the outer transaction rather than waiting for it
+        await repo.db.transaction(() => repo.db.run("INSERT INTO meta (key, value) VALUES ('second', '2')"));
+        throw new Error('stop');
+    }), /stop/);
+    assert.deepEqual(await repo.db.all('SELECT key FROM meta'), []);
+    await repo.db.close();
+});
+
+test('saves running at the same time do not mix their links', async () => {
+    const repo = await openRepository();
+    const { id: projectId } = await repo.saveProject(project);
+    const members = await Promise.all(['Ana', 'Ben', 'Cy', 'Di'].map((name, i) => repo.saveMember({ name, color: `#00000${i}` })));
+    // Saved without a revision, so neither save is refused as stale
+    const { revision, ...task } = await repo.saveTask({ title: 'Write copy', projectId });
+
+    const [first, second] = [members.slice(0, 2).map(m => m.id), members.slice(2).map(m => m.id)];
+    await Promise.all([repo.saveTask({ ...task, assignees: first }), repo.saveTask({ ...task, assignees: second })]);
+    assert.deepEqual((await repo.getTask(task.id)).assignees, second);
+    await repo.db.close();
+});
+
+test('task dependencies cannot form a cycle', async () => {
+    const repo = await openRepository();
+    const { id: projectId } = await repo.saveProject(project);
+    const first = await repo.saveTask({ id: 'task-a', title: 'A', projectId });
+    const second = await repo.saveTask({ id: 'task-b', title: 'B', projectId, blockedBy: [first.id] });
+    assert.deepEqual(second.blockedBy, ['task-a']);
+    await assert.rejects(repo.saveTask({ ...first, blockedBy: [second.id] }), /cycle/);
+    await assert.rejects(repo.saveTask({ ...first, blockedBy: [first.id] }), /cannot block itself/);
+    await repo.db.close();
+});
+
+test('routes answer 404, 405 and 400 for unknown paths, methods and malformed ids', async () => {
+    await withServer(async (request) => {
+        assert.equal((await request('GET', '/api/health')).body.status, 'ok');
+        assert.equal((await request('GET', '/api/nothing')).status, 404);
+        assert.equal((await request('GET', '/api/tasks/task-missing')).status, 404);
+        assert.equal((await request('DELETE', '/api/projects/proj-missing')).status, 404);
+
+        const notAllowed = await request('PATCH', '/api/tasks');
+        assert.equal(notAllowed.status, 405);
+        assert.equal(notAllowed.headers.get('allow'), 'GET, POST, PUT, DELETE');
+        assert.equal((await request('DELETE', '/api/events', { ids: [] })).status, 405);
+
+        assert.equal((await request('GET', '/api/tasks/%E0%A4%A')).status, 400);
+        assert.equal((await request('GET', '/api/blobs/%E0%A4%A')).status, 400);
+    });
+});
+
+test('only the app shell is served outside /api', async () => {
+    // The shell files as listed in sw.js
+    const shellFiles = [...fs.readFileSync(path.join(__dirname, '..', 'sw.js'), 'utf8')
+        .match(/const SHELL_FILES = \[([^\]]*)\]/)[1].matchAll(/'([^']+)'/g)].map(([, file]) => file);
+
+    await withServer(async (request) => {
+        for (const file of [...shellFiles, 'sw.js']) {
+            assert.equal((await request('GET', `/${file}`)).status, 200, file);
+        }
+        const index = await request('GET', '/');
+        assert.equal(index.status, 200);
+        assert.equal(index.headers.get('content-type'), 'text/html; charset=utf-8');
+
+        for (const file of ['/package.json', '/README.md', '/server/index.js', '/supabase/migrations', '/node_modules/sqlite3/package.json',
+            '/data/projectflow.sqlite', '/.gitignore', '/%2e%2e/etc/passwd', '/icons/', '/%E0%A4%A']) {
+            assert.equal((await request('GET', file)).status, 404, file);
+        }
+        assert.equal((await request('POST', '/index.html')).status, 405);
+    });
+});
+
+test('other origins can neither read nor write by default', async () => {
+    await withServer(async (request, repo, base) => {
+        const origin = { Origin: 'https://elsewhere.example' };
+        const read = await request('GET', '/api/projects', undefined, origin);
+        assert.equal(read.headers.get('access-control-allow-origin'), null);
+
+        const preflight = await request('OPTIONS', '/api/projects', undefined, { ...origin, 'Access-Control-Request-Method': 'PUT' });
+        assert.equal(preflight.headers.get('access-control-allow-origin'), null);
+
+        // A form-like POST needs no preflight, so the server refuses it itself
+        const write = await request('POST', '/api/projects', JSON.stringify(project), { ...origin, 'Content-Type': 'text/plain' });
+        assert.equal(write.status, 403);
+        assert.deepEqual(await repo.listProjects(), []);
+
+        assert.equal((await request('POST', '/api/projects', project, { Origin: base })).status, 201);
+        assert.equal((await request('POST', '/api/projects', project)).status, 201);
+    });
+});
+
+test('PROJECTFLOW_ALLOWED_ORIGIN lets one other origin use the API', async () => {
+    await withServer(async (request) => {
+        const preflight = await request('OPTIONS', '/api/projects', undefined, { Origin: 'http://localhost:3000' });
+        assert.equal(preflight.headers.get('access-control-allow-origin'), 'http://localhost:3000');
+        assert.match(preflight.headers.get('access-control-allow-headers'), /X-ProjectFlow-Token/);
+        assert.equal((await request('POST', '/api/projects', project, { Origin: 'http://localhost:3000' })).status, 201);
+        assert.equal((await request('POST', '/api/projects', project, { Origin: 'http://localhost:4000' })).status, 403);
+    }, { allowedOrigin: 'http://localhost:3000' });
+});
+
+test('PROJECTFLOW_TOKEN is required for every change', async () => {
+    await withServer(async (request) => {
+        assert.equal((await request('POST', '/api/projects', project)).status, 401);
+        assert.equal((await request('POST', '/api/projects', project, { 'X-ProjectFlow-Token': 'guess' })).status, 401);
+        assert.equal((await request('PUT', '/api/blobs/att-1', 'hello', { 'Content-Type': 'text/plain' })).status, 401);
+        assert.equal((await request('DELETE', '/api/projects/proj-1')).status, 401);
+
+        const { status, body } = await request('POST', '/api/projects', project, { 'X-ProjectFlow-Token': 's3cret' });
+        assert.equal(status, 201);
+        assert.equal((await request('GET', `/api/projects/${body.id}`)).status, 200);
+    }, { token: 's3cret' });
+});
+
+test('validation errors answer 400 with a message', async () => {
+    await withServer(async (request) => {
+        const response = await request('POST', '/api/projects', { name: '' });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error, 'Project name is required');
+        assert.equal((await request('POST', '/api/tasks', { title: 'Orphan' })).status, 400);
+    });
+});
+
+test('request bodies must be JSON within the size limit', async () => {
+    await withServer(async (request) => {
+        const invalid = await request('POST', '/api/projects', '{"name": ');
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.error, 'Request body is not valid JSON');
+
+        for (const body of ['null', '[]', '[{"name": "Launch"}]', '42', '"Launch"', 'true']) {
+            const notObject = await request('POST', '/api/projects', body);
+            assert.equal(notObject.status, 400, body);
+            assert.equal(notObject.body.error, 'Request body must be a JSON object');
+            assert.equal((await request('PUT', '/api/meta/schemaVersion', body)).status, 400, body);
+        }
+
+        const tooLarge = await request('POST', '/api/projects', { name: 'x'.repeat(1024 * 1024) });
+        assert.equal(tooLarge.status, 400);
+        assert.equal(tooLarge.body.error, 'Request body too large');
+    });
+});
+
+test('POST always creates a record, whatever id the body carries', async () => {
+    await withServer(async (request) => {
+        const { body: member } = await request('POST', '/api/members', { name: 'Ana', color: '#2563eb' });
+        const { body: other } = await request('POST', '/api/members', { id: member.id, name: 'Ben', color: '#16a34a' });
+        assert.equal(other.name, 'Ben');
+        assert.notEqual(other.id, member.id);
+        assert.equal((await request('GET', `/api/members/${member.id}`)).body.name, 'Ana');
+
+        const { body: created } = await request('POST', '/api/projects', project);
+        const response = await request('POST', '/api/projects', { ...project, id: created.id, name: 'Rebrand' });
+        assert.equal(response.status, 201);
+        assert.notEqual(response.body.id, created.id);
+        assert.equal((await request('GET', `/api/projects/${created.id}`)).body.name, 'Launch');
+    });
+});
+
+test('a batch is saved whole or not at all', async () => {
+    await withServer(async (request) => {
+        const { body: created } = await request('POST', '/api/projects', project);
+        const tasks = ['A', 'B', 'C'].map(title => ({ id: `task-${title}`, title, projectId: created.id, revision: 1 }));
+
+        const refused = await request('PUT', '/api/tasks', { records: [...tasks.slice(0, 2), { ...tasks[2], priority: 'urgent' }] });
+        assert.equal(refused.status, 400);
+        assert.equal(refused.body.error, 'Invalid task priority "urgent"');
+        assert.deepEqual((await request('GET', '/api/tasks')).body, []);
+
+        const saved = await request('PUT', '/api/tasks', { records: tasks });
+        assert.equal(saved.status, 200);
+        assert.deepEqual(saved.body.map(task => task.id), ['task-A', 'task-B', 'task-C']);
+
+        // A stale record refuses the batch with the stored copy
+        const renamed = tasks.map(task => ({ ...task, title: `${task.title}!`, revision: 2 }));
+        const stale = await request('PUT', '/api/tasks', { records: [renamed[0], { ...renamed[1], revision: 1 }] });
+        assert.equal(stale.status, 409);
+        assert.equal(stale.body.current.id, 'task-B');
+        assert.equal((await request('GET', '/api/tasks/task-A')).body.title, 'A');
+
+        assert.equal((await request('PUT', '/api/tasks', { records: 'task-A' })).status, 400);
+        assert.equal((await request('PUT', '/api/tasks', [])).status, 400);
+    });
+});
+
+test('a batch delete skips records that are already gone', async () => {
+    await withServer(async (request) => {
+        const { body: created } = await request('POST', '/api/projects', project);
+        const { body: task } = await request('POST', '/api/tasks', { title: 'Write copy', projectId: created.id });
+
+        // The task goes with its project before its own delete comes up
+        assert.equal((await request('DELETE', '/api/projects', { ids: [created.id] })).status, 204);
+        assert.equal((await request('DELETE', '/api/tasks', { ids: [task.id, 'task-never'] })).status, 204);
+        assert.deepEqual((await request('GET', '/api/projects')).body, []);
+        assert.equal((await request('DELETE', '/api/tasks', { ids: [42] })).status, 400);
+    });
+});
+
+test('deleting a project deletes its tasks, their comments and attachments', async () => {
+    await withServer(async (request) => {
+        const { body: created } = await request('POST', '/api/projects', project);
+        const { body: task } = await request('POST', '/api/tasks', { title: 'Write copy', projectId: created.id });
+        await request('POST', '/api/comments', { taskId: task.id, body: 'Draft is in' });
+        await request('POST', '/api/attachments', { taskId: task.id, name: 'draft.txt', size: 5 });
+
+        assert.equal((await request('DELETE', `/api/projects/${created.id}`)).status, 204);
+        assert.deepEqual((await request('GET', '/api/tasks')).body, []);
+        assert.deepEqual((await request('GET', '/api/comments')).body, []);
+        assert.deepEqual((await request('GET', '/api/attachments')).body, []);
+    });
+});
+
+test('deleting a member unassigns them', async () => {
+    await withServer(async (request) => {
+        const { body: member } = await request('POST', '/api/members', { name: 'Ana', color: '#2563eb' });
+        const { body: created } = await request('POST', '/api/projects', project);
+        const { body: task } = await request('POST', '/api/tasks', { title: 'Write copy', projectId: created.id, assignees: [member.id] });
+        assert.deepEqual(task.assignees, [member.id]);
+
+        assert.equal((await request('DELETE', `/api/members/${member.id}`)).status, 204);
+        assert.deepEqual((await request('GET', `/api/tasks/${task.id}`)).body.assignees, []);
+    });
+});
+
+test('blobs are stored as sent and limited in size and in total', async () => {
+    await withServer(async (request, repo) => {
+        assert.equal((await request('PUT', '/api/blobs/att-1', 'hello', { 'Content-Type': 'text/plain' })).status, 204);
+        const blob = await request('GET', '/api/blobs/att-1');
+        assert.equal(blob.body, 'hello');
+        assert.equal(blob.headers.get('content-security-policy'), 'sandbox');
+        assert.deepEqual((await request('GET', '/api/blobs')).body, ['att-1']);
+
+        await assert.rejects(repo.saveBlob('att-2', 'text/plain', Buffer.alloc(ATTACHMENT_MAX_BYTES + 1)), /at most 10 MB/);
+
+        // Fill the quota without building the data in JavaScript
+        await repo.db.run('INSERT INTO blobs (id, type, data) VALUES (?, ?, zeroblob(?))', ['att-big', 'application/octet-stream', 100 * 1024 * 1024]);
+        const overQuota = await request('PUT', '/api/blobs/att-3', 'more', { 'Content-Type': 'text/plain' });
+        assert.equal(overQuota.status, 400);
+        assert.match(overQuota.body.error, /quota/);
+
+        assert.equal((await request('DELETE', '/api/blobs/att-1')).status, 204);
+        assert.equal((await request('GET', '/api/blobs/att-1')).status, 404);
+    });
+});
+
+test('events are append-only', async () => {
+    await withServer(async (request) => {
+        const event = { at: '2025-07-01T09:00:00.000Z', recordType: 'task', recordId: 'task-1', name: 'Write copy', action: 'create' };
+        assert.equal((await request('PUT', '/api/events/event-1', event)).status, 200);
+        const again = await request('PUT', '/api/events/event-1', { ...event, action: 'delete' });
+        assert.equal(again.body.action, 'create');
+        assert.equal((await request('DELETE', '/api/events/event-1')).status, 405);
+        assert.equal((await request('PUT', '/api/events/event-2', { ...event, action: 'rename' })).status, 400);
+    });
+});
+
+test('meta values are stored as JSON', async () => {
+    await withServer(async (request) => {
+        assert.deepEqual((await request('GET', '/api/meta/schemaVersion')).body, { key: 'schemaVersion', value: null });
+        await request('PUT', '/api/meta/schemaVersion', { value: 3 });
+        assert.deepEqual((await request('GET', '/api/meta/schemaVersion')).body, { key: 'schemaVersion', value: 3 });
+    });
+});
+
+test('a save at or below the stored revision is refused with the stored record', async () => {
+    await withServer(async (request) => {
+        const { body: created } = await request('POST', '/api/projects', project);
+        const { body: task } = await request('PUT', '/api/tasks/task-1', { title: 'Write copy', projectId: created.id, revision: 3 });
+        assert.equal(task.revision, 3);
+
+        for (const revision of [3, 2, 0]) {
+            const stale = await request('PUT', '/api/tasks/task-1', { ...task, title: 'Stale copy', revision });
+            assert.equal(stale.status, 409, `revision ${revision}`);
+            assert.match(stale.body.error, /already at revision 3/);
+            assert.equal(stale.body.current.title, 'Write copy');
+            assert.equal(stale.body.current.revision, 3);
+        }
+        assert.equal((await request('GET', '/api/tasks/task-1')).body.title, 'Write copy');
+
+        // Every kind of record is checked the same way
+        const { body: member } = await request('PUT', '/api/members/member-1', { name: 'Ana', color: '#2563eb', revision: 2 });
+        assert.equal((await request('PUT', '/api/members/member-1', { ...member, name: 'Ann' })).status, 409);
+        assert.equal((await request('PUT', `/api/projects/${created.id}`, { ...created, name: 'Stale' })).status, 409);
+        const { body: comment } = await request('PUT', '/api/comments/comment-1', { taskId: 'task-1', body: 'Draft is in', revision: 1 });
+        assert.equal((await request('PUT', '/api/comments/comment-1', { ...comment, body: 'Stale' })).status, 409);
+        const { body: attachment } = await request('PUT', '/api/attachments/att-1', { taskId: 'task-1', name: 'draft.txt', size: 5, revision: 1 });
+        assert.equal((await request('PUT', '/api/attachments/att-1', { ...attachment, name: 'stale.txt' })).status, 409);
+    });
+});
+
+test('a save without a revision always goes through and keeps the stored one', async () => {
+    await withServer(async (request) => {
+        const { body: created } = await request('POST', '/api/projects', project);
+        await request('PUT', '/api/tasks/task-1', { title: 'Write copy', projectId: created.id, revision: 3 });
+
+        const { status, body } = await request('PUT', '/api/tasks/task-1', { title: 'Edited by a script', projectId: created.id });
+        assert.equal(status, 200);
+        assert.equal(body.title, 'Edited by a script');
+        assert.equal(body.revision, 3);
+
+        const { body: added } = await request('PUT', '/api/tasks/task-2', { title: 'New', projectId: created.id });
+        assert.equal(added.revision, 0);
+    });
+});
+
+test('a save with a higher revision wins', async () => {
+    await withServer(async (request) => {
+        const { body: created } = await request('POST', '/api/projects', project);
+        const { body: task } = await request('PUT', '/api/tasks/task-1', { title: 'Write copy', projectId: created.id, revision: 1 });
+
+        const { status, body } = await request('PUT', '/api/tasks/task-1', { ...task, title: 'Second draft', revision: 5 });
+        assert.equal(status, 200);
+        assert.equal(body.title, 'Second draft');
+        assert.equal(body.revision, 5);
+        assert.equal((await request('PUT', '/api/tasks/task-1', { ...task, title: 'Third draft', revision: 4 })).status, 409);
+    });
+});